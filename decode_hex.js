@@ -0,0 +1,107 @@
+/*
+ * Decode CCTV PTZ commands given as hex on the command line or from stdin
+ * (c) Copyright 2018 Roger Hardiman
+ *
+ * eg node decode_hex.js FF 01 00 04 20 00 25
+ *    node decode_hex.js "[ff][01][00][04][20][00][25]"
+ *    echo 0xFF,0x01,0x00,0x04,0x20,0x00,0x25 | node decode_hex.js
+ * Shows the text and the structured ("command" event) decode of every message found
+ */
+
+// External Dependencies
+var PelcoD_Decoder = require('./pelcod_decoder').PelcoD_Decoder;
+var protocols = require('./pelcod_decoder').protocols;
+var parse_hex = require('./pelcod_log_reader').parse_hex;
+var parse_log_lines = require('./pelcod_log_reader').parse_log_lines;
+
+var version = require('./package.json').version;
+var args = require('commander');
+
+// Command line arguments
+args.version(version);
+args.usage('[options] [hex bytes]');
+args.description('Decode hex bytes eg "FF 01 00 04 20 00 25", ff010004200025, [ff][01]... or 0xFF,0x01... Reads stdin if no bytes are given');
+args.option('--protocols <list>','Protocols to decode eg pelco_d,pelco_p. Default is all of ' + protocols.join(','));
+args.parse(process.argv);
+
+// Initialise Decoder
+var decoder_options = {};
+if (args.protocols) {
+  decoder_options.protocols = args.protocols.split(',');
+  for (var i = 0; i < decoder_options.protocols.length; i++) {
+    if (protocols.indexOf(decoder_options.protocols[i]) < 0) {
+      console.log('ERROR: Unknown protocol ' + decoder_options.protocols[i] + '. Protocols are ' + protocols.join(','));
+      process.exit(1);
+    }
+  }
+}
+
+if (args.args.length > 0) {
+  Decode(args.args.join(' '));
+} else if (process.stdin.isTTY) {
+  console.log('ERROR: No hex bytes given. Use -h for help');
+  process.exit(1);
+} else {
+  var input = '';
+  process.stdin.setEncoding('latin1');
+  process.stdin.on('data', function(text) { input += text; });
+  process.stdin.on('end', function() { Decode(input); });
+}
+
+
+function Decode(text) {
+  var bytes = parse_hex(text);
+  if (bytes === null) {
+    // Try the lines as xxd or hexdump -C output
+    var result = parse_log_lines(text.split(/\r?\n/));
+    if (result.entries.length > 0 && result.skipped.length == 0) {
+      bytes = [];
+      result.entries.forEach(function(entry) { bytes = bytes.concat(entry.bytes); });
+    }
+  }
+  if (bytes === null) {
+    console.log('ERROR: Not hex bytes - ' + text.trim());
+    process.exit(1);
+  }
+
+  var commands = 0;
+  var decoder = new PelcoD_Decoder(decoder_options);
+  decoder.on('log', function(message) {
+    console.log(message);
+  });
+  decoder.on('command', function(command) {
+    commands++;
+    // The bytes and text have already been shown in the log message
+    var fields = Object.assign({}, command);
+    delete fields.bytes;
+    delete fields.text;
+    console.log('  ' + JSON.stringify(fields));
+  });
+
+  decoder.processBuffer(bytes);
+  decoder.flush();
+
+  if (commands == 0) {
+    console.log('No protocol matched. No ' + (args.protocols ? args.protocols.split(',').join(', ') + ' ' : '')
+                + 'commands found in the ' + bytes.length + ' bytes ' + BufferToHexString(bytes));
+    process.exitCode = 1;
+  }
+}
+
+
+// helper functions
+function BufferToHexString(buffer) {
+    var byte_string = '';
+    for (var i = 0; i < buffer.length; i++) {
+        byte_string += '[' + DecToHexPad(buffer[i],2) + ']';
+    }
+    return byte_string;
+}
+
+function DecToHexPad(decimal,size) {
+    var ret_string = decimal.toString('16');
+    while (ret_string.length < size) {
+        ret_string = '0' + ret_string;
+    }
+    return ret_string;
+}
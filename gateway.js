@@ -0,0 +1,201 @@
+/*
+ * Protocol Translator Gateway
+ * Decode CCTV PTZ commands in one protocol and send the same commands in another protocol
+ * eg so a Pelco D keyboard can drive Bosch, Forward Vision or VISCA cameras
+ * (c) Copyright 2018 Roger Hardiman
+ *
+ * Use -i for the keyboard input and -o for the camera output
+ * Each can be a Serial Port (eg COM1 or /dev/ttyUSB0) or hostname:port of a TCP Serial Server (raw TCP stream)
+ * Use -f and -t to set the input and output protocols
+ * Use -m to change camera numbers, eg -m 1=5,2=7 sends Camera 1 to Camera 5 and Camera 2 to Camera 7
+ */
+
+// External Dependencies
+var fs = require('fs');
+var net = require('net');
+var dateTime = require('node-datetime');
+var PelcoD_Gateway = require('./pelcod_gateway').PelcoD_Gateway;
+var protocols = require('./pelcod_decoder').protocols;
+
+var version = require('./package.json').version;
+var args = require('commander');
+
+// Command line arguments
+args.version(version);
+args.description('CCTV PTZ protocol translator. Protocols are ' + protocols.join(', '));
+args.option('-v, --verbose','Verbose mode. Show all data bytes');
+args.option('-i, --input <name>','Keyboard input. Serial Port eg COM1 or /dev/ttyUSB0, or hostname:port');
+args.option('-o, --output <name>','Camera output. Serial Port eg COM2 or /dev/ttyUSB1, or hostname:port');
+args.option('-f, --from <protocol>','Input protocol. Default pelco_d');
+args.option('-t, --to <protocol>','Output protocol eg bosch, forward_vision or visca');
+args.option('-m, --map <list>','Camera number changes eg 1=5,2=7. Other cameras keep the same number');
+args.option('--input_baud <value>','Input Baud Rate. Default 2400',parseInt);
+args.option('--input_parity <value>','Input Parity none, even, odd. Default none');
+args.option('--output_baud <value>','Output Baud Rate. Default 2400',parseInt);
+args.option('--output_parity <value>','Output Parity none, even, odd. Default none');
+args.option('--nolog','Do not write to the log file. Default is to write logs');
+args.parse(process.argv);
+
+// Initial message
+console.log('');
+console.log('CCTV Telemetry Protocol Translator');
+console.log('(c) Roger Hardiman 2018 www.rjh.org.uk');
+console.log('Use -h for help');
+console.log('');
+
+// Check the arguments
+var input_protocol = args.from || 'pelco_d';
+var output_protocol = args.to;
+if (!args.input || !args.output) {
+  console.log('ERROR: Input and Output must both be specified');
+  return;
+}
+if (protocols.indexOf(input_protocol) < 0 || protocols.indexOf(output_protocol) < 0) {
+  console.log('ERROR: Protocols must be one of ' + protocols.join(', '));
+  return;
+}
+
+var camera_map = {};
+if (args.map) {
+  var pairs = args.map.split(',');
+  for (var i = 0; i < pairs.length; i++) {
+    var values = pairs[i].split('=');
+    if (values.length != 2 || isNaN(parseInt(values[0])) || isNaN(parseInt(values[1]))) {
+      console.log('ERROR: Camera map must look like 1=5,2=7');
+      return;
+    }
+    camera_map[parseInt(values[0])] = parseInt(values[1]);
+  }
+}
+
+// Log File
+var log_fd;
+
+// Initialise Gateway
+var gateway = new PelcoD_Gateway(input_protocol, output_protocol, camera_map);
+
+// Open log file
+var now = dateTime.create();
+var filename = 'log_' + now.format('Y_m_d_H_M_S') + '.txt';
+if (args.nolog) {
+  console.log('Log file disabled');
+} else {
+  fs.open(filename,'w',function(err,fd) {
+    if (err) {
+      console.log('ERROR - cannot create log file ' + filename);
+      console.log(err);
+      console.log('');
+      process.exit(1);
+    }
+    log_fd = fd;
+    console.log('Log File Open ('+filename+')');
+  });
+}
+
+
+// Open the Input and Output
+var input = OpenStream(args.input, args.input_baud, args.input_parity);
+var output = OpenStream(args.output, args.output_baud, args.output_parity);
+console.log('Translating ' + input_protocol + ' from ' + args.input + ' to ' + output_protocol + ' on ' + args.output);
+
+// Callback - Raw Data received from the Keyboard
+input.on('data', function(buffer) {
+    WriteLog('Rx' + BufferToHexString(buffer), args.verbose);
+
+    gateway.processBuffer(buffer);
+});
+
+// Callback - Raw Data received from the Cameras (eg replies). These are not translated
+output.on('data', function(buffer) {
+    WriteLog('Reply' + BufferToHexString(buffer), args.verbose);
+});
+
+// Callback - Translated command
+gateway.on('data', function(buffer) {
+    WriteLog('Tx' + BufferToHexString(buffer), args.verbose);
+    output.write(buffer);
+});
+
+// Callback - Translated protocol
+gateway.on('log', function(message) {
+    WriteLog('=>' + message, true);
+});
+
+// Callback - Command that cannot be sent in the output protocol
+gateway.on('unsupported', function(command) {
+    WriteLog('=>' + command.text + ' => NOT SUPPORTED BY ' + output_protocol, true);
+});
+
+
+// Open a Serial Port or a TCP connection (hostname:port)
+function OpenStream(name, baud_rate, parity) {
+    var stream;
+    var tcp = name.match(/^(.+):(\d+)$/);
+    if (tcp) {
+        stream = new net.Socket();
+        stream.connect(parseInt(tcp[2]), tcp[1], function() {
+            console.log('Connected to ' + name);
+        });
+    } else {
+        // Only load node-serialport when it is used
+        var SerialPort = require('serialport');
+        if (!(parity === 'none' || parity === 'odd' || parity === 'even')) parity = 'none';
+        stream = new SerialPort(name, {
+            baudRate: baud_rate || 2400,
+            parity: parity,
+            dataBits: 8,
+            stopBits: 1,
+        });
+        stream.on('open', function() {
+            console.log('Serial Port ' + name + ' open ' + (baud_rate || 2400) + '-' + parity + '-1');
+        });
+    }
+
+    // Callback - Error
+    stream.on('error', function(err) {
+        console.log(name + ' ' + err);
+        console.log('');
+        process.exit(1);
+    });
+
+    // Callback - Close
+    stream.on('close', function() {
+        console.log(name + ' closed');
+        process.exit(1);
+    });
+
+    return stream;
+}
+
+// write to the console and to log file if 'fd' is not undefined
+function WriteLog(message, show_on_console) {
+    var now = dateTime.create();
+    var nowString = now.format('H:M:S.N');
+    var msg = nowString + message;
+
+    if (show_on_console) console.log(msg);
+
+    if (log_fd) {
+      fs.write(log_fd,msg+'\r\n',function(err) {
+        if (err) console.log('Error writing to file');
+      });
+    }
+}
+
+// helper functions
+function BufferToHexString(buffer) {
+    var byte_string = '';
+    for (var i = 0; i < buffer.length; i++) {
+        byte_string += '[' + DecToHexPad(buffer[i],2) + ']';
+    }
+    return byte_string;
+}
+
+// helper functions
+function DecToHexPad(decimal,size) {
+    var ret_string = decimal.toString('16');
+    while (ret_string.length < size) {
+        ret_string = '0' + ret_string;
+    }
+    return ret_string;
+}
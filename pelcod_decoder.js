@@ -13,10 +13,73 @@
 
 var EventEmitter = require('events');
 
+// Names of the protocols that can be decoded. These are also the 'protocol' values in the "command" event
+var protocols = ['pelco_d', 'pelco_p', 'bbv422', 'bosch', 'forward_vision', 'vicon', 'vcl', 'ad422', 'panasonic', 'visca', 'jvc'];
+
+// VISCA Inquiry commands (8x 09 b2 b3 FF) keyed on (b2 << 8) | b3. The names match PelcoD_Encoder.encode_visca_inquiry()
+var visca_inquiry_names = {
+    0x0400: 'power',
+    0x0447: 'zoom_position',
+    0x0448: 'focus_position',
+    0x0438: 'focus_mode',
+    0x0439: 'ae_mode',
+    0x044B: 'iris_position',
+    0x044A: 'shutter_position',
+    0x044C: 'gain_position',
+    0x044D: 'bright_position',
+    0x0443: 'r_gain',
+    0x0444: 'b_gain',
+    0x0435: 'white_balance_mode',
+    0x0433: 'backlight',
+    0x043F: 'preset',
+    0x0611: 'pan_tilt_max_speed',
+    0x0612: 'pan_tilt_position',
+    0x0002: 'version'
+};
+
+// VISCA over IP payload types
+var visca_ip_payload_types = {
+    0x0100: 'command',
+    0x0110: 'inquiry',
+    0x0111: 'reply',
+    0x0120: 'device_setting',
+    0x0200: 'control_command',
+    0x0201: 'control_reply'
+};
+
+// VISCA Direct commands with a 4 nibble value (8x 01 04 b3 0p 0q 0r 0s FF)
+var visca_direct_commands = {
+    0x47: 'Zoom',
+    0x48: 'Focus',
+    0x4A: 'Shutter',
+    0x4B: 'Iris',
+    0x4C: 'Gain',
+    0x4D: 'Bright',
+    0x4E: 'Exposure Compensation',
+    0x43: 'R Gain',
+    0x44: 'B Gain'
+};
+
+// VISCA White Balance modes (8x 01 04 35 0p FF)
+var visca_white_balance_modes = { 0x00: 'auto', 0x01: 'indoor', 0x02: 'outdoor', 0x03: 'one_push', 0x04: 'atw', 0x05: 'manual' };
+
+// VISCA Error replies (y0 6z ee FF)
+var visca_errors = { 0x01: 'message_length', 0x02: 'syntax_error', 0x03: 'buffer_full', 0x04: 'cancelled', 0x05: 'no_socket', 0x41: 'not_executable' };
+
 class PelcoD_Decoder extends EventEmitter {
-  constructor() {
+  // options.protocols is a list of the protocols to decode eg ['pelco_d', 'pelco_p']. Default is all protocols
+  // Bytes are not buffered for protocols that are not in the list
+  constructor(options) {
     super();
 
+    // Protocols that are enabled
+    this.protocols = {};
+    var enabled_protocols = (options && options.protocols) || protocols;
+    for (var i = 0; i < enabled_protocols.length; i++) {
+        if (protocols.indexOf(enabled_protocols[i]) < 0) throw new Error('Unknown protocol ' + enabled_protocols[i]);
+        this.protocols[enabled_protocols[i]] = true;
+    }
+
     // A Buffer used to cache partial commands
     this.pelco_command_buffer = new Buffer(7);
 
@@ -73,6 +136,12 @@ class PelcoD_Decoder extends EventEmitter {
     // Number of bytes in the current Buffer
     this.visca_command_index = 0;
 
+    // Last VISCA Inquiry sent to each camera address, used to decode the reply
+    this.visca_inquiries = {};
+
+    // Last VISCA over IP sequence number seen for commands (from the controller) and replies (from the camera)
+    this.visca_ip_sequences = {};
+
     // A Buffer used for JVC (variable length message)
     this.jvc_command_buffer = new Buffer(128);
 
@@ -104,66 +173,76 @@ processBuffer(new_data_buffer) {
         // Add to the end of the Pelco D buffer
         // We cannot simply look for 0xFF as this could be
         // part of the payload as well as the header
-        if (this.pelco_command_index < this.pelco_command_buffer.length) {
-            // Add the new_byte to the end of the pelco_command_buffer
-            this.pelco_command_buffer[this.pelco_command_index] = new_byte;
-            this.pelco_command_index++;
-        } else {
-            // Shift the bytes to make room for the new_byte at the end
-            for (var x = 0; x < (this.pelco_command_buffer.length - 1); x++) {
-                this.pelco_command_buffer[x] = this.pelco_command_buffer[x + 1];
+        if (this.protocols.pelco_d) {
+            if (this.pelco_command_index < this.pelco_command_buffer.length) {
+                // Add the new_byte to the end of the pelco_command_buffer
+                this.pelco_command_buffer[this.pelco_command_index] = new_byte;
+                this.pelco_command_index++;
+            } else {
+                // Shift the bytes to make room for the new_byte at the end
+                for (var x = 0; x < (this.pelco_command_buffer.length - 1); x++) {
+                    this.pelco_command_buffer[x] = this.pelco_command_buffer[x + 1];
+                }
+                // Then add the new_byte to the end
+                this.pelco_command_buffer[this.pelco_command_buffer.length-1] = new_byte;
             }
-            // Then add the new_byte to the end
-            this.pelco_command_buffer[this.pelco_command_buffer.length-1] = new_byte;
         }
 
         // Add to the end of Pelco P buffer
         // We cannot simply look for 0xA0 as this could be
         // part of the payload as well as the header value
-        if (this.pelco_p_command_index < this.pelco_p_command_buffer.length) {
-            // Add the new_byte to the end of the pelco_p_command_buffer
-            this.pelco_p_command_buffer[this.pelco_p_command_index] = new_byte;
-            this.pelco_p_command_index++;
-        } else {
-            // Shift the bytes to make room for the new_byte at the end
-            for (var x = 0; x < (this.pelco_p_command_buffer.length - 1); x++) {
-                this.pelco_p_command_buffer[x] = this.pelco_p_command_buffer[x + 1];
+        if (this.protocols.pelco_p || this.protocols.bbv422) {
+            if (this.pelco_p_command_index < this.pelco_p_command_buffer.length) {
+                // Add the new_byte to the end of the pelco_p_command_buffer
+                this.pelco_p_command_buffer[this.pelco_p_command_index] = new_byte;
+                this.pelco_p_command_index++;
+            } else {
+                // Shift the bytes to make room for the new_byte at the end
+                for (var x = 0; x < (this.pelco_p_command_buffer.length - 1); x++) {
+                    this.pelco_p_command_buffer[x] = this.pelco_p_command_buffer[x + 1];
+                }
+                // Then add the new_byte to the end
+                this.pelco_p_command_buffer[this.pelco_p_command_buffer.length-1] = new_byte;
             }
-            // Then add the new_byte to the end
-            this.pelco_p_command_buffer[this.pelco_p_command_buffer.length-1] = new_byte;
         }
 
         // Add to Bosch byte buffer
-        if (new_byte & 0x80) {
-            // MSB is set to 1. This marks the start of a Bosch command so reset buffer counter
-            this.bosch_command_index = 0;
-        }
-        if (this.bosch_command_index < this.bosch_command_buffer.length) {
-            // Add the new_byte to the end of the bosch_command_buffer
-            this.bosch_command_buffer[this.bosch_command_index] = new_byte;
-            this.bosch_command_index++;
+        if (this.protocols.bosch) {
+            if (new_byte & 0x80) {
+                // MSB is set to 1. This marks the start of a Bosch command so reset buffer counter
+                this.bosch_command_index = 0;
+            }
+            if (this.bosch_command_index < this.bosch_command_buffer.length) {
+                // Add the new_byte to the end of the bosch_command_buffer
+                this.bosch_command_buffer[this.bosch_command_index] = new_byte;
+                this.bosch_command_index++;
+            }
         }
 
         // Add to Forward Vision (FV) byte buffer
-        if (new_byte == 0x0A) {
-            // Always starts with 0x0A (LineFeed). Other bytes are 'ascii range'. Checksum is >= 128 (0x80 to 0xFF) so 0x0A is unique.
-            this.fv_command_index = 0;
-        }
-        if (this.fv_command_index < this.fv_command_buffer.length) {
-            // Add the new_byte to the end of the fv_command_buffer
-            this.fv_command_buffer[this.fv_command_index] = new_byte;
-            this.fv_command_index++;
+        if (this.protocols.forward_vision) {
+            if (new_byte == 0x0A) {
+                // Always starts with 0x0A (LineFeed). Other bytes are 'ascii range'. Checksum is >= 128 (0x80 to 0xFF) so 0x0A is unique.
+                this.fv_command_index = 0;
+            }
+            if (this.fv_command_index < this.fv_command_buffer.length) {
+                // Add the new_byte to the end of the fv_command_buffer
+                this.fv_command_buffer[this.fv_command_index] = new_byte;
+                this.fv_command_index++;
+            }
         }
 
         // Add to Vicon byte buffer
-        if (new_byte & 0x80) {
-            // MSB is set to 1. This marks the start of a Vicon command so reset buffer counter
-            this.vicon_command_index = 0;
-        }
-        if (this.vicon_command_index < this.vicon_command_buffer.length) {
-            // Add the new_byte to the end of the vicon_command_buffer
-            this.vicon_command_buffer[this.vicon_command_index] = new_byte;
-            this.vicon_command_index++;
+        if (this.protocols.vicon) {
+            if (new_byte & 0x80) {
+                // MSB is set to 1. This marks the start of a Vicon command so reset buffer counter
+                this.vicon_command_index = 0;
+            }
+            if (this.vicon_command_index < this.vicon_command_buffer.length) {
+                // Add the new_byte to the end of the vicon_command_buffer
+                this.vicon_command_buffer[this.vicon_command_index] = new_byte;
+                this.vicon_command_index++;
+            }
         }
 
 
@@ -171,7 +250,7 @@ processBuffer(new_data_buffer) {
 	// Rest of the command is either 2 bytes or 3 bytes
         // Byte 2 and Byte 3 are 0x00 to 0x7F
         // There is no 'End Byte' so need to process each byte as it arrives
-        {
+        if (this.protocols.vcl) {
             this.decode_vcl(new_byte);
         }
 
@@ -181,28 +260,30 @@ processBuffer(new_data_buffer) {
         // It starts with an address (1..99 [0x01..0x63] where 64[0x40] is for broadcast) followed by a command (0x81 to 0xFA)
         // and then either the Checksum OR a variable length payload and Checksum
         // Ensure first 2 bytes meet the range criteria
-        if (this.ad_command_index == 0 && new_byte>=0x01 && new_byte <=0x63) {
-            // Add the new_byte to the end of the ad_command_buffer
-            this.ad_command_buffer[this.ad_command_index] = new_byte;
-            this.ad_command_index++;
-        }
-        else if (this.ad_command_index == 1 && new_byte >= 0x81 && new_byte <= 0xFA) {
-            // Add the new_byte to the end of the ad_command_buffer
-            this.ad_command_buffer[this.ad_command_index] = new_byte;
-            this.ad_command_index++;
-        }
-        else if (this.ad_command_index == 2) {
-            // Add the new_byte to the end of the ad_command_buffer
-            this.ad_command_buffer[this.ad_command_index] = new_byte;
-            this.ad_command_index++;
-        }
-        else if (this.ad_command_index > 2 && this.ad_command_index < this.ad_message_length(this.ad_command_buffer[1],this.ad_command_buffer[2])) {
-            // Add the new_byte to the end of the ad_command_buffer
-            this.ad_command_buffer[this.ad_command_index] = new_byte;
-            this.ad_command_index++;
-        } else {
-            // We have not met the critera. Reset the buffer
-            this.ad_command_index = 0;
+        if (this.protocols.ad422) {
+            if (this.ad_command_index == 0 && new_byte>=0x01 && new_byte <=0x63) {
+                // Add the new_byte to the end of the ad_command_buffer
+                this.ad_command_buffer[this.ad_command_index] = new_byte;
+                this.ad_command_index++;
+            }
+            else if (this.ad_command_index == 1 && new_byte >= 0x81 && new_byte <= 0xFA) {
+                // Add the new_byte to the end of the ad_command_buffer
+                this.ad_command_buffer[this.ad_command_index] = new_byte;
+                this.ad_command_index++;
+            }
+            else if (this.ad_command_index == 2) {
+                // Add the new_byte to the end of the ad_command_buffer
+                this.ad_command_buffer[this.ad_command_index] = new_byte;
+                this.ad_command_index++;
+            }
+            else if (this.ad_command_index > 2 && this.ad_command_index < this.ad_message_length(this.ad_command_buffer[1],this.ad_command_buffer[2])) {
+                // Add the new_byte to the end of the ad_command_buffer
+                this.ad_command_buffer[this.ad_command_index] = new_byte;
+                this.ad_command_index++;
+            } else {
+                // We have not met the critera. Reset the buffer
+                this.ad_command_index = 0;
+            }
         }
 
         // Add to Panasonic byte buffer accumulating bytes
@@ -210,30 +291,32 @@ processBuffer(new_data_buffer) {
         // The rest of the data bytes are ASCII characters 0..9 and A..Z
         // and also : and ; which are used to split parts of the command
         // and a length byte that is is 7,F,N,V,^[0x5e],f,n,v,~[0x7e] and '('[0x28]
-        if (new_byte == 0x02) {
-            // Always starts with 0x02 (STX)
-            this.panasonic_command_index = 0;
-        }
-        var valid_byte = false;
-        if (new_byte == 0x02 || new_byte == 0x03) valid_byte = true;
-        if (new_byte >= this.ascii('0') && new_byte <= this.ascii('9')) valid_byte = true;
-        if (new_byte >= this.ascii('A') && new_byte <= this.ascii('Z')) valid_byte = true;
-        if (new_byte == this.ascii(':') || new_byte == this.ascii(';')) valid_byte = true;
-        if (new_byte == this.ascii('7') || new_byte == this.ascii('F')
-           || new_byte == this.ascii('N') || new_byte == this.ascii('V')
-           || new_byte == 0x5E || new_byte == this.ascii('f')
-           || new_byte == this.ascii('n') || new_byte == this.ascii('v')
-           || new_byte == 0x7E || new_byte == 0x28) valid_byte = true;
-        if (valid_byte == false) {
-            // not panasonic data. Reset the buffer
-            this.panasonic_command_index = 0;
-        }
-
-        if (this.panasonic_command_index < this.panasonic_command_buffer.length
-             && valid_byte == true ) {
-            // Add the new_byte to the end of the panasonic_command_buffer
-            this.panasonic_command_buffer[this.panasonic_command_index] = new_byte;
-            this.panasonic_command_index++;
+        if (this.protocols.panasonic) {
+            if (new_byte == 0x02) {
+                // Always starts with 0x02 (STX)
+                this.panasonic_command_index = 0;
+            }
+            var valid_byte = false;
+            if (new_byte == 0x02 || new_byte == 0x03) valid_byte = true;
+            if (new_byte >= this.ascii('0') && new_byte <= this.ascii('9')) valid_byte = true;
+            if (new_byte >= this.ascii('A') && new_byte <= this.ascii('Z')) valid_byte = true;
+            if (new_byte == this.ascii(':') || new_byte == this.ascii(';')) valid_byte = true;
+            if (new_byte == this.ascii('7') || new_byte == this.ascii('F')
+               || new_byte == this.ascii('N') || new_byte == this.ascii('V')
+               || new_byte == 0x5E || new_byte == this.ascii('f')
+               || new_byte == this.ascii('n') || new_byte == this.ascii('v')
+               || new_byte == 0x7E || new_byte == 0x28) valid_byte = true;
+            if (valid_byte == false) {
+                // not panasonic data. Reset the buffer
+                this.panasonic_command_index = 0;
+            }
+
+            if (this.panasonic_command_index < this.panasonic_command_buffer.length
+                 && valid_byte == true ) {
+                // Add the new_byte to the end of the panasonic_command_buffer
+                this.panasonic_command_buffer[this.panasonic_command_index] = new_byte;
+                this.panasonic_command_index++;
+            }
         }
 
         // Pelco D Test. Check if we have 7 bytes with byte 0 = 0xFF and with a valid SUM checksum
@@ -244,8 +327,21 @@ processBuffer(new_data_buffer) {
             this.pelco_command_index = 0; // empty the buffer
         }
 
+        // Pelco D General Response Test. 4 bytes with byte 0 = 0xFF and a SUM checksum
+        // There is no length byte so it is only found when the next message (0xFF) starts straight after it.
+        // A 7 byte command can also start with these bytes (eg FF 02 00 02 FF 00 03) so the response is only
+        // decoded when the 7 bytes in the buffer are not a valid command. This is checked on every byte as the
+        // buffer slides, so a stray byte does not stop later responses being found.
+        // The last response in the data is held until 3 more bytes arrive. flush() decodes it at the end of the data
+        if (this.pelco_command_index === 7 && this.pelco_command_buffer[4] === 0xFF && this.pelco_response_at_start()) {
+            this.decode_pelco_d_response(this.pelco_command_buffer);
+            // keep the start of the next message
+            for (var x = 0; x < 3; x++) this.pelco_command_buffer[x] = this.pelco_command_buffer[x + 4];
+            this.pelco_command_index = 3;
+        }
+
         // Pelco P Test. Check if we have 8 bytes with byte 0 = 0xA0, byte 6 = 0xAF and with a valid XOR checksum
-        if (this.pelco_p_command_index === 8 && this.pelco_p_command_buffer[0] === 0xA0
+        if (this.protocols.pelco_p && this.pelco_p_command_index === 8 && this.pelco_p_command_buffer[0] === 0xA0
                                              && this.pelco_p_command_buffer[6] === 0xAF
                                              && this.checksum_p_valid(this.pelco_p_command_buffer)) {
             // Looks like we have a Pelco command. Try and process it
@@ -255,7 +351,7 @@ processBuffer(new_data_buffer) {
 
 
         // BBV422 Protocol Test. Check if we have 8 bytes with byte 0 = 0xB0, byte 6 = 0xBF and with a valid XOR checksum
-        if (this.pelco_p_command_index === 8 && this.pelco_p_command_buffer[0] === 0xB0
+        if (this.protocols.bbv422 && this.pelco_p_command_index === 8 && this.pelco_p_command_buffer[0] === 0xB0
                                              && this.pelco_p_command_buffer[6] === 0xBF
                                              && this.checksum_p_valid(this.pelco_p_command_buffer)) {
             // Looks like we have a Pelco command. Try and process it
@@ -326,14 +422,16 @@ processBuffer(new_data_buffer) {
         // Collect VISCA data
         // Starts with MSBit = 1
         // Ends with 0xFF
-        if ((new_byte & 0x80) && (new_byte != 0xFF)) {
-            // MSB is set to 1. This marks the start of a the command so reset buffer counter
-            this.visca_command_buffer[0] = new_byte;
-            this.visca_command_index = 1;
-        } else if (this.visca_command_index < this.visca_command_buffer.length) {
-            // Add the new_byte to the end of the command_buffer
-            this.visca_command_buffer[this.visca_command_index] = new_byte;
-            this.visca_command_index++;
+        if (this.protocols.visca) {
+            if ((new_byte & 0x80) && (new_byte != 0xFF)) {
+                // MSB is set to 1. This marks the start of a the command so reset buffer counter
+                this.visca_command_buffer[0] = new_byte;
+                this.visca_command_index = 1;
+            } else if (this.visca_command_index < this.visca_command_buffer.length) {
+                // Add the new_byte to the end of the command_buffer
+                this.visca_command_buffer[this.visca_command_index] = new_byte;
+                this.visca_command_index++;
+            }
         }
 
         // Check for valid command
@@ -349,14 +447,16 @@ processBuffer(new_data_buffer) {
         // Collect JVC data
         // Starts with 0xB1
         // Either 6 or 7 bytes. Length is in 4th byte, lower nibble
-        if (new_byte == 0xB1) {
-            // This marks the start of a the command so reset buffer counter
-            this.jvc_command_buffer[0] = new_byte;
-            this.jvc_command_index = 1;
-        } else if (this.jvc_command_index < this.jvc_command_buffer.length) {
-            // Add the new_byte to the end of the command_buffer
-            this.jvc_command_buffer[this.jvc_command_index] = new_byte;
-            this.jvc_command_index++;
+        if (this.protocols.jvc) {
+            if (new_byte == 0xB1) {
+                // This marks the start of a the command so reset buffer counter
+                this.jvc_command_buffer[0] = new_byte;
+                this.jvc_command_index = 1;
+            } else if (this.jvc_command_index < this.jvc_command_buffer.length) {
+                // Add the new_byte to the end of the command_buffer
+                this.jvc_command_buffer[this.jvc_command_index] = new_byte;
+                this.jvc_command_index++;
+            }
         }
 
         // Check for valid command
@@ -374,6 +474,56 @@ processBuffer(new_data_buffer) {
     }
 };
 
+
+// Call at the end of the data (eg the end of a file) to decode a Pelco D General Response
+// that is still waiting for the bytes after it
+flush() {
+    if (this.pelco_command_index >= 4 && this.pelco_response_at_start()) {
+        this.decode_pelco_d_response(this.pelco_command_buffer);
+    }
+    this.pelco_command_index = 0;
+};
+
+
+// True if the first 4 bytes of the Pelco D buffer are a General Response (0xFF and a SUM checksum)
+pelco_response_at_start() {
+    var buffer = this.pelco_command_buffer;
+    return (this.protocols.pelco_d && buffer[0] === 0xFF
+            && ((buffer[1] + buffer[2]) & 0xFF) === buffer[3]);
+};
+
+// Pan and Tilt positions are in hundredths of a degree (0 to 35999)
+// Zoom position is the fraction of the zoom range where 65535 is the maximum zoom
+pelco_position(command, action, axis, value) {
+    command.position_action = action;
+    command.position_axis = axis;
+    command.position_value = value;
+    if (axis == 'pan') command.pan_position = value / 100;
+    if (axis == 'tilt') command.tilt_position = value / 100;
+    if (axis == 'zoom') command.zoom_position = value / 65535;
+};
+
+pelco_position_string(axis, value) {
+    if (axis == 'zoom') return value + ' (' + (value * 100 / 65535).toFixed(1) + '%)';
+    return (value / 100).toFixed(2) + ' DEG';
+};
+
+
+// Pelco D General Response sent by a dome after a command. 0xFF, Camera, Alarms, Checksum
+decode_pelco_d_response(buffer) {
+    var camera_id = buffer[1];
+    var alarms = buffer[2];
+    var msg_string = 'D Camera ' + camera_id + ' [GENERAL RESPONSE] [ALARMS 0x' + this.DecToHexPad(alarms, 2) + ']';
+
+    var command = this.new_command('pelco_d', camera_id);
+    command.ack = true;
+    command.alarms = alarms;
+
+    this.emit("log",this.bytes_to_string(buffer, 4) + '             ' + msg_string);
+    this.emit_command(command, buffer, 4, msg_string);
+};
+
+
 checksum_valid(buffer) {
     var total = 0;
     // The 0xFF start byte is not included in the checksum
@@ -468,6 +618,7 @@ decode(pelco_command_buffer) {
 
         var extended_command = ((command_2 & 0x01)==1);
         msg_string += 'D ';
+        var protocol = 'pelco_d';
     }
     if (pelco_p) {
         var stx       = pelco_command_buffer[0];
@@ -482,10 +633,13 @@ decode(pelco_command_buffer) {
         var extended_command = ((command_2 & 0x01)==1);
         if (stx === 0xA0) msg_string += 'P ';
         if (stx === 0xB0) msg_string += 'BBV ';
+        var protocol = (stx === 0xB0 ? 'bbv422' : 'pelco_p');
     }
 
 
     msg_string += 'Camera ' + camera_id + ' ';
+
+    var command = this.new_command(protocol, camera_id);
     
 
     if (extended_command) {
@@ -495,32 +649,51 @@ decode(pelco_command_buffer) {
 
         if (command_2 === 0x03 && command_1 === 0x00 && data_1 === 0x00) {
             msg_string += '[SET PRESET ' + data_2 + ']';
+            command.preset_action = 'set';
+            command.preset = data_2;
         } else if (command_2 === 0x05 && command_1 === 0x00 && data_1 === 0x00) {
             msg_string += '[CLEAR PRESET ' + data_2 + ']';
+            command.preset_action = 'clear';
+            command.preset = data_2;
         } else if (command_2 === 0x07 && command_1 === 0x00 && data_1 === 0x00) {
             msg_string += '[GOTO PRESET ' + data_2 + ']';
+            command.preset_action = 'goto';
+            command.preset = data_2;
         } else if (command_2 === 0x09 && command_1 === 0x00 && data_1 === 0x00) {
             msg_string += '[SET AUX ' + data_2 + ']';
+            command.aux_action = 'on';
+            command.aux = data_2;
         } else if (command_2 === 0x0B && command_1 === 0x00 && data_1 === 0x00) {
             msg_string += '[CLEAR AUX ' + data_2 + ']';
+            command.aux_action = 'off';
+            command.aux = data_2;
         } else if (command_2 === 0x1F && command_1 === 0x00 && data_1 === 0x00) {
             msg_string += '[START RECORDING TOUR ' + data_2 + ']';
+            command.tour_action = 'record_start';
+            command.tour = data_2;
         } else if (command_2 === 0x21 && command_1 === 0x00 && data_1 === 0x00) {
             msg_string += '[STOP RECORDING TOUR]';
+            command.tour_action = 'record_stop';
         } else if (command_2 === 0x23 && command_1 === 0x00 && data_1 === 0x00) {
             msg_string += '[START TOUR ' + data_2 + ']';
+            command.tour_action = 'start';
+            command.tour = data_2;
         } else if (command_2 === 0x25 && command_1 === 0x00 && data_1 === 0x00) {
             msg_string += '[SET ZOOM SPEED ' + data_2 + ']';
+            command.zoom_speed = data_2;
         } else if (command_2 === 0x27 && command_1 === 0x00 && data_1 === 0x00) {
             msg_string += '[SET FOCUS SPEED ' + data_2 + ']';
+            command.focus_speed = data_2;
         } else if (command_2 === 0x2B && command_1 === 0x00 && data_1 === 0x00 && data_2 == 0x00) {
             msg_string += '[AUTO FOCUS SET TO AUTOMATIC]';
+            command.focus = 'auto';
         } else if (command_2 === 0x2B && command_1 === 0x00 && data_1 === 0x00 && data_2 != 0x00) {
             // 2012 spec says 0 = Automatic Operation. 1 = Auto Focus Off
             // 1999 spec says range 0..2  Automatic,On,Off
             msg_string += '[AUTO FOCUS SETTING ' + data_2 + ']';
         } else if (command_2 === 0x2D && command_1 === 0x00 && data_1 === 0x00 && data_2 == 0x00) {
             msg_string += '[AUTO IRIS SET TO AUTOMATIC]';
+            command.iris = 'auto';
         } else if (command_2 === 0x2D && command_1 === 0x00 && data_1 === 0x00 && data_2 != 0x00) {
             // 2012 spec says 0 = Automatic Operation. 1 = Auto Iris Off
             // 1999 spec says range 0..2  Automatic,On,Off
@@ -535,6 +708,21 @@ decode(pelco_command_buffer) {
             msg_string += '[BACKLIGHT COMPENSATION ' + data_2 + '] GENERIC MODE = OFF / SPECTRA IV MODE = ON';
         } else if (command_2 === 0x31 && command_1 === 0x00 && data_1 === 0x00 && data_2 >= 0x02) {
             msg_string += '[BACKLIGHT COMPENSATION ' + data_2 + '] SPECTRA IV MODE = ON';
+        } else if ((command_2 === 0x4B || command_2 === 0x4D || command_2 === 0x4F) && command_1 === 0x00) {
+            // Set Absolute Position. Data 1 and Data 2 are a 16 bit value (MSB first)
+            var axis = { 0x4B: 'pan', 0x4D: 'tilt', 0x4F: 'zoom' }[command_2];
+            msg_string += '[SET ' + axis.toUpperCase() + ' POSITION ' + this.pelco_position_string(axis, (data_1 << 8) | data_2) + ']';
+            this.pelco_position(command, 'set', axis, (data_1 << 8) | data_2);
+        } else if ((command_2 === 0x51 || command_2 === 0x53 || command_2 === 0x55) && command_1 === 0x00 && data_1 === 0x00 && data_2 === 0x00) {
+            var axis = { 0x51: 'pan', 0x53: 'tilt', 0x55: 'zoom' }[command_2];
+            msg_string += '[QUERY ' + axis.toUpperCase() + ' POSITION]';
+            command.position_action = 'query';
+            command.position_axis = axis;
+        } else if ((command_2 === 0x59 || command_2 === 0x5B || command_2 === 0x5D) && command_1 === 0x00) {
+            // Reply from the dome to a Query Position command
+            var axis = { 0x59: 'pan', 0x5B: 'tilt', 0x5D: 'zoom' }[command_2];
+            msg_string += '[' + axis.toUpperCase() + ' POSITION RESPONSE ' + this.pelco_position_string(axis, (data_1 << 8) | data_2) + ']';
+            this.pelco_position(command, 'response', axis, (data_1 << 8) | data_2);
         } else {
             msg_string += 'Unknown extended command 0x' + this.DecToHexPad(command_2, 2);
         }
@@ -552,6 +740,15 @@ decode(pelco_command_buffer) {
             var up = (command_2 >> 3) & 0x01;
             var left = (command_2 >> 2) & 0x01;
             var right = (command_2 >> 1) & 0x01;
+
+            // The Sense bit gives the meaning of the Auto/Manual Scan and Camera On/Off bits
+            var sense = (command_1 >> 7) & 0x01;
+            var scan = (command_1 >> 4) & 0x01;
+            var camera_on_off = (command_1 >> 3) & 0x01;
+            var camera_on = (camera_on_off && sense);
+            var camera_off = (camera_on_off && !sense);
+            var auto_scan = (scan && sense);
+            var manual_scan = (scan && !sense);
         }
         if (pelco_p) {
             var iris_close = (command_1 >> 3) & 0x01;
@@ -564,60 +761,114 @@ decode(pelco_command_buffer) {
             var up = (command_2 >> 3) & 0x01;
             var left = (command_2 >> 2) & 0x01;
             var right = (command_2 >> 1) & 0x01;
+
+            // Camera On/Off uses the Camera On bit to say if it is On or Off
+            var camera_on_off = (command_1 >> 4) & 0x01;
+            var camera_on = (camera_on_off && ((command_1 >> 6) & 0x01));
+            var camera_off = (camera_on_off && !((command_1 >> 6) & 0x01));
+            var auto_scan = (command_1 >> 5) & 0x01;
+            var manual_scan = 0;
+        }
+
+        command.pan_speed = data_1;
+        command.tilt_speed = data_2;
+
+        // Pan Speed 0xFF is Turbo in Pelco D. Pelco P and BBV422 use 0x40
+        var pan_speed_string = '' + data_1;
+        if (data_1 === (pelco_d ? 0xFF : 0x40)) {
+            pan_speed_string = 'TURBO';
+            command.turbo = true;
         }
 
         if (left === 0 && right === 0) {
             msg_string += '[pan stop     ]';
+            command.pan = 'stop';
         } else if (left === 1 && right === 0) {
-            msg_string += '[PAN LEFT ('+data_1+')]';
+            msg_string += '[PAN LEFT ('+pan_speed_string+')]';
+            command.pan = 'left';
         } else if (left === 0 && right === 1) {
-            msg_string += '[PAN RIGHT('+data_1+')]';
+            msg_string += '[PAN RIGHT('+pan_speed_string+')]';
+            command.pan = 'right';
         } else { // left === 1 && right === 1)
-            msg_string += '[PAN ???? ('+data_1+')]';
+            msg_string += '[PAN ???? ('+pan_speed_string+')]';
+            command.pan = 'unknown';
         }
 
         if (up === 0 && down === 0) {
             msg_string += '[tilt stop    ]';
+            command.tilt = 'stop';
         } else if (up === 1 && down === 0) {
             msg_string += '[TILT UP  ('+data_2+')]';
+            command.tilt = 'up';
         } else if (up === 0 && down === 1) {
             msg_string += '[TILT DOWN('+data_2+')]';
+            command.tilt = 'down';
         } else { // (up === 1 && down === 1)
             msg_string += '[TILT ????('+data_2+')]';
+            command.tilt = 'unknown';
         }
 
         if (zoom_in === 0 && zoom_out === 0) {
             msg_string += '[zoom stop]';
+            command.zoom = 'stop';
         } else if (zoom_in === 1 && zoom_out === 0) {
             msg_string += '[ZOOM IN  ]';
+            command.zoom = 'in';
         } else if (zoom_in === 0 && zoom_out === 1) {
             msg_string += '[ZOOM OUT ]';
+            command.zoom = 'out';
         } else { // (zoom_in === 1 && zoom_out === 1)
             msg_string += '[ZOOM ????]';
+            command.zoom = 'unknown';
         }
 
         if (iris_open === 0 && iris_close === 0) {
             msg_string += '[iris stop ]';
+            command.iris = 'stop';
         } else if (iris_open === 1 && iris_close === 0) {
             msg_string += '[IRIS OPEN ]';
+            command.iris = 'open';
         } else if (iris_open === 0 && iris_close === 1) {
             msg_string += '[IRIS CLOSE]';
+            command.iris = 'close';
         } else { // (iris_open === 1 && iris_close === 1)
             msg_string += '[IRIS ???? ]';
+            command.iris = 'unknown';
         }
 
         if (focus_near === 0 && focus_far === 0) {
             msg_string += '[focus stop]';
+            command.focus = 'stop';
         } else if (focus_near === 1 && focus_far === 0) {
             msg_string += '[FOCUS NEAR]';
+            command.focus = 'near';
         } else if (focus_near === 0 && focus_far === 1) {
             msg_string += '[FOCUS FAR ]';
+            command.focus = 'far';
         } else { // (focus_near === 1 && focus_far === 1)
             msg_string += '[FOCUS ????]';
+            command.focus = 'unknown';
+        }
+
+        if (camera_on) {
+            msg_string += '[CAMERA ON]';
+            command.camera_power = 'on';
+        } else if (camera_off) {
+            msg_string += '[CAMERA OFF]';
+            command.camera_power = 'off';
+        }
+
+        if (auto_scan) {
+            msg_string += '[AUTO SCAN]';
+            command.scan = 'auto';
+        } else if (manual_scan) {
+            msg_string += '[MANUAL SCAN]';
+            command.scan = 'manual';
         }
 
     }
     this.emit("log",this.bytes_to_string(pelco_command_buffer, pelco_command_buffer.length) + ' ' + msg_string);
+    this.emit_command(command, pelco_command_buffer, pelco_command_buffer.length, msg_string);
 };
 
 decode_bosch(bosch_command_buffer) {
@@ -641,6 +892,8 @@ decode_bosch(bosch_command_buffer) {
     var camera_id = (high_order_address << 7) + low_order_address + 1;
 
     msg_string += 'Camera ' + camera_id + ' ';
+
+    var command = this.new_command('bosch', camera_id);
     
     //
     // OSRD Commands
@@ -674,55 +927,78 @@ decode_bosch(bosch_command_buffer) {
         var left  = (data_3 >> 1) & 0x01;
         var right = (data_3 >> 0) & 0x01;
 
+        command.pan_speed = pan_speed;
+        command.tilt_speed = tilt_speed;
+        command.zoom_speed = zoom_speed;
 
         if (left === 0 && right === 0) {
             msg_string += '[pan stop ('+pan_speed+')]';
+            command.pan = 'stop';
         } else if (left === 1 && right === 0) {
             msg_string += '[PAN LEFT ('+pan_speed+')]';
+            command.pan = 'left';
         } else if (left === 0 && right === 1) {
             msg_string += '[PAN RIGHT('+pan_speed+')]';
+            command.pan = 'right';
         } else { // left === 1 && right === 1)
             msg_string += '[PAN ???? ('+pan_speed+')]';
+            command.pan = 'unknown';
         }
 
         if (up === 0 && down === 0) {
             msg_string += '[tilt stop('+tilt_speed+')]';
+            command.tilt = 'stop';
         } else if (up === 1 && down === 0) {
             msg_string += '[TILT UP  ('+tilt_speed+')]';
+            command.tilt = 'up';
         } else if (up === 0 && down === 1) {
             msg_string += '[TILT DOWN('+tilt_speed+')]';
+            command.tilt = 'down';
         } else { // (up === 1 && down === 1)
             msg_string += '[TILT ????('+tilt_speed+')]';
+            command.tilt = 'unknown';
         }
 
         if (zoom_in === 0 && zoom_out === 0) {
             msg_string += '[zoom stop('+zoom_speed+')]';
+            command.zoom = 'stop';
         } else if (zoom_in === 1 && zoom_out === 0) {
             msg_string += '[ZOOM IN('+zoom_speed+')]';
+            command.zoom = 'in';
         } else if (zoom_in === 0 && zoom_out === 1) {
             msg_string += '[ZOOM OUT('+zoom_speed+')]';
+            command.zoom = 'out';
         } else { // (zoom_in === 1 && zoom_out === 1)
             msg_string += '[ZOOM ????]';
+            command.zoom = 'unknown';
         }
 
         if (iris_open === 0 && iris_close === 0) {
             msg_string += '[iris stop ]';
+            command.iris = 'stop';
         } else if (iris_open === 1 && iris_close === 0) {
             msg_string += '[IRIS OPEN ]';
+            command.iris = 'open';
         } else if (iris_open === 0 && iris_close === 1) {
             msg_string += '[IRIS CLOSE]';
+            command.iris = 'close';
         } else { // (iris_open === 1 && iris_close === 1)
             msg_string += '[IRIS ???? ]';
+            command.iris = 'unknown';
         }
 
         if (focus_near === 0 && focus_far === 0) {
             msg_string += '[focus stop]';
+            command.focus = 'stop';
         } else if (focus_near === 1 && focus_far === 0) {
             msg_string += '[FOCUS NEAR]';
+            command.focus = 'near';
         } else if (focus_near === 0 && focus_far === 1) {
             msg_string += '[FOCUS FAR ]';
+            command.focus = 'far';
         } else { // (focus_near === 1 && focus_far === 1)
             msg_string += '[FOCUS ????]';
+            command.focus = 'unknown';
         }
     }
     else if (op_code == 0x06) {
@@ -735,6 +1011,7 @@ decode_bosch(bosch_command_buffer) {
         var data_2 = bosch_command_buffer[5];
         var function_code = data_1 & 0x0F;
         var data = ((data_1 & 0x70)<< 3) + data_2;
+        var aux_actions = { 1: 'on', 2: 'off', 8: 'latch_cancel', 9: 'latch_on', 10: 'latch_off' };
         if (function_code == 1) msg_string += 'Aux On ' + data;
         else if (function_code == 2) msg_string += 'Aux Off ' + data;
         else if (function_code == 4) msg_string += 'Pre-position SET ' + data;
@@ -743,6 +1020,14 @@ decode_bosch(bosch_command_buffer) {
         else if (function_code == 9) msg_string += 'Latching Aux On ' + data;
         else if (function_code == 10) msg_string += 'Latching Aux Off ' + data;
         else msg_string += 'unknown aux or pre-position command ' + function_code + ' with value ' + data;
+
+        if (aux_actions[function_code]) {
+            command.aux_action = aux_actions[function_code];
+            command.aux = data;
+        } else if (function_code == 4 || function_code == 5) {
+            command.preset_action = (function_code == 4 ? 'set' : 'goto');
+            command.preset = data;
+        }
     }
     else if (op_code == 0x08) {
         msg_string += 'Repetitive Variable-speed PTZ, Focus and Iris';
@@ -784,6 +1069,7 @@ decode_bosch(bosch_command_buffer) {
     }
 
     this.emit("log",this.bytes_to_string(bosch_command_buffer,length+1) + ' ' + msg_string);
+    this.emit_command(command, bosch_command_buffer, length+1, msg_string);
 };
 
 fv_hex_ascii(byte_1,byte_2) {
@@ -814,6 +1100,8 @@ decode_forward_vision(fv_command_buffer,fv_command_length) {
 
     msg_string += 'Camera ' + camera_id + ' ';
 
+    var command = this.new_command('forward_vision', camera_id);
+
     if (control_code_char === 'G') {
         var data1 = this.fv_hex_ascii(fv_command_buffer[7], fv_command_buffer[8]);
         var data2 = this.fv_hex_ascii(fv_command_buffer[9], fv_command_buffer[10]);
@@ -845,56 +1133,92 @@ decode_forward_vision(fv_command_buffer,fv_command_length) {
         var aux_2_off_on  = (data3 >> 1) & 0x01;
         var aux_1_off_on  = (data3 >> 0) & 0x01;
 
+        command.pan_speed = pan_speed;
+        command.tilt_speed = tilt_speed;
+        command.zoom_speed = zoom_slow_fast;
+        if (autopan_off_on === 1) command.auto_pan = true;
+
+        // The G message always carries the state of every auxiliary output
+        command.aux_states = {
+            aux_1: aux_1_off_on,
+            aux_2: aux_2_off_on,
+            aux_3: aux_3_off_on,
+            wiper: wiper_off_on,
+            washer: washer_off_on,
+            lamp: lamp_control
+        };
+
         if (pan_off_on === 0) {
             msg_string += '[pan stop     ]';
+            command.pan = 'stop';
         } else if (pan_off_on === 1 && pan_left_right === 0) {
             msg_string += '[PAN LEFT ('+pan_speed+')]';
+            command.pan = 'left';
         } else if (pan_off_on === 1 && pan_left_right === 1) {
             msg_string += '[PAN RIGHT('+pan_speed+')]';
+            command.pan = 'right';
         } else {
             msg_string += '[PAN ???? ('+pan_speed+')]';
+            command.pan = 'unknown';
         }
 
         if (tilt_off_on === 0) {
             msg_string += '[tilt stop    ]';
+            command.tilt = 'stop';
         } else if (tilt_off_on === 1 && tilt_up_down === 0) {
             msg_string += '[TILT UP  ('+tilt_speed+')]';
+            command.tilt = 'up';
         } else if (tilt_off_on === 1 && tilt_up_down === 1) {
             msg_string += '[TILT DOWN('+tilt_speed+')]';
+            command.tilt = 'down';
         } else {
             msg_string += '[TILT ????('+tilt_speed+')]';
+            command.tilt = 'unknown';
         }
 
         if (zoom_off_on === 0) {
             msg_string += '[zoom stop]';
+            command.zoom = 'stop';
         } else if (zoom_off_on === 1 && zoom_tele_wide === 0) {
             msg_string += '[ZOOM IN ('+zoom_slow_fast+')]';
+            command.zoom = 'in';
         } else if (zoom_off_on === 1 && zoom_tele_wide === 1) {
             msg_string += '[ZOOM OUT('+zoom_slow_fast+')]';
+            command.zoom = 'out';
         } else {
             msg_string += '[ZOOM ???]';
+            command.zoom = 'unknown';
         }
 
         if (iris_control === 0) {
             msg_string += '[iris stop]';
+            command.iris = 'stop';
         } else if (iris_control === 1) {
             msg_string += '[IRIS CLOSE]';
+            command.iris = 'close';
         } else if (iris_control === 2) {
             msg_string += '[IRIS OPEN]';
+            command.iris = 'open';
         } else if (iris_control === 3) {
             msg_string += '[IRIS AUTO]';
+            command.iris = 'auto';
         } else {
             msg_string += '[IRIS ????]';
+            command.iris = 'unknown';
         }
 
         if (focus_off_on === 0) {
             msg_string += '[focus stop]';
+            command.focus = 'stop';
         } else if (focus_off_on === 1 && focus_near_far === 0) {
             msg_string += '[FOCUS NEAR]';
+            command.focus = 'near';
         } else if (focus_off_on === 1 && focus_near_far === 1) {
             msg_string += '[FOCUS FAR ]';
+            command.focus = 'far';
         } else {
             msg_string += '[FOCUS ????]';
+            command.focus = 'unknown';
         }
 
         msg_string += ' Aux1='+aux_1_off_on;
@@ -910,11 +1234,15 @@ decode_forward_vision(fv_command_buffer,fv_command_length) {
         var preset = this.fv_hex_ascii(fv_command_buffer[7], fv_command_buffer[8]);
 
         msg_string += 'Goto Preset ' + preset;
+        command.preset_action = 'goto';
+        command.preset = preset;
     }
     else if (control_code_char === 'M') {
         var preset = this.fv_hex_ascii(fv_command_buffer[7], fv_command_buffer[8]);
 
         msg_string += 'Store Preset ' + preset;
+        command.preset_action = 'set';
+        command.preset = preset;
     }
     else if (control_code_char === 'O') {
         msg_string += 'Get Current Position';
@@ -932,6 +1260,7 @@ decode_forward_vision(fv_command_buffer,fv_command_length) {
 
 
     this.emit("log",this.bytes_to_string(fv_command_buffer,fv_command_length) + ' ' + msg_string);
+    this.emit_command(command, fv_command_buffer, fv_command_length, msg_string);
 };
 
 
@@ -967,65 +1296,93 @@ decode_vicon(vicon_command_buffer,vicon_command_length) {
 
         msg_string += 'Camera ' + camera_id + ' ';
 
+        var command = this.new_command('vicon', camera_id);
+        command.pan_speed = pan_speed;
+        command.tilt_speed = tilt_speed;
+
         if (left === 0 && right === 0) {
             msg_string += '[pan stop     ]';
+            command.pan = 'stop';
         } else if (left === 1 && right === 0) {
             msg_string += '[PAN LEFT ('+pan_speed+')]';
+            command.pan = 'left';
         } else if (left === 0 && right === 1) {
             msg_string += '[PAN RIGHT('+pan_speed+')]';
+            command.pan = 'right';
         } else { // left === 1 && right === 1)
             msg_string += '[PAN ???? ('+pan_speed+')]';
+            command.pan = 'unknown';
         }
 
         if (up === 0 && down === 0) {
             msg_string += '[tilt stop    ]';
+            command.tilt = 'stop';
         } else if (up === 1 && down === 0) {
             msg_string += '[TILT UP  ('+tilt_speed+')]';
+            command.tilt = 'up';
         } else if (up === 0 && down === 1) {
             msg_string += '[TILT DOWN('+tilt_speed+')]';
+            command.tilt = 'down';
         } else { // (up === 1 && down === 1)
             msg_string += '[TILT ????('+tilt_speed+')]';
+            command.tilt = 'unknown';
         }
 
         if (zoom_in === 0 && zoom_out === 0) {
             msg_string += '[zoom stop]';
+            command.zoom = 'stop';
         } else if (zoom_in === 1 && zoom_out === 0) {
             msg_string += '[ZOOM IN]';
+            command.zoom = 'in';
         } else if (zoom_in === 0 && zoom_out === 1) {
             msg_string += '[ZOOM OUT]';
+            command.zoom = 'out';
         } else { // (zoom_in === 1 && zoom_out === 1)
             msg_string += '[ZOOM ???]';
+            command.zoom = 'unknown';
         }
 
         if (iris_open === 0 && iris_close === 0) {
             msg_string += '[iris stop ]';
+            command.iris = 'stop';
         } else if (iris_open === 1 && iris_close === 0) {
             msg_string += '[IRIS OPEN ]';
+            command.iris = 'open';
         } else if (iris_open === 0 && iris_close === 1) {
             msg_string += '[IRIS CLOSE]';
+            command.iris = 'close';
         } else { // (iris_open === 1 && iris_close === 1)
             msg_string += '[IRIS ???? ]';
+            command.iris = 'unknown';
         }
 
         if (focus_near === 0 && focus_far === 0) {
             msg_string += '[focus stop]';
+            command.focus = 'stop';
         } else if (focus_near === 1 && focus_far === 0) {
             msg_string += '[FOCUS NEAR]';
+            command.focus = 'near';
         } else if (focus_near === 0 && focus_far === 1) {
             msg_string += '[FOCUS FAR ]';
+            command.focus = 'far';
         } else { // (focus_near === 1 && focus_far === 1)
             msg_string += '[FOCUS ????]';
+            command.focus = 'unknown';
         }
 
         if (auto_pan === 1) {
             msg_string += '[AutoPan]';
+            command.auto_pan = true;
         }
 
         if (goto_preset === 1) {
             msg_string += '[Goto Preset '+ preset_value + ']';
+            command.preset_action = 'goto';
+            command.preset = preset_value;
         }
 
         this.emit("log",this.bytes_to_string(vicon_command_buffer,vicon_command_length) + ' ' + msg_string);
+        this.emit_command(command, vicon_command_buffer, vicon_command_length, msg_string);
 };
 
 
@@ -1079,6 +1436,7 @@ decode_vcl(new_byte) {
     var camera_id = this.vcl_command_buffer[0] - 0x7F;
     msg_string += 'Camera ' + camera_id + ' ';
 
+    var command = this.new_command('vcl', camera_id);
 
     var byte2 = this.vcl_command_buffer[1];
 
@@ -1089,41 +1447,41 @@ decode_vcl(new_byte) {
         byte3 = this.vcl_command_buffer[2];
     }
 
-    if      (byte2 == 0x2A) msg_string += '[Zoom In Stop]';
-    else if (byte2 == 0x2B) msg_string += '[Zoom Out Stop]';
-    else if (byte2 == 0x2C) msg_string += '[Focus Near Stop]';
-    else if (byte2 == 0x2D) msg_string += '[Focus Far Stop]';
-    else if (byte2 == 0x2E) msg_string += '[Iris Open Stop]';
-    else if (byte2 == 0x2F) msg_string += '[Iris Close Stop]';
-    else if (byte2 == 0x3A) msg_string += '[Zoom In]';
-    else if (byte2 == 0x3B) msg_string += '[Zoom Out]';
-    else if (byte2 == 0x3C) msg_string += '[Focus Near]';
-    else if (byte2 == 0x3D) msg_string += '[Focus Far]';
-    else if (byte2 == 0x3E) msg_string += '[Iris Open]';
-    else if (byte2 == 0x3F) msg_string += '[Iris Close]';
-    else if (byte2 == 0x41) msg_string += '[Auto Focus]';
-    else if (byte2 == 0x4D) msg_string += '[Auto Iris]';
-    else if (byte2 == 0x5B) msg_string += '[Aux 1 On]';
-    else if (byte2 == 0x5C) msg_string += '[Aux 2 On]';
-    else if (byte2 == 0x5D) msg_string += '[Aux 3 On]';
-    else if (byte2 == 0x61) msg_string += '[Manual Focus]';
-    else if (byte2 == 0x6C) msg_string += '[Pan Stop 2 (6c)]';
-    else if (byte2 == 0x6D) msg_string += '[Manual Iris]';
-    else if (byte2 == 0x6E) msg_string += '[Tilt Stop 2 (6e)]';
-    else if (byte2 == 0x70) msg_string += '[Stop Recording Pattern]';
-    else if (byte2 == 0x72) msg_string += '[Pan Stop 1]';
-    else if (byte2 == 0x75) msg_string += '[Tilt Stop 1]';
-    else if (byte2 == 0x7B) msg_string += '[Aux 1 Off]';
-    else if (byte2 == 0x7C) msg_string += '[Aux 2 Off]';
-    else if (byte2 == 0x7D) msg_string += '[Aux 3 Off]';
-    else if (byte2 == 0x42 && has_byte3) msg_string += '[Goto Preset ' + byte3 + ']';
-    else if (byte2 == 0x47 && has_byte3) msg_string += '[Store Preset ' + byte3 + ']';
-    else if (byte2 == 0x4E && has_byte3) msg_string += '[Tilt Down ' + byte3 + ']';
-    else if (byte2 == 0x4C && has_byte3) msg_string += '[Pan Left ' + byte3 + ']';
-    else if (byte2 == 0x50 && has_byte3) msg_string += '[Start Recording Pattern ' + byte3 + ']';
-    else if (byte2 == 0x52 && has_byte3) msg_string += '[Pan Right ' + byte3 + ']';
-    else if (byte2 == 0x55 && has_byte3) msg_string += '[Tilt Up ' + byte3 + ']';
-    else if (byte2 == 0x5E && has_byte3) msg_string += '[Start Tour/Pattern ' + byte3 + ']';
+    if      (byte2 == 0x2A) { msg_string += '[Zoom In Stop]'; command.zoom = 'stop'; }
+    else if (byte2 == 0x2B) { msg_string += '[Zoom Out Stop]'; command.zoom = 'stop'; }
+    else if (byte2 == 0x2C) { msg_string += '[Focus Near Stop]'; command.focus = 'stop'; }
+    else if (byte2 == 0x2D) { msg_string += '[Focus Far Stop]'; command.focus = 'stop'; }
+    else if (byte2 == 0x2E) { msg_string += '[Iris Open Stop]'; command.iris = 'stop'; }
+    else if (byte2 == 0x2F) { msg_string += '[Iris Close Stop]'; command.iris = 'stop'; }
+    else if (byte2 == 0x3A) { msg_string += '[Zoom In]'; command.zoom = 'in'; }
+    else if (byte2 == 0x3B) { msg_string += '[Zoom Out]'; command.zoom = 'out'; }
+    else if (byte2 == 0x3C) { msg_string += '[Focus Near]'; command.focus = 'near'; }
+    else if (byte2 == 0x3D) { msg_string += '[Focus Far]'; command.focus = 'far'; }
+    else if (byte2 == 0x3E) { msg_string += '[Iris Open]'; command.iris = 'open'; }
+    else if (byte2 == 0x3F) { msg_string += '[Iris Close]'; command.iris = 'close'; }
+    else if (byte2 == 0x41) { msg_string += '[Auto Focus]'; command.focus = 'auto'; }
+    else if (byte2 == 0x4D) { msg_string += '[Auto Iris]'; command.iris = 'auto'; }
+    else if (byte2 == 0x5B) { msg_string += '[Aux 1 On]'; command.aux_action = 'on'; command.aux = 1; }
+    else if (byte2 == 0x5C) { msg_string += '[Aux 2 On]'; command.aux_action = 'on'; command.aux = 2; }
+    else if (byte2 == 0x5D) { msg_string += '[Aux 3 On]'; command.aux_action = 'on'; command.aux = 3; }
+    else if (byte2 == 0x61) { msg_string += '[Manual Focus]'; command.focus = 'manual'; }
+    else if (byte2 == 0x6C) { msg_string += '[Pan Stop 2 (6c)]'; command.pan = 'stop'; }
+    else if (byte2 == 0x6D) { msg_string += '[Manual Iris]'; command.iris = 'manual'; }
+    else if (byte2 == 0x6E) { msg_string += '[Tilt Stop 2 (6e)]'; command.tilt = 'stop'; }
+    else if (byte2 == 0x70) { msg_string += '[Stop Recording Pattern]'; command.tour_action = 'record_stop'; }
+    else if (byte2 == 0x72) { msg_string += '[Pan Stop 1]'; command.pan = 'stop'; }
+    else if (byte2 == 0x75) { msg_string += '[Tilt Stop 1]'; command.tilt = 'stop'; }
+    else if (byte2 == 0x7B) { msg_string += '[Aux 1 Off]'; command.aux_action = 'off'; command.aux = 1; }
+    else if (byte2 == 0x7C) { msg_string += '[Aux 2 Off]'; command.aux_action = 'off'; command.aux = 2; }
+    else if (byte2 == 0x7D) { msg_string += '[Aux 3 Off]'; command.aux_action = 'off'; command.aux = 3; }
+    else if (byte2 == 0x42 && has_byte3) { msg_string += '[Goto Preset ' + byte3 + ']'; command.preset_action = 'goto'; command.preset = byte3; }
+    else if (byte2 == 0x47 && has_byte3) { msg_string += '[Store Preset ' + byte3 + ']'; command.preset_action = 'set'; command.preset = byte3; }
+    else if (byte2 == 0x4E && has_byte3) { msg_string += '[Tilt Down ' + byte3 + ']'; command.tilt = 'down'; command.tilt_speed = byte3; }
+    else if (byte2 == 0x4C && has_byte3) { msg_string += '[Pan Left ' + byte3 + ']'; command.pan = 'left'; command.pan_speed = byte3; }
+    else if (byte2 == 0x50 && has_byte3) { msg_string += '[Start Recording Pattern ' + byte3 + ']'; command.tour_action = 'record_start'; command.tour = byte3; }
+    else if (byte2 == 0x52 && has_byte3) { msg_string += '[Pan Right ' + byte3 + ']'; command.pan = 'right'; command.pan_speed = byte3; }
+    else if (byte2 == 0x55 && has_byte3) { msg_string += '[Tilt Up ' + byte3 + ']'; command.tilt = 'up'; command.tilt_speed = byte3; }
+    else if (byte2 == 0x5E && has_byte3) { msg_string += '[Start Tour/Pattern ' + byte3 + ']'; command.tour_action = 'start'; command.tour = byte3; }
     else {
         // invalid command (byte2 not in our list)
         // do nothing. We wait for a 0x80..0xFF value to arrive
@@ -1132,6 +1490,7 @@ decode_vcl(new_byte) {
     }
 
     this.emit("log",this.bytes_to_string(this.vcl_command_buffer,this.vcl_command_length) + ' ' + msg_string);
+    this.emit_command(command, this.vcl_command_buffer, this.vcl_command_index, msg_string);
 
     this.vcl_command_index = 0; // reset the buffer
 };
@@ -1164,54 +1523,76 @@ decode_ad422(ad_command_buffer) {
     var length = this.ad_message_length(ad_command_buffer[1],ad_command_buffer[2]);
 
     msg_string += 'Camera ' + camera_id + ' ';
-    
+
+    var command = this.new_command('ad422', camera_id);
+
     if (command_code == 0x81) {
         msg_string += 'Pan Left';
+        command.pan = 'left';
     }
     else if (command_code == 0x82) {
         msg_string += 'Pan Right';
+        command.pan = 'right';
     }
     else if (command_code == 0x83) {
         msg_string += 'Pan Stop';
+        command.pan = 'stop';
     }
     else if (command_code == 0x84) {
         msg_string += 'Tilt Up';
+        command.tilt = 'up';
     }
     else if (command_code == 0x85) {
         msg_string += 'Tilt Down';
+        command.tilt = 'down';
     }
     else if (command_code == 0x86) {
         msg_string += 'Tilt Stop';
+        command.tilt = 'stop';
     }
     else if (command_code == 0x87) {
         msg_string += 'Focus Near';
+        command.focus = 'near';
     }
     else if (command_code == 0x88) {
         msg_string += 'Focus Far';
+        command.focus = 'far';
     }
     else if (command_code == 0x89) {
         msg_string += 'Focus Stop';
+        command.focus = 'stop';
     }
     else if (command_code == 0x8A) {
         msg_string += 'Zoom In';
+        command.zoom = 'in';
     }
     else if (command_code == 0x8B) {
         msg_string += 'Zoom Out';
+        command.zoom = 'out';
     }
     else if (command_code == 0x8C) {
         msg_string += 'Zoom Stop';
+        command.zoom = 'stop';
     }
     else if (command_code == 0x90) {
         msg_string += 'Iris Open';
+        command.iris = 'open';
     }
     else if (command_code == 0x91) {
         msg_string += 'Iris Close';
+        command.iris = 'close';
     }
     else if (command_code == 0x92) {
         msg_string += 'Iris Stop';
+        command.iris = 'stop';
     }
     else if (command_code == 0x93) {
         msg_string += 'All Stop';
+        command.pan = 'stop';
+        command.tilt = 'stop';
+        command.zoom = 'stop';
+        command.focus = 'stop';
+        command.iris = 'stop';
     }
     else if (command_code == 0x98) {
         msg_string += 'Suspend replies from camera';
@@ -1222,47 +1603,78 @@ decode_ad422(ad_command_buffer) {
     else if (command_code == 0xA5) {
         msg_string += 'Request Position';
     }
+    else if (command_code == 0xA6) {
+        msg_string += 'Goto Absolute Position';
+    }
     else if (command_code == 0xA8) {
         msg_string += 'Store Target 1';
+        command.preset_action = 'set';
+        command.preset = 1;
     }
     else if (command_code == 0xA9) {
         msg_string += 'Store Target 2';
+        command.preset_action = 'set';
+        command.preset = 2;
     }
     else if (command_code == 0xAA) {
         msg_string += 'Store Target 3';
+        command.preset_action = 'set';
+        command.preset = 3;
     }
     else if (command_code == 0xAB) {
         msg_string += 'Store Target 4';
+        command.preset_action = 'set';
+        command.preset = 4;
     }
     else if (command_code == 0xB4) {
         msg_string += 'Goto Target 1';
+        command.preset_action = 'goto';
+        command.preset = 1;
     }
     else if (command_code == 0xB5) {
         msg_string += 'Goto Target 2';
+        command.preset_action = 'goto';
+        command.preset = 2;
     }
     else if (command_code == 0xB6) {
         msg_string += 'Goto Target 3';
+        command.preset_action = 'goto';
+        command.preset = 3;
     }
     else if (command_code == 0xB7) {
         msg_string += 'Goto Target 4';
+        command.preset_action = 'goto';
+        command.preset = 4;
     }
     else if (command_code == 0xB9) {
         msg_string += 'Store Target 5';
+        command.preset_action = 'set';
+        command.preset = 5;
     }
     else if (command_code == 0xBA) {
         msg_string += 'Store Target 6';
+        command.preset_action = 'set';
+        command.preset = 6;
     }
     else if (command_code == 0xBB) {
         msg_string += 'Store Target 7';
+        command.preset_action = 'set';
+        command.preset = 7;
     }
     else if (command_code == 0xBC) {
         msg_string += 'Goto Target 5';
+        command.preset_action = 'goto';
+        command.preset = 5;
     }
     else if (command_code == 0xBD) {
         msg_string += 'Goto Target 6';
+        command.preset_action = 'goto';
+        command.preset = 6;
     }
     else if (command_code == 0xBE) {
         msg_string += 'Goto Target 7';
+        command.preset_action = 'goto';
+        command.preset = 7;
     }
     else if (command_code == 0xC0) {
         var direction = ad_command_buffer[2];
@@ -1271,19 +1683,36 @@ decode_ad422(ad_command_buffer) {
         else if (direction == 0x82) msg_string += 'Pan Right (' + speed + ')';
         else if (direction == 0x84) msg_string += 'Tilt Up (' + speed + ')';
         else if (direction == 0x85) msg_string += 'Tilt Down (' + speed + ')';
+
+        if (direction == 0x81 || direction == 0x82) {
+            command.pan = (direction == 0x81 ? 'left' : 'right');
+            command.pan_speed = speed;
+        } else if (direction == 0x84 || direction == 0x85) {
+            command.tilt = (direction == 0x84 ? 'up' : 'down');
+            command.tilt_speed = speed;
+        }
     }
     else if (command_code == 0xC4) {
         msg_string += 'Get Configuration Buffer';
     }
     else if (command_code == 0xCC) {
         var additional_command = ad_command_buffer[2];
-        if (additional_command == 0x08) msg_string += 'Auto Focus Auto Iris';
+        if (additional_command == 0x08) {
+            msg_string += 'Auto Focus Auto Iris';
+            command.focus = 'auto';
+            command.iris = 'auto';
+        }
     }
     else if (command_code == 0xC7) {
         var additional_command = ad_command_buffer[2];
         var preset = ad_command_buffer[3];
         if (additional_command == 0x01) msg_string += 'Set Preset ' + preset;
         if (additional_command == 0x02) msg_string += 'Goto Preset ' + preset;
+
+        if (additional_command == 0x01 || additional_command == 0x02) {
+            command.preset_action = (additional_command == 0x01 ? 'set' : 'goto');
+            command.preset = preset;
+        }
     }
     else if (command_code >= 0xE0 && command_code <= 0xEF) {
         msg_string += 'Controlling Output Pins 0x' + this.DecToHexPad(command_code & 0x0F,1)
@@ -1324,96 +1753,183 @@ command_code;
     }
 
     this.emit("log",this.bytes_to_string(ad_command_buffer,length) + ' ' + msg_string);
+    this.emit_command(command, ad_command_buffer, length, msg_string);
 
     return;
 };
 
 decode_panasonic(buffer,length) {
 
+    // Panasonic is STX, an optional Camera Select (ADnnn;) then GC, a length character and
+    // a list of 7 character commands split by ':'
+    // Most commands are a 3 character group, a type (1 = command, 2 = data for the previous command) and a 3 digit hex value
+
     var msg_string = "";
 
     msg_string += "Panasonic ";
 
-    var command = '';
+    var command = this.new_command('panasonic', undefined);
+
+    var command_string = '';
     for (var i = 1; i < length -1; i++) {
-        command += String.fromCharCode(buffer[i]);
+        command_string += String.fromCharCode(buffer[i]);
     }
-    msg_string += command;
+    msg_string += command_string;
     msg_string += ' ';
 
-    var commands = command.split(/[;:]/); // split regex on : or ;
+    var commands = command_string.split(/[;:]/); // split regex on : or ;
 
     var cmd_index = 0;
     for (cmd_index = 0; cmd_index < commands.length; cmd_index++) {
-      if (commands[cmd_index] == '0021002') { msg_string += '[Iris Open With Timeout]';}
-      if (commands[cmd_index] == '0021003') { msg_string += '[Iris Close With Timeout]';}
-      if (commands[cmd_index] == '0021004') { msg_string += '[Iris Stop]';}
-      if (commands[cmd_index] == '0021005') { msg_string += '[Iris Reset]';}
-      if (commands[cmd_index] == '0021040') { msg_string += '[B/W On]';}
-      if (commands[cmd_index] == '0021041') { msg_string += '[B/W Off]';}
-
-      if (commands[cmd_index] == '00219F0') { 
+      var cmd = commands[cmd_index];
+
+      // Camera Select. Decimal camera number
+      if (cmd.startsWith("AD")) {
+        command.camera = parseInt(cmd.substring(2),10);
+        msg_string += '[Cam ' + command.camera + ']';
+        continue;
+      }
+
+      // Message header with the length character
+      if (cmd.startsWith("GC")) continue;
+
+      if (cmd == '0021002') { msg_string += '[Iris Open With Timeout]'; command.iris = 'open'; }
+      else if (cmd == '0021003') { msg_string += '[Iris Close With Timeout]'; command.iris = 'close'; }
+      else if (cmd == '0021004') { msg_string += '[Iris Stop]'; command.iris = 'stop'; }
+      else if (cmd == '0021005') { msg_string += '[Iris Reset]'; command.iris = 'auto'; }
+      else if (cmd == '0021040') { msg_string += '[B/W On]'; command.black_and_white = 'on'; }
+      else if (cmd == '0021041') { msg_string += '[B/W Off]'; command.black_and_white = 'off'; }
+
+      else if (cmd == '00219F0') { 
          cmd_index++; // add extra increment as we are processing 2 commands
-         var txt_str = commands[cmd_index];
+         var txt_str = commands[cmd_index] || '';
          var value = parseInt('0x' + txt_str.substring(4,6));
-         if (txt_str >= '0022000' && txt_str <= '00223F0') msg_string += '[Call Preset ' + (value+1) + ']';
-         if (txt_str >= '0022640' && txt_str <= '0022A30') msg_string += '[Set Preset ' + ((value-0x64)+1)+ ']';
+         if (txt_str >= '0022000' && txt_str <= '00223F0') {
+           msg_string += '[Call Preset ' + (value+1) + ']';
+           command.preset_action = 'goto';
+           command.preset = value+1;
+         }
+         else if (txt_str >= '0022640' && txt_str <= '0022A30') {
+           msg_string += '[Set Preset ' + ((value-0x64)+1)+ ']';
+           command.preset_action = 'set';
+           command.preset = (value-0x64)+1;
+         }
+         else msg_string += '[Unknown Preset Command ' + txt_str + ']';
+      }
+
+      else if (cmd == '2021224') { msg_string += '[Zoom Stop & Focus Stop With Timeout]'; command.zoom = 'stop'; command.focus = 'stop'; }
+
+      // Zoom (0x228 to 0x22F) and Focus (0x268 to 0x26F) are believed to use
+      // bit 2 for the direction and bits 0 and 1 for the speed
+      else if (cmd >= '2021228' && cmd <= '202122F') {
+        var zoom_value = parseInt(cmd.substring(6,7),16);
+        command.zoom = (zoom_value & 0x04 ? 'out' : 'in');
+        command.zoom_speed = zoom_value & 0x03;
+        msg_string += '[Zoom ' + (command.zoom == 'in' ? 'In' : 'Out') + ' With Timeout (' + command.zoom_speed + ')]';
+      }
+      else if (cmd >= '2021268' && cmd <= '202126F') {
+        var focus_value = parseInt(cmd.substring(6,7),16);
+        command.focus = (focus_value & 0x04 ? 'near' : 'far');
+        command.focus_speed = focus_value & 0x03;
+        msg_string += '[Focus ' + (command.focus == 'far' ? 'Far' : 'Near') + ' With Timeout (' + command.focus_speed + ')]';
+      }
+
+      // Aux 1 to 4. Even values are On and odd values are Off
+      else if (cmd >= '2021160' && cmd <= '2021167') {
+        var aux_value = parseInt(cmd.substring(4,7),16) - 0x160;
+        command.aux_action = (aux_value & 0x01 ? 'off' : 'on');
+        command.aux = (aux_value >> 1) + 1;
+        msg_string += '[Aux ' + command.aux + (command.aux_action == 'on' ? ' On]' : ' Off]');
       }
-  
-      if (commands[cmd_index] == '2021160') { msg_string += '[Aux 1 On]';}
-      if (commands[cmd_index] == '2021161') { msg_string += '[Aux 1 Off]';}
-      if (commands[cmd_index] == '2021224') { msg_string += '[Zoom Stop & Focus Stop With Timeout]';}
-  
-      if (commands[cmd_index] == '2021228') { msg_string += '[Zoom In With Timeout]';}
-      if (commands[cmd_index] == '202122C') { msg_string += '[Zoom Out With Timeout]';}
-      if (commands[cmd_index] == '202126A') { msg_string += '[Focus Far With Timeout]';}
-      if (commands[cmd_index] == '202126E') { msg_string += '[Focus Near With Timeout]';}
-
-      if (commands[cmd_index].startsWith('90310')) { 
-        var preset_number = parseInt('0x' + commands[cmd_index].substring(5,7));
+
+      else if (cmd.startsWith('90310')) { 
+        var preset_number = parseInt('0x' + cmd.substring(5,7));
         msg_string += '[Call Preset ' + preset_number + ']';
+        command.preset_action = 'goto';
+        command.preset = preset_number;
       }
-      if (commands[cmd_index].startsWith('90311')) {
-        var preset_number = parseInt('0x' + commands[cmd_index].substring(5,7));
+      else if (cmd.startsWith('90311')) {
+        var preset_number = parseInt('0x' + cmd.substring(5,7));
         msg_string += '[Set Preset ' + preset_number + ']';
+        command.preset_action = 'set';
+        command.preset = preset_number;
       }
 
-      if (commands[cmd_index].startsWith("AD")) { msg_string += '[Cam NN]';}
-      if (commands[cmd_index].startsWith("D")) {
-        var zoom_char = commands[cmd_index].charAt(1);
-        var pt_dir_char = commands[cmd_index].charAt(2);
-        var pan_speed_str = commands[cmd_index].substring(3,5);
-        var tilt_speed_str = commands[cmd_index].substring(5,7);
+      else if (cmd.startsWith("D") && cmd.length == 7) {
+        var zoom_char = cmd.charAt(1);
+        var pt_dir_char = cmd.charAt(2);
+        var pan_speed_str = cmd.substring(3,5);
+        var tilt_speed_str = cmd.substring(5,7);
         var zoom_byte = parseInt(zoom_char,16); // Hex to Dec
         var pt_direction_byte = parseInt(pt_dir_char,16); // Hex to Dec
         var pan_speed = parseInt(pan_speed_str,16); // Hex to Dec
         var tilt_speed = parseInt(tilt_speed_str,16); // Hex to Dec
 
-	if (pt_direction_byte == 1) msg_string += '[Pan Stop][Tilt Stop]';
-	else if (pt_direction_byte == 8) msg_string += '[Pan Left (' + pan_speed + ')]';
-	else if (pt_direction_byte == 9) msg_string += '[Pan Left (' + pan_speed + ')]' + 'Tilt Up (' + tilt_speed + ')]';
-	else if (pt_direction_byte == 12) msg_string += '[Pan Right (' + pan_speed + ')]';
-	else if (pt_direction_byte == 10) msg_string += '[Tilt Up (' + tilt_speed + ')]';
-	else if (pt_direction_byte == 11) msg_string += '[Pan Right (' + pan_speed + ')]' + 'Tilt Up (' + tilt_speed + ')]';
-	else if (pt_direction_byte == 13) msg_string += '[Pan Right (' + pan_speed + ')]' + 'Tilt Down (' + tilt_speed + ')]';
-	else if (pt_direction_byte == 14) msg_string += '[Tilt Down (' + tilt_speed + ')]';
-	else if (pt_direction_byte == 15) msg_string += '[Pan Left (' + pan_speed + ')]' + 'Tilt Down (' + tilt_speed + ')]';
-        else msg_string += '[Other Pan/Tilt/Zoom command]';
-
-        msg_string += '[Zoom byte is ' + zoom_byte + ']';
+        // Pan/Tilt direction. Bit 3 is set when moving and bits 0 to 2 go clockwise from Left
+        // 8=Left 9=Left+Up 10=Up 11=Right+Up 12=Right 13=Right+Down 14=Down 15=Left+Down
+        var pan_directions  = ['left', 'left', 'stop', 'right', 'right', 'right', 'stop', 'left'];
+        var tilt_directions = ['stop', 'up', 'up', 'up', 'stop', 'down', 'down', 'down'];
+        if (pt_direction_byte & 0x08) {
+          command.pan = pan_directions[pt_direction_byte & 0x07];
+          command.tilt = tilt_directions[pt_direction_byte & 0x07];
+        } else {
+          command.pan = 'stop';
+          command.tilt = 'stop';
+        }
+        command.pan_speed = pan_speed;
+        command.tilt_speed = tilt_speed;
+
+        if (command.pan == 'stop' && command.tilt == 'stop') msg_string += '[Pan Stop][Tilt Stop]';
+        if (command.pan == 'left') msg_string += '[Pan Left (' + pan_speed + ')]';
+        if (command.pan == 'right') msg_string += '[Pan Right (' + pan_speed + ')]';
+        if (command.tilt == 'up') msg_string += '[Tilt Up (' + tilt_speed + ')]';
+        if (command.tilt == 'down') msg_string += '[Tilt Down (' + tilt_speed + ')]';
+
+        // Zoom uses the same layout as the Zoom command. Bit 3 set when zooming, bit 2 for the direction and bits 0 and 1 for the speed
+        if (zoom_byte & 0x08) {
+          command.zoom = (zoom_byte & 0x04 ? 'out' : 'in');
+          command.zoom_speed = zoom_byte & 0x03;
+          msg_string += '[Zoom ' + (command.zoom == 'in' ? 'In' : 'Out') + ' (' + command.zoom_speed + ')]';
+        } else {
+          command.zoom = 'stop';
+          msg_string += '[Zoom Stop]';
+        }
+      }
+
+      // Menu and other commands go in command.menu with any data values that follow them
+      // eg 002110C then 2021400 with data 000 is [{ code: '002110C', data: [] }, { code: '2021400', data: ['000'] }]
+      else if (cmd.length == 7 && cmd.charAt(3) == '1') {
+        var menu_item = { code: cmd, data: [] };
+        msg_string += '[Command ' + cmd.substring(0,3) + '-' + cmd.substring(4,7);
+        while (cmd_index + 1 < commands.length && commands[cmd_index + 1].length == 7
+               && commands[cmd_index + 1].charAt(3) == '2'
+               && commands[cmd_index + 1].substring(0,3) == cmd.substring(0,3)) {
+          cmd_index++;
+          menu_item.data.push(commands[cmd_index].substring(4,7));
+          msg_string += ' ' + commands[cmd_index].substring(4,7);
+        }
+        msg_string += ']';
+        if (command.menu === undefined) command.menu = [];
+        command.menu.push(menu_item);
+      }
+      else {
+        msg_string += '[Unknown ' + cmd + ']';
       }
 
     }
 
     this.emit("log",msg_string);
+    this.emit_command(command, buffer, length, msg_string);
     return;
 };
 
-decode_visca(buffer,length) {
+// ip_header is set when the message came from a VISCA over IP packet (see processViscaIP)
+decode_visca(buffer,length,ip_header) {
 
     var msg_string = "";
 
     msg_string += "VISCA ";
+    if (ip_header) msg_string += "IP Seq " + ip_header.sequence + " ";
 
     // Get Sender and Receiver (or Broadcast) address details
     var sender_id = (buffer[0] >> 4) & 0x07;
@@ -1445,14 +1961,26 @@ decode_visca(buffer,length) {
 
     if (process==false) return;
 
+    // Replies come from the camera (the sender) and go to the controller
+    var reply = ((buffer[1]&0xF0) >= 0x40);
+    var camera_id = (reply ? sender_id : receiver_id);
+    var command = this.new_command('visca', (broadcast_bit == 0 ? camera_id : undefined));
+    if (ip_header) this.visca_ip_fields(command, ip_header);
 
-    if (length == 9 && buffer[1] == 0x01 && buffer[2] == 0x06 && buffer[3] == 0x01) {
+    if (reply) {
+        msg_string += this.decode_visca_reply(buffer, length, command);
+    } else if (length == 9 && buffer[1] == 0x01 && buffer[2] == 0x06 && buffer[3] == 0x01) {
         // Pan/Tilt command
         var pan_speed = buffer[4];
         var tilt_speed = buffer[5];
         var pan_direction = buffer[6];
         var tilt_direction = buffer[7];
 
+        command.pan = { 0x01: 'left', 0x02: 'right', 0x03: 'stop' }[pan_direction] || 'unknown';
+        command.pan_speed = pan_speed;
+        command.tilt = { 0x01: 'up', 0x02: 'down', 0x03: 'stop' }[tilt_direction] || 'unknown';
+        command.tilt_speed = tilt_speed;
+
         if (pan_direction == 0x01) msg_string += '[Pan Left(' + pan_speed + ')]';
         else if (pan_direction == 0x02) msg_string += '[Pan Right(' + pan_speed + ')]';
         else if (pan_direction == 0x03) msg_string += '[Pan Stop]';
@@ -1462,77 +1990,150 @@ decode_visca(buffer,length) {
         else if (tilt_direction == 0x02) msg_string += '[Tilt Down(' + tilt_speed + ')]';
         else if (tilt_direction == 0x03) msg_string += '[Tilt Stop]';
         else msg_string += '[Tilt ????]';
-    } else if (length == 15 && buffer[1] == 0x01 && buffer[2] == 0x06 && buffer[3] == 0x02) {
-        // Pan/Tilt command (15 byte version. There is a 16 byte version too)
+    } else if ((length == 15 || length == 16) && buffer[1] == 0x01 && buffer[2] == 0x06 && (buffer[3] == 0x02 || buffer[3] == 0x03)) {
+        // Pan/Tilt Absolute (0x02) and Relative (0x03) Position
+        // The 15 byte version has 4 nibbles for the Pan position. The 16 byte version has 5 nibbles
         var pan_speed = buffer[4];
         var tilt_speed = buffer[5];
-        var pan_pos = ( ((buffer[6]&0x0F) << 24)
-                      + ((buffer[7]&0x0F) << 16)
-                      + ((buffer[8]&0x0F) << 8)
-                      + ((buffer[9]&0x0F) << 0) );
-        var tilt_pos = ( ((buffer[10]&0x0F) << 24)
-                       + ((buffer[11]&0x0F) << 16)
-                       + ((buffer[12]&0x0F) << 8)
-                       + ((buffer[13]&0x0F) << 0) );
-
-        msg_string += 'Absolute Move. PanSpeed='+pan_speed+' TiltSpeed='+tilt_speed+' PanPos='+pan_pos+' TiltPos='+tilt_pos;
+        var pan_nibbles = length - 11;
+        var pan_pos = this.visca_signed_value(buffer, 6, pan_nibbles);
+        var tilt_pos = this.visca_signed_value(buffer, 6 + pan_nibbles, 4);
+
+        command.position_action = (buffer[3] == 0x02 ? 'set' : 'relative');
+        command.position_axis = 'pan_tilt';
+        command.pan_position_value = pan_pos;
+        command.tilt_position_value = tilt_pos;
+        command.pan_speed = pan_speed;
+        command.tilt_speed = tilt_speed;
+
+        msg_string += (buffer[3] == 0x02 ? 'Absolute' : 'Relative') + ' Move. PanSpeed='+pan_speed+' TiltSpeed='+tilt_speed+' PanPos='+pan_pos+' TiltPos='+tilt_pos;
     } else if (length == 5 && buffer[1] == 0x01 && buffer[2] == 0x06 && buffer[3] == 0x04) {
         msg_string += 'Home';
+        command.position_action = 'home';
+    } else if (length == 5 && buffer[1] == 0x01 && buffer[2] == 0x06 && buffer[3] == 0x05) {
+        msg_string += 'Pan/Tilt Reset';
+        command.position_action = 'reset';
     } else if (length == 6 && buffer[1] == 0x01 && buffer[2] == 0x06 && buffer[3] == 0x06 && buffer[4] == 0x02) {
         msg_string += 'OSD Menu on';
-    } else if (length == 6 && buffer[1] == 0x01 && buffer[2] == 0x06 && buffer[3] == 0x06 && buffer[4] == 0x02) {
+    } else if (length == 6 && buffer[1] == 0x01 && buffer[2] == 0x06 && buffer[3] == 0x06 && buffer[4] == 0x03) {
         msg_string += 'OSD Menu off';
+    } else if (length == 6 && buffer[1] == 0x01 && buffer[2] == 0x06 && buffer[3] == 0x06 && buffer[4] == 0x10) {
+        msg_string += 'OSD Menu on/off';
+    } else if (length == 15 && buffer[1] == 0x01 && buffer[2] == 0x06 && buffer[3] == 0x07) {
+        // Pan/Tilt Limit. Buffer[5] is 0x00 for DownLeft and 0x01 for UpRight
+        var corner = (buffer[5] == 0x01 ? 'UpRight' : 'DownLeft');
+        if (buffer[4] == 0x00) msg_string += '[Pan/Tilt Limit Set ' + corner + ' PanPos=' + this.visca_signed_value(buffer, 6, 4)
+                                           + ' TiltPos=' + this.visca_signed_value(buffer, 10, 4) + ']';
+        else msg_string += '[Pan/Tilt Limit Clear ' + corner + ']';
     } else if (length == 6 && buffer[1] == 0x01 && buffer[2] == 0x04) {
         var b3 = buffer[3];
         var b4 = buffer[4];
         // Power
-        if      (b3 == 0x00 && b4 == 0x02) msg_string += 'Power On';
-        else if (b3 == 0x00 && b4 == 0x03) msg_string += 'Power Off';
+        if      (b3 == 0x00 && b4 == 0x02) { msg_string += 'Power On'; command.camera_power = 'on'; }
+        else if (b3 == 0x00 && b4 == 0x03) { msg_string += 'Power Off'; command.camera_power = 'off'; }
 	// Zoom
-        else if (b3 == 0x07 && b4 == 0x00) msg_string += '[Zoom Stop]';
-        else if (b3 == 0x07 && b4 == 0x02) msg_string += '[Zoom In]';
-        else if (b3 == 0x07 && b4 == 0x03) msg_string += '[Zoom Out]';
-        else if (b3 == 0x07 && ((b4 & 0xF0) == 0x20)) msg_string += '[Zoom In('+(b4 & 0x0F)+')]';
-        else if (b3 == 0x07 && ((b4 & 0xF0) == 0x30)) msg_string += '[Zoom Out('+(b4 & 0x0F)+')]';
+        else if (b3 == 0x07 && b4 == 0x00) { msg_string += '[Zoom Stop]'; command.zoom = 'stop'; }
+        else if (b3 == 0x07 && b4 == 0x02) { msg_string += '[Zoom In]'; command.zoom = 'in'; }
+        else if (b3 == 0x07 && b4 == 0x03) { msg_string += '[Zoom Out]'; command.zoom = 'out'; }
+        else if (b3 == 0x07 && ((b4 & 0xF0) == 0x20)) { msg_string += '[Zoom In('+(b4 & 0x0F)+')]'; command.zoom = 'in'; command.zoom_speed = (b4 & 0x0F); }
+        else if (b3 == 0x07 && ((b4 & 0xF0) == 0x30)) { msg_string += '[Zoom Out('+(b4 & 0x0F)+')]'; command.zoom = 'out'; command.zoom_speed = (b4 & 0x0F); }
+        else if (b3 == 0x06 && b4 == 0x02) msg_string += '[Digital Zoom On]';
+        else if (b3 == 0x06 && b4 == 0x03) msg_string += '[Digital Zoom Off]';
 	// Focus
-        else if (b3 == 0x08 && b4 == 0x00) msg_string += '[Focus Stop]';
-        else if (b3 == 0x08 && b4 == 0x02) msg_string += '[Focus Far]';
-        else if (b3 == 0x08 && b4 == 0x03) msg_string += '[Focus Near]';
-        else if (b3 == 0x08 && ((b4 & 0xF0) == 0x20)) msg_string += '[Focus Far('+(b4 & 0x0F)+')]';
-        else if (b3 == 0x08 && ((b4 & 0xF0) == 0x30)) msg_string += '[Focus Near('+(b4 & 0x0F)+')]';
-        else if (b3 == 0x38 && b4 == 0x02) msg_string += '[Auto Focus]';
-        else if (b3 == 0x38 && b4 == 0x03) msg_string += '[Manual Focus]';
+        else if (b3 == 0x08 && b4 == 0x00) { msg_string += '[Focus Stop]'; command.focus = 'stop'; }
+        else if (b3 == 0x08 && b4 == 0x02) { msg_string += '[Focus Far]'; command.focus = 'far'; }
+        else if (b3 == 0x08 && b4 == 0x03) { msg_string += '[Focus Near]'; command.focus = 'near'; }
+        else if (b3 == 0x08 && ((b4 & 0xF0) == 0x20)) { msg_string += '[Focus Far('+(b4 & 0x0F)+')]'; command.focus = 'far'; command.focus_speed = (b4 & 0x0F); }
+        else if (b3 == 0x08 && ((b4 & 0xF0) == 0x30)) { msg_string += '[Focus Near('+(b4 & 0x0F)+')]'; command.focus = 'near'; command.focus_speed = (b4 & 0x0F); }
+        else if (b3 == 0x38 && b4 == 0x02) { msg_string += '[Auto Focus]'; command.focus = 'auto'; }
+        else if (b3 == 0x38 && b4 == 0x03) { msg_string += '[Manual Focus]'; command.focus = 'manual'; }
         else if (b3 == 0x38 && b4 == 0x10) msg_string += '[Auto/Manual Focus]';
         else if (b3 == 0x18 && b4 == 0x01) msg_string += '[One Push Trigger Focus]';
         else if (b3 == 0x18 && b4 == 0x02) msg_string += '[Infinity Focus]';
+	// White Balance
+        else if (b3 == 0x35 && visca_white_balance_modes[b4]) {
+            command.white_balance = visca_white_balance_modes[b4];
+            msg_string += '[White Balance ' + command.white_balance + ']';
+        }
+        else if (b3 == 0x10 && b4 == 0x05) msg_string += '[One Push White Balance Trigger]';
+        else if (b3 == 0x03 && b4 == 0x00) msg_string += '[R Gain Reset]';
+        else if (b3 == 0x03 && b4 == 0x02) msg_string += '[R Gain Up]';
+        else if (b3 == 0x03 && b4 == 0x03) msg_string += '[R Gain Down]';
+        else if (b3 == 0x04 && b4 == 0x00) msg_string += '[B Gain Reset]';
+        else if (b3 == 0x04 && b4 == 0x02) msg_string += '[B Gain Up]';
+        else if (b3 == 0x04 && b4 == 0x03) msg_string += '[B Gain Down]';
 	// Automatic Exposure (AE)
-        else if (b3 == 0x39 && b4 == 0x00) msg_string += '[Full Auto Exposure]';
-        else if (b3 == 0x39 && b4 == 0x03) msg_string += '[Manual Exposire]';
-        else if (b3 == 0x39 && b4 == 0x0A) msg_string += '[Shutter Prioirty Exposure]';
-        else if (b3 == 0x39 && b4 == 0x0B) msg_string += '[Iris Priority Exposure]';
-        else if (b3 == 0x39 && b4 == 0x0D) msg_string += '[Bright Exposure]';
+        else if (b3 == 0x39 && b4 == 0x00) { msg_string += '[Full Auto Exposure]'; command.iris = 'auto'; command.exposure_mode = 'full_auto'; }
+        else if (b3 == 0x39 && b4 == 0x03) { msg_string += '[Manual Exposire]'; command.iris = 'manual'; command.exposure_mode = 'manual'; }
+        else if (b3 == 0x39 && b4 == 0x0A) { msg_string += '[Shutter Prioirty Exposure]'; command.exposure_mode = 'shutter_priority'; }
+        else if (b3 == 0x39 && b4 == 0x0B) { msg_string += '[Iris Priority Exposure]'; command.exposure_mode = 'iris_priority'; }
+        else if (b3 == 0x39 && b4 == 0x0D) { msg_string += '[Bright Exposure]'; command.exposure_mode = 'bright'; }
+        else if (b3 == 0x0A && b4 == 0x00) msg_string += '[Shutter Reset]';
+        else if (b3 == 0x0A && b4 == 0x02) msg_string += '[Shutter Up]';
+        else if (b3 == 0x0A && b4 == 0x03) msg_string += '[Shutter Down]';
+        else if (b3 == 0x0C && b4 == 0x00) msg_string += '[Gain Reset]';
+        else if (b3 == 0x0C && b4 == 0x02) msg_string += '[Gain Up]';
+        else if (b3 == 0x0C && b4 == 0x03) msg_string += '[Gain Down]';
+        else if (b3 == 0x0D && b4 == 0x00) msg_string += '[Bright Reset]';
+        else if (b3 == 0x0D && b4 == 0x02) msg_string += '[Bright Up]';
+        else if (b3 == 0x0D && b4 == 0x03) msg_string += '[Bright Down]';
+        else if (b3 == 0x3E && b4 == 0x02) msg_string += '[Exposure Compensation On]';
+        else if (b3 == 0x3E && b4 == 0x03) msg_string += '[Exposure Compensation Off]';
+        else if (b3 == 0x0E && b4 == 0x00) msg_string += '[Exposure Compensation Reset]';
+        else if (b3 == 0x0E && b4 == 0x02) msg_string += '[Exposure Compensation Up]';
+        else if (b3 == 0x0E && b4 == 0x03) msg_string += '[Exposure Compensation Down]';
+	// Backlight
+        else if (b3 == 0x33 && b4 == 0x02) { msg_string += '[Backlight On]'; command.backlight = 'on'; }
+        else if (b3 == 0x33 && b4 == 0x03) { msg_string += '[Backlight Off]'; command.backlight = 'off'; }
 	// Iris
         else if (b3 == 0x0B && b4 == 0x00) msg_string += '[Iris Reset]';
-        else if (b3 == 0x0B && b4 == 0x02) msg_string += '[Iris Up]';
-        else if (b3 == 0x0B && b4 == 0x03) msg_string += '[Iris Down]';
+        else if (b3 == 0x0B && b4 == 0x02) { msg_string += '[Iris Up]'; command.iris = 'open'; }
+        else if (b3 == 0x0B && b4 == 0x03) { msg_string += '[Iris Down]'; command.iris = 'close'; }
         else msg_string += 'Other VISCA command';
     } else if (length == 7 && buffer[1] == 0x01 && buffer[2] == 0x04) {
         var b3 = buffer[3];
         var b4 = buffer[4];
         var b5 = buffer[5]; // range starts at zero
-        if      (b3 == 0x3f && b4 == 0x00) msg_string += '[Reset Preset '+(b5)+']';
-        else if (b3 == 0x3f && b4 == 0x01) msg_string += '[Set Preset '+(b5)+']';
-        else if (b3 == 0x3f && b4 == 0x02) msg_string += '[Goto Preset '+(b5)+']';
+        if      (b3 == 0x3f && b4 == 0x00) { msg_string += '[Reset Preset '+(b5)+']'; command.preset_action = 'clear'; command.preset = b5; }
+        else if (b3 == 0x3f && b4 == 0x01) { msg_string += '[Set Preset '+(b5)+']'; command.preset_action = 'set'; command.preset = b5; }
+        else if (b3 == 0x3f && b4 == 0x02) { msg_string += '[Goto Preset '+(b5)+']'; command.preset_action = 'goto'; command.preset = b5; }
 	else msg_string += 'Other VISCA command';
     } else if (length == 9 && buffer[1] == 0x01 && buffer[2] == 0x04) {
         var b3 = buffer[3];
-        var time = ( ((buffer[4]&0x0F) << 24)
-                   + ((buffer[5]&0x0F) << 16)
-                   + ((buffer[6]&0x0F) << 8)
-                   + ((buffer[7]&0x0F) << 0) );
-        if (b3 == 0x40) msg_string += 'Auto PowerOff '+time+' seconds'; //D100
+        var value = this.visca_value(buffer, 4, 4);
+        if (b3 == 0x40) msg_string += 'Auto PowerOff '+value+' seconds'; //D100
+        else if (visca_direct_commands[b3]) {
+            // Direct (absolute) values. Zoom, Focus, Iris, Shutter, Gain, Bright, R Gain, B Gain, Exposure Compensation
+            var name = visca_direct_commands[b3];
+            msg_string += '[' + name + ' Direct ' + value + ']';
+            if (b3 == 0x47 || b3 == 0x48 || b3 == 0x4B) {
+                command.position_action = 'set';
+                command.position_axis = { 0x47: 'zoom', 0x48: 'focus', 0x4B: 'iris' }[b3];
+                command.position_value = value;
+            }
+        }
 	else msg_string += 'Other VISCA command';
-    } else if (length == 4 && buffer[1] == 0x30 && buffer[2] == 0x01) {
+    } else if (length == 13 && buffer[1] == 0x01 && buffer[2] == 0x04 && buffer[3] == 0x47) {
+        var zoom_pos = this.visca_value(buffer, 4, 4);
+        var focus_pos = this.visca_value(buffer, 8, 4);
+        msg_string += '[Zoom Direct ' + zoom_pos + '][Focus Direct ' + focus_pos + ']';
+        command.position_action = 'set';
+        command.position_axis = 'zoom_focus';
+        command.zoom_position_value = zoom_pos;
+        command.focus_position_value = focus_pos;
+    } else if (buffer[1] == 0x09) {
+        // Inquiry. Remember it so the reply from the camera can be decoded
+        var inquiry = undefined;
+        if (length == 5) inquiry = visca_inquiry_names[(buffer[2] << 8) | buffer[3]];
+        if (inquiry) {
+            msg_string += '[Inquiry ' + inquiry + ']';
+            command.inquiry = inquiry;
+            if (broadcast_bit == 0) this.visca_inquiries[receiver_id] = inquiry;
+        } else {
+            msg_string += '[Other VISCA Inquiry]';
+        }
+    } else if ((buffer[1]&0xF0) == 0x20 && length == 3) {
+        msg_string += '[Cancel Socket ' + (buffer[1]&0x0F) + ']';
     } else if (length == 4 && buffer[1] == 0x30 && buffer[2] == 0x01) {
         msg_string += 'Address Set Command';
     } else if (length == 5 && buffer[1] == 0x01 && buffer[2] == 0x00 && buffer[3] == 0x01) {
@@ -1541,11 +2142,199 @@ decode_visca(buffer,length) {
         msg_string += 'Other VISCA command';
     }
 
+    if (ip_header && ip_header.sequence_gap) msg_string += ' [' + ip_header.sequence_gap + ' Packets Missing]';
+
     this.emit("log",this.bytes_to_string(buffer,length) + ' ' + msg_string);
+    this.emit_command(command, buffer, length, msg_string);
 
-    return;
+    return true;
 };
 
+
+// Replies from the camera. ACK (0x4y), Completion (0x5y) with any Inquiry data, and Errors (0x6y)
+// where y is the socket number. Inquiry replies are decoded using the last Inquiry sent to the camera
+decode_visca_reply(buffer, length, command) {
+    var msg_string = '';
+    var socket = buffer[1] & 0x0F;
+    command.socket = socket;
+
+    if ((buffer[1]&0xF0) == 0x40 && length == 3) {
+        command.reply = 'ack';
+        return '[ACK Socket ' + socket + ']';
+    }
+
+    if ((buffer[1]&0xF0) == 0x60 && length == 4) {
+        command.reply = 'error';
+        command.error = visca_errors[buffer[2]] || 'unknown';
+        return '[Error ' + command.error + ' Socket ' + socket + ']';
+    }
+
+    if ((buffer[1]&0xF0) != 0x50) {
+        command.reply = 'unknown';
+        return '[Other VISCA Reply]';
+    }
+
+    command.reply = 'completion';
+    if (length == 3) return '[Completion Socket ' + socket + ']';
+
+    // Completion with Inquiry data
+    var inquiry = this.visca_inquiries[command.camera];
+    delete this.visca_inquiries[command.camera];
+    if (inquiry === undefined) return '[Completion with data]';
+
+    command.inquiry = inquiry;
+    msg_string += '[Reply ' + inquiry + ' ';
+    var data_length = length - 3;
+
+    if (inquiry == 'power' && data_length == 1) {
+        command.camera_power = { 0x02: 'on', 0x03: 'off' }[buffer[2]] || 'unknown';
+        msg_string += command.camera_power;
+    } else if (inquiry == 'focus_mode' && data_length == 1) {
+        command.focus = { 0x02: 'auto', 0x03: 'manual' }[buffer[2]] || 'unknown';
+        msg_string += command.focus;
+    } else if (inquiry == 'ae_mode' && data_length == 1) {
+        command.exposure_mode = { 0x00: 'full_auto', 0x03: 'manual', 0x0A: 'shutter_priority', 0x0B: 'iris_priority', 0x0D: 'bright' }[buffer[2]] || 'unknown';
+        if (buffer[2] == 0x00) command.iris = 'auto';
+        if (buffer[2] == 0x03) command.iris = 'manual';
+        msg_string += command.exposure_mode;
+    } else if (inquiry == 'white_balance_mode' && data_length == 1) {
+        command.white_balance = visca_white_balance_modes[buffer[2]] || 'unknown';
+        msg_string += command.white_balance;
+    } else if (inquiry == 'backlight' && data_length == 1) {
+        command.backlight = { 0x02: 'on', 0x03: 'off' }[buffer[2]] || 'unknown';
+        msg_string += command.backlight;
+    } else if (inquiry == 'preset' && data_length == 1) {
+        command.preset = buffer[2];
+        msg_string += buffer[2];
+    } else if ((inquiry == 'zoom_position' || inquiry == 'focus_position' || inquiry == 'iris_position'
+               || inquiry == 'shutter_position' || inquiry == 'gain_position' || inquiry == 'bright_position'
+               || inquiry == 'r_gain' || inquiry == 'b_gain') && data_length == 4) {
+        var value = this.visca_value(buffer, 2, 4);
+        if (inquiry == 'zoom_position' || inquiry == 'focus_position' || inquiry == 'iris_position') {
+            command.position_action = 'response';
+            command.position_axis = inquiry.replace('_position', '');
+        }
+        command.position_value = value;
+        msg_string += value;
+    } else if (inquiry == 'pan_tilt_max_speed' && data_length == 2) {
+        command.pan_speed = buffer[2];
+        command.tilt_speed = buffer[3];
+        msg_string += 'Pan ' + buffer[2] + ' Tilt ' + buffer[3];
+    } else if (inquiry == 'pan_tilt_position' && (data_length == 8 || data_length == 9)) {
+        var pan_nibbles = data_length - 4;
+        command.position_action = 'response';
+        command.position_axis = 'pan_tilt';
+        command.pan_position_value = this.visca_signed_value(buffer, 2, pan_nibbles);
+        command.tilt_position_value = this.visca_signed_value(buffer, 2 + pan_nibbles, 4);
+        msg_string += 'PanPos=' + command.pan_position_value + ' TiltPos=' + command.tilt_position_value;
+    } else if (inquiry == 'version' && data_length == 7) {
+        command.vendor_id = (buffer[2] << 8) | buffer[3];
+        command.model_id = (buffer[4] << 8) | buffer[5];
+        command.rom_version = (buffer[6] << 8) | buffer[7];
+        command.max_socket = buffer[8];
+        msg_string += 'Vendor 0x' + this.DecToHexPad(command.vendor_id, 4) + ' Model 0x' + this.DecToHexPad(command.model_id, 4)
+                    + ' ROM 0x' + this.DecToHexPad(command.rom_version, 4) + ' Sockets ' + command.max_socket;
+    } else {
+        msg_string += 'with unexpected data';
+    }
+    msg_string += ']';
+    return msg_string;
+};
+
+
+// Sony VISCA over IP (UDP port 52381). Each UDP datagram holds one packet made of an 8 byte header
+//   payload type (2 bytes), payload length (2 bytes), sequence number (4 bytes)
+// followed by the payload, which is a normal VISCA message or a Control message
+processViscaIP(packet) {
+    if (packet.length < 8) {
+        this.emit("log",this.bytes_to_string(packet,packet.length) + ' VISCA IP Packet too short');
+        return;
+    }
+
+    var payload_type = (packet[0] << 8) | packet[1];
+    var payload_length = (packet[2] << 8) | packet[3];
+    var sequence = ((packet[4] << 24) | (packet[5] << 16) | (packet[6] << 8) | packet[7]) >>> 0;
+    var type_name = visca_ip_payload_types[payload_type];
+
+    if (type_name === undefined || payload_length == 0 || packet.length != 8 + payload_length) {
+        this.emit("log",this.bytes_to_string(packet,packet.length) + ' VISCA IP Invalid Header');
+        return;
+    }
+
+    // Commands and their Replies share a sequence number so each direction is checked separately
+    // ACK and Completion replies repeat the sequence number of the command
+    var direction = (type_name == 'reply' || type_name == 'control_reply' ? 'reply' : 'command');
+    var last_sequence = this.visca_ip_sequences[direction];
+    var sequence_gap = 0;
+    if (last_sequence !== undefined && sequence > last_sequence + 1) sequence_gap = sequence - last_sequence - 1;
+    this.visca_ip_sequences[direction] = sequence;
+
+    var ip_header = { payload_type: type_name, sequence: sequence, sequence_gap: sequence_gap };
+    var payload = packet.slice(8);
+
+    if (type_name == 'control_command' || type_name == 'control_reply') {
+        this.decode_visca_ip_control(payload, ip_header);
+        return;
+    }
+
+    if (this.decode_visca(payload, payload.length, ip_header) !== true) {
+        this.emit("log",this.bytes_to_string(payload,payload.length) + ' VISCA IP Seq ' + sequence + ' Invalid VISCA message');
+    }
+};
+
+// Control messages in VISCA over IP. Reset of the sequence number and its reply, and the error messages
+decode_visca_ip_control(payload, ip_header) {
+    var msg_string = 'VISCA IP Seq ' + ip_header.sequence + ' ';
+    var command = this.new_command('visca', undefined);
+    this.visca_ip_fields(command, ip_header);
+
+    if (payload.length == 1 && payload[0] == 0x01) {
+        if (ip_header.payload_type == 'control_command') {
+            command.control = 'reset_sequence';
+            msg_string += '[Reset Sequence Number]';
+            // The next command will start again at sequence number 0
+            delete this.visca_ip_sequences['command'];
+            delete this.visca_ip_sequences['reply'];
+        } else {
+            command.control = 'reset_sequence_ack';
+            msg_string += '[Reset Sequence Number ACK]';
+        }
+    }
+    else if (payload.length == 2 && payload[0] == 0x0F && payload[1] == 0x01) { command.control = 'abnormal_sequence'; msg_string += '[Error Abnormal Sequence Number]'; }
+    else if (payload.length == 2 && payload[0] == 0x0F && payload[1] == 0x02) { command.control = 'abnormal_message'; msg_string += '[Error Abnormal Message]'; }
+    else { command.control = 'unknown'; msg_string += '[Other Control Message]'; }
+
+    if (ip_header.sequence_gap) msg_string += ' [' + ip_header.sequence_gap + ' Packets Missing]';
+
+    this.emit("log",this.bytes_to_string(payload,payload.length) + ' ' + msg_string);
+    this.emit_command(command, payload, payload.length, msg_string);
+};
+
+visca_ip_fields(command, ip_header) {
+    command.payload_type = ip_header.payload_type;
+    command.sequence = ip_header.sequence;
+    if (ip_header.sequence_gap) command.sequence_gap = ip_header.sequence_gap;
+};
+
+
+// Value held in the low 4 bits of 'count' bytes (0x0p 0x0q 0x0r 0x0s), most significant first
+visca_value(buffer, offset, count) {
+    var value = 0;
+    for (var i = 0; i < count; i++) {
+        value = (value << 4) | (buffer[offset + i] & 0x0F);
+    }
+    return value;
+};
+
+// Signed (two's complement) version of visca_value() used for Pan and Tilt positions
+visca_signed_value(buffer, offset, count) {
+    var value = this.visca_value(buffer, offset, count);
+    var sign_bit = 1 << ((count * 4) - 1);
+    if (value & sign_bit) value -= (sign_bit * 2);
+    return value;
+};
+
+
 decode_jvc(buffer,length) {
 
     var msg_string = "";
@@ -1558,45 +2347,76 @@ decode_jvc(buffer,length) {
     var camera_id = buffer[2]; // If cameras is C177, (0xb1) it will be confused with Header Byte
     msg_string += 'Camera ' + camera_id + ' ';
 
+    var command = this.new_command('jvc', camera_id);
+
     var command_length = 4 + (buffer[3]&0x0F); // 4th byte tells you the number of bytes to follow
 
     var cmd_1 = buffer[4];
     var cmd_2 = buffer[5];
 
-    if      (cmd_1 == 0x42 && cmd_2 == 0x00) msg_string += '[GOTO PRESET ' + buffer[6] + ']';
+    if      (cmd_1 == 0x42 && cmd_2 == 0x00) { msg_string += '[GOTO PRESET ' + buffer[6] + ']'; command.preset_action = 'goto'; command.preset = buffer[6]; }
     else if (cmd_1 == 0x42 && cmd_2 == 0x39) msg_string += '[Unknown - Preset Related Command ' + buffer[6] + ']';
-    else if (cmd_1 == 0x42 && cmd_2 == 0x11 && buffer[6]==0x01) msg_string += '[AUTO IRIS ON]';
+    else if (cmd_1 == 0x42 && cmd_2 == 0x11 && buffer[6]==0x01) { msg_string += '[AUTO IRIS ON]'; command.iris = 'auto'; }
     else if (cmd_1 == 0x42 && cmd_2 == 0x11 && buffer[6]==0x00) msg_string += '[AUTO IRIS OFF?]';
     else if (cmd_1 == 0x42 && cmd_2 == 0x15 && buffer[6]==0x01) msg_string += '[BACKLIGHT COMPENSATION ON]';
     else if (cmd_1 == 0x42 && cmd_2 == 0x15 && buffer[6]==0x00) msg_string += '[BACKLIGHT COMPENSATION OFF]';
-    else if (cmd_1 == 0x45 && cmd_2 == 0x28) msg_string += '[STORE PRESET ' + buffer[6] + ']';
-    else if (cmd_1 == 0x45 && cmd_2 == 0x00) msg_string += '[PAN   RIGHT ' + buffer[6] + ']';
-    else if (cmd_1 == 0x45 && cmd_2 == 0x01) msg_string += '[PAN   LEFT  ' + buffer[6] + ']';
-    else if (cmd_1 == 0x45 && cmd_2 == 0x02) msg_string += '[PAN   STOP]';
-    else if (cmd_1 == 0x45 && cmd_2 == 0x03) msg_string += '[TILT  UP   ' + buffer[6] + ']';
-    else if (cmd_1 == 0x45 && cmd_2 == 0x04) msg_string += '[TILT  DOWN ' + buffer[6] + ']';
-    else if (cmd_1 == 0x45 && cmd_2 == 0x05) msg_string += '[TILT  STOP]';
-    else if (cmd_1 == 0x45 && cmd_2 == 0x06) msg_string += '[IRIS  OPEN]';
-    else if (cmd_1 == 0x45 && cmd_2 == 0x07) msg_string += '[IRIS  CLOSE]';
-    else if (cmd_1 == 0x45 && cmd_2 == 0x08) msg_string += '[IRIS  STOP]';
-    else if (cmd_1 == 0x45 && cmd_2 == 0x09) msg_string += '[FOCUS FAR  ' + buffer[6] + ']';
-    else if (cmd_1 == 0x45 && cmd_2 == 0x0A) msg_string += '[FOCUS NEAR ' + buffer[6] + ']';
-    else if (cmd_1 == 0x45 && cmd_2 == 0x0B) msg_string += '[FOCUS STOP]';
-    else if (cmd_1 == 0x45 && cmd_2 == 0x0C) msg_string += '[ZOOM  IN  ' + buffer[6] + ']';
-    else if (cmd_1 == 0x45 && cmd_2 == 0x0D) msg_string += '[ZOOM  OUT ' + buffer[6] + ']';
-    else if (cmd_1 == 0x45 && cmd_2 == 0x0E) msg_string += '[ZOOM  STOP]';
-    else if (cmd_1 == 0x45 && cmd_2 == 0x1F) msg_string += '[FOCUS AUTO]';
+    else if (cmd_1 == 0x45 && cmd_2 == 0x28) { msg_string += '[STORE PRESET ' + buffer[6] + ']'; command.preset_action = 'set'; command.preset = buffer[6]; }
+    else if (cmd_1 == 0x45 && cmd_2 == 0x00) { msg_string += '[PAN   RIGHT ' + buffer[6] + ']'; command.pan = 'right'; command.pan_speed = buffer[6]; }
+    else if (cmd_1 == 0x45 && cmd_2 == 0x01) { msg_string += '[PAN   LEFT  ' + buffer[6] + ']'; command.pan = 'left'; command.pan_speed = buffer[6]; }
+    else if (cmd_1 == 0x45 && cmd_2 == 0x02) { msg_string += '[PAN   STOP]'; command.pan = 'stop'; }
+    else if (cmd_1 == 0x45 && cmd_2 == 0x03) { msg_string += '[TILT  UP   ' + buffer[6] + ']'; command.tilt = 'up'; command.tilt_speed = buffer[6]; }
+    else if (cmd_1 == 0x45 && cmd_2 == 0x04) { msg_string += '[TILT  DOWN ' + buffer[6] + ']'; command.tilt = 'down'; command.tilt_speed = buffer[6]; }
+    else if (cmd_1 == 0x45 && cmd_2 == 0x05) { msg_string += '[TILT  STOP]'; command.tilt = 'stop'; }
+    else if (cmd_1 == 0x45 && cmd_2 == 0x06) { msg_string += '[IRIS  OPEN]'; command.iris = 'open'; }
+    else if (cmd_1 == 0x45 && cmd_2 == 0x07) { msg_string += '[IRIS  CLOSE]'; command.iris = 'close'; }
+    else if (cmd_1 == 0x45 && cmd_2 == 0x08) { msg_string += '[IRIS  STOP]'; command.iris = 'stop'; }
+    else if (cmd_1 == 0x45 && cmd_2 == 0x09) { msg_string += '[FOCUS FAR  ' + buffer[6] + ']'; command.focus = 'far'; command.focus_speed = buffer[6]; }
+    else if (cmd_1 == 0x45 && cmd_2 == 0x0A) { msg_string += '[FOCUS NEAR ' + buffer[6] + ']'; command.focus = 'near'; command.focus_speed = buffer[6]; }
+    else if (cmd_1 == 0x45 && cmd_2 == 0x0B) { msg_string += '[FOCUS STOP]'; command.focus = 'stop'; }
+    else if (cmd_1 == 0x45 && cmd_2 == 0x0C) { msg_string += '[ZOOM  IN  ' + buffer[6] + ']'; command.zoom = 'in'; command.zoom_speed = buffer[6]; }
+    else if (cmd_1 == 0x45 && cmd_2 == 0x0D) { msg_string += '[ZOOM  OUT ' + buffer[6] + ']'; command.zoom = 'out'; command.zoom_speed = buffer[6]; }
+    else if (cmd_1 == 0x45 && cmd_2 == 0x0E) { msg_string += '[ZOOM  STOP]'; command.zoom = 'stop'; }
+    else if (cmd_1 == 0x45 && cmd_2 == 0x1F) { msg_string += '[FOCUS AUTO]'; command.focus = 'auto'; }
     else msg_string += "[Unknown JVC command]";
 
     var padding = '';
     if (command_length == 6) padding = '    '; // '[..]' // add padding to 6 byte commands so length is same as 7 byte commands in the Hex dump
 
     this.emit("log",this.bytes_to_string(buffer,length) + padding + ' ' + msg_string);
+    this.emit_command(command, buffer, length, msg_string);
 
     return;
 };
 
 
+// Create the structured result for the "command" event.
+// Only the fields a message actually carries are filled in by the decode_* functions, eg
+//   pan, tilt          'left','right' / 'up','down' / 'stop' / 'unknown'
+//   zoom, focus, iris  'in','out' / 'near','far' / 'open','close' / 'auto','manual' / 'stop' / 'unknown'
+//   pan_speed, tilt_speed, zoom_speed, focus_speed
+//   preset_action and preset    ('set','clear','goto')
+//   aux_action and aux          ('on','off','latch_on','latch_off','latch_cancel')
+//   tour_action and tour        ('start','record_start','record_stop')
+//   position_action, position_axis and position_value   ('set','query','response' / 'pan','tilt','zoom')
+//   pan_position, tilt_position (degrees) and zoom_position (0 to 1)
+//   ack and alarms              (Pelco D General Response)
+//   camera_power ('on','off'), scan ('auto','manual') and turbo (Pelco)
+//   position_action 'relative','home','reset', pan_position_value and tilt_position_value (VISCA, raw camera units)
+//   exposure_mode, white_balance and backlight (VISCA)
+//   inquiry, reply ('ack','completion','error'), socket and error (VISCA). Inquiry replies fill in the matching fields
+//   payload_type, sequence, sequence_gap and control (VISCA over IP)
+//   black_and_white ('on','off') and menu (list of { code, data }) (Panasonic)
+new_command(protocol, camera_id) {
+    return { protocol: protocol, camera: camera_id };
+};
+
+// Emit the "command" event. The bytes are copied as the decoder re-uses its buffers
+emit_command(command, buffer, length, msg_string) {
+    command.bytes = Buffer.from(buffer.slice(0, length));
+    command.text = msg_string;
+    this.emit("command", command);
+};
+
 bytes_to_string(buffer, length) {
     var byte_string = '';
     for (var i = 0; i < length; i++) {
@@ -1614,4 +2434,4 @@ DecToHexPad(decimal,size) {
 };
 } // end class
 
-module.exports = { PelcoD_Decoder };
+module.exports = { PelcoD_Decoder, protocols };
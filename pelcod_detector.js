@@ -0,0 +1,108 @@
+/*
+ * Work out which CCTV PTZ protocol, baud rate and parity is in use
+ * (c) Copyright 2018 Roger Hardiman
+ *
+ * Bytes captured with each line setting (eg '2400-none') are passed to processBuffer().
+ * Every protocol in PelcoD_Decoder is tried and each protocol is scored on how many of the bytes
+ * are part of valid messages. The wrong baud rate or parity gives garbage bytes which only rarely make a valid message.
+ *
+ */
+
+var PelcoD_Decoder = require('./pelcod_decoder').PelcoD_Decoder;
+
+// Number of valid messages needed for 'high' and 'medium' confidence
+// Protocols with a checksum are trusted sooner than protocols that can be matched by random bytes
+var checksum_frames = { high: 5, medium: 2 };
+var no_checksum_frames = { high: 20, medium: 5 };
+var protocol_min_frames = {
+    'pelco_d': checksum_frames, 'pelco_p': checksum_frames, 'bbv422': checksum_frames, 'bosch': checksum_frames,
+    'forward_vision': checksum_frames, 'ad422': checksum_frames,
+    'visca': no_checksum_frames, 'panasonic': no_checksum_frames, 'jvc': no_checksum_frames, 'vicon': no_checksum_frames,
+    'vcl': { high: 50, medium: 10 }
+};
+
+class PelcoD_Detector {
+  // decoder_options are passed to the PelcoD_Decoder for each line setting, eg { protocols: ['pelco_d', 'visca'] }
+  // to only try some of the protocols
+  constructor(decoder_options) {
+
+    this.decoder_options = decoder_options || {};
+
+    // Results for each line setting. Each has the number of bytes and a decoder
+    this.settings = {};
+}
+
+
+// Add bytes received with the line setting 'setting', eg '9600-odd'
+processBuffer(setting, new_data_buffer) {
+    if (this.settings[setting] === undefined) this.settings[setting] = this.new_setting();
+    this.settings[setting].byte_count += new_data_buffer.length;
+    this.settings[setting].decoder.processBuffer(new_data_buffer);
+};
+
+
+new_setting() {
+    var result = { byte_count: 0, decoder: new PelcoD_Decoder(this.decoder_options), protocols: {} };
+
+    result.decoder.on('command', function(command) {
+        if (result.protocols[command.protocol] === undefined) {
+            result.protocols[command.protocol] = { frames: 0, byte_count: 0, cameras: [] };
+        }
+        var protocol = result.protocols[command.protocol];
+        protocol.frames++;
+        protocol.byte_count += command.bytes.length;
+        if (command.camera !== undefined && protocol.cameras.indexOf(command.camera) < 0) protocol.cameras.push(command.camera);
+    });
+    return result;
+};
+
+
+// Returns every protocol that was seen with each line setting, best match first
+// Each result has setting, protocol, frames (number of valid messages), cameras, score (0 to 1) and confidence ('high', 'medium' or 'low')
+results() {
+    var results = [];
+    for (var setting in this.settings) {
+        var data = this.settings[setting];
+        for (var name in data.protocols) {
+            var protocol = data.protocols[name];
+
+            // Fraction of the bytes that were in valid messages. VCL can decode the same bytes more than once so limit to 1
+            var coverage = Math.min(1, protocol.byte_count / data.byte_count);
+            var score = coverage;
+            var min_frames = protocol_min_frames[name] || no_checksum_frames;
+
+            var confidence = 'low';
+            if (score >= 0.8 && protocol.frames >= min_frames.high) confidence = 'high';
+            else if (score >= 0.5 && protocol.frames >= min_frames.medium) confidence = 'medium';
+
+            results.push({
+                setting: setting,
+                protocol: name,
+                frames: protocol.frames,
+                cameras: protocol.cameras.slice().sort(function(a, b) { return a - b; }),
+                score: score,
+                confidence: confidence,
+                min_frames: min_frames.high
+            });
+        }
+    }
+
+    // With the same score the protocol that needs fewer messages to be trusted goes first
+    results.sort(function(a, b) {
+        if (b.score != a.score) return b.score - a.score;
+        if (a.min_frames != b.min_frames) return a.min_frames - b.min_frames;
+        return b.frames - a.frames;
+    });
+    results.forEach(function(result) { delete result.min_frames; });
+    return results;
+};
+
+
+// Returns the best result or null if no valid messages were seen
+best() {
+    var results = this.results();
+    return (results.length > 0 ? results[0] : null);
+};
+} // end class
+
+module.exports = { PelcoD_Detector };
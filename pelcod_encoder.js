@@ -0,0 +1,1109 @@
+/*
+ * Generate Pelco D, Pelco P, BBV422, Bosch/Philips, Forward Vision, Sony VISCA, American Dynamics/Sensormatic, Panasonic, Vicon and JVC CCTV PTZ commands
+ * This is the reverse of pelcod_decoder.js
+ *
+ * (c) Copyright 2018 Roger Hardiman
+ *
+ * Each encode function takes a command object, the same as the one passed to the decoder's "command" event, eg
+ *   { camera: 1, pan: 'left', pan_speed: 32, tilt: 'stop', zoom: 'in' }
+ *   { camera: 3, preset_action: 'goto', preset: 5 }
+ * and returns a NodeJS Buffer() holding the message, including the header and checksum.
+ * If the command cannot be sent in the protocol, null is returned.
+ *
+ */
+
+class PelcoD_Encoder {
+  constructor() {
+
+    // VISCA address of the controller sending the commands (0 is normally the PC or keyboard)
+    this.visca_sender = 0;
+}
+
+
+// Encode the command in the protocol named in command.protocol
+encode(command) {
+    if (command.protocol == 'pelco_d') return this.encode_pelco_d(command);
+    if (command.protocol == 'pelco_p') return this.encode_pelco_p(command);
+    if (command.protocol == 'bbv422') return this.encode_bbv422(command);
+    if (command.protocol == 'bosch') return this.encode_bosch(command);
+    if (command.protocol == 'forward_vision') return this.encode_forward_vision(command);
+    if (command.protocol == 'visca') return this.encode_visca(command);
+    if (command.protocol == 'ad422') return this.encode_ad422(command);
+    if (command.protocol == 'panasonic') return this.encode_panasonic(command);
+    if (command.protocol == 'vicon') return this.encode_vicon(command);
+    if (command.protocol == 'jvc') return this.encode_jvc(command);
+    return null;
+};
+
+
+// Pelco D is 7 bytes. 0xFF, Camera, Command 1, Command 2, Data 1, Data 2, Checksum
+// A Zoom or Focus Speed sent with a movement is a separate Extended Command, sent before the movement
+encode_pelco_d(command) {
+    if (!this.valid_byte(command.camera)) return null;
+
+    var buffer = Buffer.alloc(7);
+    buffer[0] = 0xFF;
+    buffer[1] = command.camera;
+
+    if (!this.pelco_commands(command, buffer, 2, 'd')) return null;
+
+    buffer[6] = this.pelco_d_checksum(buffer);
+    return this.pelco_add_speed_messages(command, buffer, this.encode_pelco_d.bind(this));
+};
+
+
+// Pelco D Set, Query and Response position messages. axis is 'pan', 'tilt' or 'zoom'
+// value is 0 to 35999 (hundredths of a degree) for Pan and Tilt and 0 to 65535 for Zoom. Query messages have no value
+encode_pelco_d_position(camera, action, axis, value) {
+    var op_codes = {
+        'set':      { pan: 0x4B, tilt: 0x4D, zoom: 0x4F },
+        'query':    { pan: 0x51, tilt: 0x53, zoom: 0x55 },
+        'response': { pan: 0x59, tilt: 0x5B, zoom: 0x5D }
+    };
+    if (!this.valid_byte(camera) || op_codes[action] === undefined || op_codes[action][axis] === undefined) return null;
+    if (action == 'query') value = 0;
+    if (!(value >= 0 && value <= 0xFFFF)) return null;
+
+    var buffer = Buffer.alloc(7);
+    buffer[0] = 0xFF;
+    buffer[1] = camera;
+    buffer[2] = 0x00;
+    buffer[3] = op_codes[action][axis];
+    buffer[4] = (value >> 8) & 0xFF;
+    buffer[5] = value & 0xFF;
+    buffer[6] = this.pelco_d_checksum(buffer);
+    return buffer;
+};
+
+
+// Pelco D General Response sent by a dome after each command. 4 bytes. 0xFF, Camera, Alarms, Checksum
+encode_pelco_d_general_response(camera, alarms) {
+    if (!this.valid_byte(camera)) return null;
+
+    var buffer = Buffer.alloc(4);
+    buffer[0] = 0xFF;
+    buffer[1] = camera;
+    buffer[2] = (alarms || 0) & 0xFF;
+    buffer[3] = this.pelco_d_checksum(buffer);
+    return buffer;
+};
+
+
+// Pelco P is 8 bytes. 0xA0, Camera-1, Command 1, Command 2, Data 1, Data 2, 0xAF, Checksum
+encode_pelco_p(command) {
+    return this.encode_pelco_p_framing(command, 0xA0, 0xAF);
+};
+
+
+// BBV422 uses Pelco P framing with a 0xB0 header and 0xBF end byte
+encode_bbv422(command) {
+    return this.encode_pelco_p_framing(command, 0xB0, 0xBF);
+};
+
+
+encode_pelco_p_framing(command, stx, etx) {
+    if (!(command.camera >= 1 && command.camera <= 256)) return null;
+
+    var buffer = Buffer.alloc(8);
+    buffer[0] = stx;
+    buffer[1] = command.camera - 1; // Pelco P sends Cam1 as 0x00
+
+    if (!this.pelco_commands(command, buffer, 2, 'p')) return null;
+
+    buffer[6] = etx;
+    buffer[7] = this.pelco_p_checksum(buffer);
+    return this.pelco_add_speed_messages(command, buffer, function(speed_command) {
+        return this.encode_pelco_p_framing(speed_command, stx, etx);
+    }.bind(this));
+};
+
+
+// Pelco sets the Zoom and Focus Speed with Extended Commands, so a movement with a zoom_speed or focus_speed
+// becomes the speed message(s) followed by the movement message. Returns null if a speed cannot be sent
+pelco_add_speed_messages(command, buffer, encode_message) {
+    if (this.pelco_extended_command(command) !== false || !this.has_movement(command)) return buffer;
+
+    var messages = [];
+    var speeds = ['zoom_speed', 'focus_speed'];
+    for (var i = 0; i < speeds.length; i++) {
+        if (command[speeds[i]] === undefined) continue;
+        var speed_command = { camera: command.camera };
+        speed_command[speeds[i]] = command[speeds[i]];
+        var message = encode_message(speed_command);
+        if (message === null) return null;
+        messages.push(message);
+    }
+    messages.push(buffer);
+    return Buffer.concat(messages);
+};
+
+
+// Fill in Command 1, Command 2, Data 1 and Data 2 starting at 'offset'
+// Pelco D and Pelco P use the same Extended Commands but the bit positions in Command 1 differ
+// Returns false if the command cannot be sent
+pelco_commands(command, buffer, offset, variant) {
+
+    var extended = this.pelco_extended_command(command);
+
+    if (extended === null) return false;
+
+    if (extended) {
+        // Extended commands are Command 1 = 0x00, Command 2 = Op Code, Data 1 = 0x00, Data 2 = value
+        buffer[offset + 0] = 0x00;
+        buffer[offset + 1] = extended.op_code;
+        buffer[offset + 2] = 0x00;
+        buffer[offset + 3] = extended.value;
+        return true;
+    }
+
+    var command_1 = 0x00;
+    var command_2 = 0x00;
+
+    if (command.pan == 'left') command_2 |= (1 << 2);
+    else if (command.pan == 'right') command_2 |= (1 << 1);
+    if (command.tilt == 'up') command_2 |= (1 << 3);
+    else if (command.tilt == 'down') command_2 |= (1 << 4);
+    if (command.zoom == 'in') command_2 |= (1 << 5);
+    else if (command.zoom == 'out') command_2 |= (1 << 6);
+
+    if (variant == 'd') {
+        if (command.focus == 'near') command_1 |= (1 << 0);
+        else if (command.focus == 'far') command_2 |= (1 << 7);
+        if (command.iris == 'open') command_1 |= (1 << 1);
+        else if (command.iris == 'close') command_1 |= (1 << 2);
+
+        // Camera On and Auto Scan set the Sense bit. Camera Off and Manual Scan clear it
+        // so one message cannot turn the camera On and select Manual Scan
+        if (command.camera_power !== undefined || command.scan !== undefined) {
+            var sense_on = (command.camera_power == 'on' || command.scan == 'auto');
+            var sense_off = (command.camera_power == 'off' || command.scan == 'manual');
+            if (sense_on && sense_off) return false;
+            if (sense_on) command_1 |= (1 << 7);
+            if (command.camera_power !== undefined) command_1 |= (1 << 3);
+            if (command.scan !== undefined) command_1 |= (1 << 4);
+        }
+    } else {
+        if (command.focus == 'far') command_1 |= (1 << 0);
+        else if (command.focus == 'near') command_1 |= (1 << 1);
+        if (command.iris == 'open') command_1 |= (1 << 2);
+        else if (command.iris == 'close') command_1 |= (1 << 3);
+
+        // Camera On/Off with the Camera On bit. Pelco P only has Auto Scan On
+        if (command.camera_power == 'on') command_1 |= (1 << 4) | (1 << 6);
+        else if (command.camera_power == 'off') command_1 |= (1 << 4);
+        if (command.scan == 'auto') command_1 |= (1 << 5);
+        else if (command.scan !== undefined) return false;
+    }
+
+    buffer[offset + 0] = command_1;
+    buffer[offset + 1] = command_2;
+    var turbo = (variant == 'd' ? 0xFF : 0x40);
+    buffer[offset + 2] = this.pelco_speed(command.pan == 'left' || command.pan == 'right' ? command.pan_speed : 0, turbo);
+    buffer[offset + 3] = this.pelco_speed(command.tilt == 'up' || command.tilt == 'down' ? command.tilt_speed : 0, undefined);
+    return true;
+};
+
+
+// Returns the Extended Command Op Code and value for preset, aux, tour and speed commands,
+// false for a normal Pan, Tilt, Zoom, Focus and Iris command
+// or null for a command that Pelco cannot send
+pelco_extended_command(command) {
+    if (command.preset_action !== undefined) {
+        var preset_op_codes = { 'set': 0x03, 'clear': 0x05, 'goto': 0x07 };
+        if (!preset_op_codes[command.preset_action] || !this.valid_byte(command.preset)) return null;
+        return { op_code: preset_op_codes[command.preset_action], value: command.preset };
+    }
+    if (command.aux_action !== undefined) {
+        var aux_op_codes = { 'on': 0x09, 'off': 0x0B };
+        if (!aux_op_codes[command.aux_action] || !this.valid_byte(command.aux)) return null;
+        return { op_code: aux_op_codes[command.aux_action], value: command.aux };
+    }
+    if (command.tour_action !== undefined) {
+        if (command.tour_action == 'record_stop') return { op_code: 0x21, value: 0x00 };
+        var tour_op_codes = { 'record_start': 0x1F, 'start': 0x23 };
+        if (!tour_op_codes[command.tour_action] || !this.valid_byte(command.tour)) return null;
+        return { op_code: tour_op_codes[command.tour_action], value: command.tour };
+    }
+
+    // The remaining Extended Commands are only used when there is no movement in the command
+    if (this.has_movement(command) || command.camera_power !== undefined || command.scan !== undefined) return false;
+
+    // Auto Focus and Auto Iris. 0 = Automatic Operation
+    if (command.focus == 'auto') return { op_code: 0x2B, value: 0x00 };
+    if (command.iris == 'auto') return { op_code: 0x2D, value: 0x00 };
+    if (command.focus == 'manual') return { op_code: 0x2B, value: 0x01 };
+    if (command.iris == 'manual') return { op_code: 0x2D, value: 0x01 };
+
+    // Zoom Speed and Focus Speed are 0 (slowest) to 3 (fastest)
+    if (command.zoom_speed !== undefined) {
+        if (command.zoom_speed < 0 || command.zoom_speed > 3) return null;
+        return { op_code: 0x25, value: command.zoom_speed };
+    }
+    if (command.focus_speed !== undefined) {
+        if (command.focus_speed < 0 || command.focus_speed > 3) return null;
+        return { op_code: 0x27, value: command.focus_speed };
+    }
+
+    return false;
+};
+
+
+// Returns true if the command starts or stops Pan, Tilt, Zoom, Focus or Iris
+has_movement(command) {
+    var moves = ['left', 'right', 'up', 'down', 'in', 'out', 'near', 'far', 'open', 'close', 'stop'];
+    return (moves.indexOf(command.pan) >= 0 || moves.indexOf(command.tilt) >= 0
+         || moves.indexOf(command.zoom) >= 0 || moves.indexOf(command.focus) >= 0
+         || moves.indexOf(command.iris) >= 0);
+};
+
+
+// Pan speed is 0x00 to 0x3F with turbo for Turbo (0xFF in Pelco D, 0x40 in Pelco P). Tilt speed is 0x00 to 0x3F and has no Turbo
+pelco_speed(speed, turbo) {
+    if (speed === undefined || speed < 0) return 0x00;
+    if (turbo !== undefined && speed == turbo) return turbo;
+    if (speed > 0x3F) return 0x3F;
+    return speed;
+};
+
+
+valid_byte(value) {
+    return (value >= 0 && value <= 0xFF);
+};
+
+
+// Bosch (Philips BiPhase) OSRD messages
+// Header (MSB set to 1 and message length excluding the checksum), High Order Address, Low Order Address, Op Code, Data, Checksum
+// Presets and Aux use Op Code 7. Everything else uses Op Code 5, Start/Stop Variable Speed PTZ
+encode_bosch(command) {
+    if (!(command.camera >= 1 && command.camera <= 16384)) return null;
+
+    var data;
+    var op_7 = this.bosch_op_7_function(command);
+
+    if (op_7 === null) return null;
+
+    if (op_7) {
+        // Function code in the lower nibble of Data 1. The value is 10 bits, split over Data 1 and Data 2
+        if (!(op_7.value >= 0 && op_7.value <= 1023)) return null;
+        data = [0x07,
+                (((op_7.value >> 7) & 0x07) << 4) | op_7.function_code,
+                op_7.value & 0x7F];
+    } else {
+        if (!this.has_movement(command)) return null;
+
+        var data_1 = (this.bosch_speed(command.zoom_speed, 7) << 4) | this.bosch_speed(command.tilt_speed, 15);
+        var data_2 = (this.bosch_speed(command.pan_speed, 15) << 3);
+        var data_3 = 0x00;
+
+        if (command.iris == 'open') data_2 |= (1 << 2);
+        else if (command.iris == 'close') data_2 |= (1 << 1);
+        if (command.focus == 'far') data_2 |= (1 << 0);
+        else if (command.focus == 'near') data_3 |= (1 << 6);
+        if (command.zoom == 'in') data_3 |= (1 << 5);
+        else if (command.zoom == 'out') data_3 |= (1 << 4);
+        if (command.tilt == 'up') data_3 |= (1 << 3);
+        else if (command.tilt == 'down') data_3 |= (1 << 2);
+        if (command.pan == 'left') data_3 |= (1 << 1);
+        else if (command.pan == 'right') data_3 |= (1 << 0);
+
+        data = [0x05, data_1, data_2, data_3];
+    }
+
+    // Camera 1 is sent as address 0. The address is split into two 7 bit values
+    var address = command.camera - 1;
+    var length = 3 + data.length;
+
+    var buffer = Buffer.alloc(length + 1);
+    buffer[0] = 0x80 | length;
+    buffer[1] = (address >> 7) & 0x7F;
+    buffer[2] = address & 0x7F;
+    for (var i = 0; i < data.length; i++) {
+        buffer[3 + i] = data[i];
+    }
+    buffer[length] = this.bosch_checksum(buffer, length + 1);
+    return buffer;
+};
+
+
+// Returns the Op Code 7 function code and value for Aux and Pre-position commands,
+// false for a PTZ command or null for a command that Bosch cannot send
+bosch_op_7_function(command) {
+    if (command.preset_action !== undefined) {
+        var preset_functions = { 'set': 4, 'goto': 5 };
+        if (!preset_functions[command.preset_action]) return null;
+        return { function_code: preset_functions[command.preset_action], value: command.preset };
+    }
+    if (command.aux_action !== undefined) {
+        var aux_functions = { 'on': 1, 'off': 2, 'latch_cancel': 8, 'latch_on': 9, 'latch_off': 10 };
+        if (!aux_functions[command.aux_action]) return null;
+        return { function_code: aux_functions[command.aux_action], value: command.aux };
+    }
+    if (command.tour_action !== undefined) return null;
+    return false;
+};
+
+
+// Bosch speeds are 0 to 'max' (15 for pan and tilt, 7 for zoom)
+bosch_speed(speed, max) {
+    if (speed === undefined || speed < 0) return 0;
+    if (speed > max) return max;
+    return speed;
+};
+
+
+// Forward Vision
+// 0x0A, then ASCII Hex pairs for the Camera and Message Length, a Control Flag, a Control Code, ASCII Hex data and a Checksum
+// PTZ, Iris, Focus and all the Aux outputs are sent together in the 'G' message. Presets are 'L' (Goto) and 'M' (Store)
+encode_forward_vision(command) {
+    if (!this.valid_byte(command.camera)) return null;
+
+    var messages = [];
+
+    if (command.preset_action !== undefined) {
+        var preset_codes = { 'goto': 'L', 'set': 'M' };
+        if (!preset_codes[command.preset_action] || !this.valid_byte(command.preset)) return null;
+        messages.push(this.fv_message(command.camera, preset_codes[command.preset_action], [command.preset]));
+    }
+
+    if (command.tour_action !== undefined) return null;
+
+    var aux_states = Object.assign({}, command.aux_states);
+    if (command.aux_action !== undefined) {
+        // Aux 1, 2 and 3 are bits in the 'G' message
+        if ((command.aux_action != 'on' && command.aux_action != 'off') || !(command.aux >= 1 && command.aux <= 3)) return null;
+        aux_states['aux_' + command.aux] = (command.aux_action == 'on' ? 1 : 0);
+    }
+
+    if (this.has_movement(command) || command.aux_action !== undefined || command.aux_states !== undefined
+           || command.auto_pan || command.iris == 'auto') {
+        var data1 = 0x00;
+        if (command.focus == 'near' || command.focus == 'far') data1 |= 0x80 | (command.focus == 'far' ? 0x40 : 0x00);
+        if (command.zoom == 'in' || command.zoom == 'out') data1 |= 0x20 | (command.zoom == 'out' ? 0x10 : 0x00);
+        if (command.tilt == 'up' || command.tilt == 'down') data1 |= 0x08 | (command.tilt == 'down' ? 0x04 : 0x00);
+        if (command.pan == 'left' || command.pan == 'right') data1 |= 0x02 | (command.pan == 'right' ? 0x01 : 0x00);
+
+        // Iris Control is 0 Stop, 1 Close, 2 Open, 3 Auto. Zoom and Focus speeds are 0 (slow) or 1 (fast)
+        var iris_controls = { 'close': 1, 'open': 2, 'auto': 3 };
+        var data2 = (iris_controls[command.iris] || 0) << 4;
+        if (command.focus_speed) data2 |= 0x04;
+        if (command.zoom_speed) data2 |= 0x02;
+        if (command.auto_pan) data2 |= 0x01;
+
+        var data3 = ((aux_states.wiper ? 1 : 0) << 6)
+                  | ((aux_states.washer ? 1 : 0) << 5)
+                  | ((aux_states.lamp & 0x03) << 3)
+                  | ((aux_states.aux_3 ? 1 : 0) << 2)
+                  | ((aux_states.aux_2 ? 1 : 0) << 1)
+                  | ((aux_states.aux_1 ? 1 : 0) << 0);
+
+        var pan_speed = (command.pan == 'left' || command.pan == 'right' ? this.fv_speed(command.pan_speed) : 0);
+        var tilt_speed = (command.tilt == 'up' || command.tilt == 'down' ? this.fv_speed(command.tilt_speed) : 0);
+
+        messages.push(this.fv_message(command.camera, 'G', [data1, data2, data3, pan_speed, tilt_speed]));
+    }
+
+    if (messages.length == 0) return null;
+    return Buffer.concat(messages);
+};
+
+
+// Forward Vision commands that are not part of the command object, by name
+//   encode_forward_vision_command(2, 'get_position')
+//   encode_forward_vision_command(2, 'get_version')
+//   encode_forward_vision_command(2, 'reset', value)
+encode_forward_vision_command(camera, name, value) {
+    if (!this.valid_byte(camera)) return null;
+    if (name == 'get_position') return this.fv_message(camera, 'O', []);
+    if (name == 'get_version') return this.fv_message(camera, 'Y', []);
+    if (name == 'reset' && this.valid_byte(value)) return this.fv_message(camera, 'W', [value]);
+    return null;
+};
+
+
+// 0x0A, Camera, Length, Control Flag '6', Control Code, Data and the Checksum
+// The Length counts every byte in the message, including the 0x0A and the Checksum
+fv_message(camera, control_code_char, data) {
+    var text = this.fv_ascii_hex(camera) + this.fv_ascii_hex(2 + 6 + (data.length * 2)) + '6' + control_code_char;
+    for (var i = 0; i < data.length; i++) {
+        text += this.fv_ascii_hex(data[i]);
+    }
+
+    var buffer = Buffer.alloc(text.length + 2);
+    buffer[0] = 0x0A;
+    buffer.write(text, 1, 'ascii');
+    buffer[buffer.length - 1] = this.fv_checksum(buffer, buffer.length);
+    return buffer;
+};
+
+
+// Convert a byte into two upper case ASCII Hex characters, eg 31 into "1F"
+// This is the reverse of fv_hex_ascii() in the decoder
+fv_ascii_hex(value) {
+    var hex_string = value.toString(16).toUpperCase();
+    while (hex_string.length < 2) {
+        hex_string = '0' + hex_string;
+    }
+    return hex_string;
+};
+
+
+fv_speed(speed) {
+    if (speed === undefined || speed < 0) return 0x00;
+    if (speed > 0xFF) return 0xFF;
+    return speed;
+};
+
+
+// Panasonic (conventional protocol)
+// STX, an optional Camera Select (ADnnn;), 'GC', a Length character, a list of 7 character commands split by ':' and ETX
+// Pan, Tilt and Zoom go in one 'D' command. Other commands are a 3 character group, a type (1 = command, 2 = data) and a 3 digit hex value
+encode_panasonic(command) {
+    var items = [];
+
+    if (command.preset_action !== undefined) {
+        // Presets 1 to 64. Goto uses data values 0x00 to 0x3F and Set uses 0x64 to 0xA3
+        var preset_offsets = { 'goto': 0x00, 'set': 0x64 };
+        if (preset_offsets[command.preset_action] === undefined || !(command.preset >= 1 && command.preset <= 64)) return null;
+        items.push('00219F0', '0022' + this.fv_ascii_hex(command.preset - 1 + preset_offsets[command.preset_action]) + '0');
+    }
+
+    if (command.tour_action !== undefined || command.focus == 'auto' || command.focus == 'manual' || command.iris == 'manual') return null;
+
+    var zoom_directions = { 'in': 0x08, 'out': 0x0C };
+    if (command.pan !== undefined || command.tilt !== undefined) {
+        // Pan/Tilt direction has bit 3 set when moving and bits 0 to 2 go clockwise from Left. 1 is Stop
+        var directions = { 'left stop': 0x08, 'left up': 0x09, 'stop up': 0x0A, 'right up': 0x0B,
+                           'right stop': 0x0C, 'right down': 0x0D, 'stop down': 0x0E, 'left down': 0x0F, 'stop stop': 0x01 };
+        var direction = directions[(command.pan || 'stop') + ' ' + (command.tilt || 'stop')];
+        if (direction === undefined) return null;
+
+        var zoom_nibble = 0x00;
+        if (zoom_directions[command.zoom]) zoom_nibble = zoom_directions[command.zoom] | this.panasonic_speed(command.zoom_speed, 0);
+
+        var pan_speed = (command.pan == 'left' || command.pan == 'right' ? this.fv_speed(command.pan_speed) : 0);
+        var tilt_speed = (command.tilt == 'up' || command.tilt == 'down' ? this.fv_speed(command.tilt_speed) : 0);
+        items.push('D' + zoom_nibble.toString(16).toUpperCase() + direction.toString(16).toUpperCase()
+                   + this.fv_ascii_hex(pan_speed) + this.fv_ascii_hex(tilt_speed));
+    } else if (zoom_directions[command.zoom]) {
+        items.push('202122' + (zoom_directions[command.zoom] | this.panasonic_speed(command.zoom_speed, 0)).toString(16).toUpperCase());
+    }
+
+    // Focus uses the same layout as Zoom. The default speed (2) matches the Focus Far and Focus Near codes from Panasonic keyboards
+    var focus_directions = { 'far': 0x08, 'near': 0x0C };
+    if (focus_directions[command.focus]) {
+        items.push('202126' + (focus_directions[command.focus] | this.panasonic_speed(command.focus_speed, 2)).toString(16).toUpperCase());
+    }
+
+    // One command stops both Zoom and Focus
+    if (command.focus == 'stop' || (command.zoom == 'stop' && command.pan === undefined && command.tilt === undefined)) {
+        items.push('2021224');
+    }
+
+    var iris_codes = { 'open': '0021002', 'close': '0021003', 'stop': '0021004', 'auto': '0021005' };
+    if (command.iris !== undefined) {
+        if (!iris_codes[command.iris]) return null;
+        items.push(iris_codes[command.iris]);
+    }
+
+    if (command.aux_action !== undefined) {
+        // Aux 1 to 4 are 0x160 to 0x167. Even values are On and odd values are Off
+        if ((command.aux_action != 'on' && command.aux_action != 'off') || !(command.aux >= 1 && command.aux <= 4)) return null;
+        items.push('2021' + (0x160 + ((command.aux - 1) * 2) + (command.aux_action == 'off' ? 1 : 0)).toString(16).toUpperCase());
+    }
+
+    var black_and_white_codes = { 'on': '0021040', 'off': '0021041' };
+    if (command.black_and_white !== undefined) {
+        if (!black_and_white_codes[command.black_and_white]) return null;
+        items.push(black_and_white_codes[command.black_and_white]);
+    }
+
+    // Menu and other commands, eg [{ code: '2021400', data: ['000'] }]. Data values go in the same group with type 2
+    if (command.menu !== undefined) {
+        for (var i = 0; i < command.menu.length; i++) {
+            var code = command.menu[i].code;
+            var data = command.menu[i].data || [];
+            if (!/^[0-9A-F]{3}1[0-9A-F]{3}$/.test(code)) return null;
+            items.push(code);
+            for (var x = 0; x < data.length; x++) {
+                if (!/^[0-9A-F]{3}$/.test(data[x])) return null;
+                items.push(code.substring(0, 3) + '2' + data[x]);
+            }
+        }
+    }
+
+    if (items.length == 0) return null;
+    return this.encode_panasonic_items(command.camera, items);
+};
+
+
+// Build a Panasonic message from a list of 7 character commands, eg menu commands that are not part of the command object
+//   encode_panasonic_items(1, ['002110C'])
+// Camera can be undefined when the keyboard has already selected the camera
+encode_panasonic_items(camera, items) {
+    // The Length character is '7' for one command, then 'F', 'N', 'V', '^', 'f', 'n', 'v', '~' as each command is added
+    if (items.length < 1 || items.length > 9) return null;
+    var length_char = (items.length == 1 ? '7' : String.fromCharCode(0x46 + ((items.length - 2) * 8)));
+
+    var text = '';
+    if (camera !== undefined) {
+        if (!(camera >= 1 && camera <= 999)) return null;
+        text += 'AD' + ('00' + camera).slice(-3) + ';';
+    }
+    text += 'GC' + length_char + ':' + items.join(':');
+
+    var buffer = Buffer.alloc(text.length + 2);
+    buffer[0] = 0x02; // STX
+    buffer.write(text, 1, 'ascii');
+    buffer[buffer.length - 1] = 0x03; // ETX
+    return buffer;
+};
+
+
+// Zoom and Focus speeds are 0 to 3
+panasonic_speed(speed, default_speed) {
+    if (speed === undefined) return default_speed;
+    if (speed < 0) return 0;
+    if (speed > 3) return 3;
+    return speed;
+};
+
+
+// Sony VISCA
+// VISCA has a separate message for Pan/Tilt, Zoom, Focus, Iris(Exposure) and Presets so one command object
+// can become several VISCA messages. They are returned one after the other in the same Buffer
+// Camera is the VISCA address 1 to 7. Address 8 is Broadcast
+encode_visca(command) {
+    var messages = [];
+
+    if (command.preset_action !== undefined) {
+        // Memory Reset, Set and Recall
+        var preset_functions = { 'clear': 0x00, 'set': 0x01, 'goto': 0x02 };
+        if (preset_functions[command.preset_action] === undefined) return null;
+        if (!(command.preset >= 0 && command.preset <= 0x7F)) return null;
+        messages.push([0x01, 0x04, 0x3F, preset_functions[command.preset_action], command.preset]);
+    }
+
+    if (command.aux_action !== undefined || command.tour_action !== undefined) return null;
+
+    var pan_directions  = { 'left': 0x01, 'right': 0x02, 'stop': 0x03 };
+    var tilt_directions = { 'up': 0x01, 'down': 0x02, 'stop': 0x03 };
+    if (pan_directions[command.pan] || tilt_directions[command.tilt]) {
+        // Pan-tiltDrive. Pan speed is 0x01 to 0x18. Tilt speed is 0x01 to 0x14
+        messages.push([0x01, 0x06, 0x01,
+                       this.visca_speed(command.pan_speed, 0x18),
+                       this.visca_speed(command.tilt_speed, 0x14),
+                       pan_directions[command.pan] || 0x03,
+                       tilt_directions[command.tilt] || 0x03]);
+    }
+
+    // Zoom and Focus use 0x02/0x03 for standard speed or 0x2p/0x3p for variable speed p (0 to 7)
+    var zoom_directions = { 'stop': 0x00, 'in': 0x02, 'out': 0x03 };
+    if (zoom_directions[command.zoom] !== undefined) {
+        messages.push([0x01, 0x04, 0x07, this.visca_variable_speed(zoom_directions[command.zoom], command.zoom_speed)]);
+    }
+
+    var focus_directions = { 'stop': 0x00, 'far': 0x02, 'near': 0x03 };
+    if (focus_directions[command.focus] !== undefined) {
+        messages.push([0x01, 0x04, 0x08, this.visca_variable_speed(focus_directions[command.focus], command.focus_speed)]);
+    }
+    else if (command.focus == 'auto') messages.push([0x01, 0x04, 0x38, 0x02]);
+    else if (command.focus == 'manual') messages.push([0x01, 0x04, 0x38, 0x03]);
+
+    // Iris Up/Down are single steps so there is no Iris Stop. Auto and Manual Iris are Exposure modes
+    if (command.iris == 'open') messages.push([0x01, 0x04, 0x0B, 0x02]);
+    else if (command.iris == 'close') messages.push([0x01, 0x04, 0x0B, 0x03]);
+    else if (command.iris == 'auto') messages.push([0x01, 0x04, 0x39, 0x00]);
+    else if (command.iris == 'manual') messages.push([0x01, 0x04, 0x39, 0x03]);
+
+    if (messages.length == 0) return null;
+
+    var packets = [];
+    for (var i = 0; i < messages.length; i++) {
+        var packet = this.visca_packet(command.camera, messages[i]);
+        if (packet === null) return null;
+        packets.push(packet);
+    }
+    return Buffer.concat(packets);
+};
+
+
+// VISCA commands that are not part of the command object, by name. Some take a value, eg
+//   encode_visca_command(1, 'home')
+//   encode_visca_command(1, 'auto_power_off', 300)
+//   encode_visca_command(1, 'absolute_position', { pan_speed: 0x14, tilt_speed: 0x14, pan: -400, tilt: 120 })
+encode_visca_command(camera, name, value) {
+    var messages = {
+        'power_on':            [0x01, 0x04, 0x00, 0x02],
+        'power_off':           [0x01, 0x04, 0x00, 0x03],
+        'one_push_focus':      [0x01, 0x04, 0x18, 0x01],
+        'infinity_focus':      [0x01, 0x04, 0x18, 0x02],
+        'auto_manual_focus':   [0x01, 0x04, 0x38, 0x10],
+        'ae_full_auto':        [0x01, 0x04, 0x39, 0x00],
+        'ae_manual':           [0x01, 0x04, 0x39, 0x03],
+        'ae_shutter_priority': [0x01, 0x04, 0x39, 0x0A],
+        'ae_iris_priority':    [0x01, 0x04, 0x39, 0x0B],
+        'ae_bright':           [0x01, 0x04, 0x39, 0x0D],
+        'iris_reset':          [0x01, 0x04, 0x0B, 0x00],
+        'home':                [0x01, 0x06, 0x04],
+        'osd_menu_on':         [0x01, 0x06, 0x06, 0x02],
+        'osd_menu_off':        [0x01, 0x06, 0x06, 0x03],
+        'if_clear':            [0x01, 0x00, 0x01]
+    };
+
+    var message = messages[name];
+
+    if (name == 'auto_power_off') {
+        // Timer in seconds, 0 to 0xFFFF. Zero disables Auto PowerOff
+        if (!(value >= 0 && value <= 0xFFFF)) return null;
+        message = [0x01, 0x04, 0x40].concat(this.visca_nibbles(value, 4));
+    }
+    if (name == 'zoom_position' || name == 'focus_position') {
+        if (!(value >= 0 && value <= 0xFFFF)) return null;
+        message = [0x01, 0x04, (name == 'zoom_position' ? 0x47 : 0x48)].concat(this.visca_nibbles(value, 4));
+    }
+    if (name == 'absolute_position') {
+        // Pan and Tilt positions are signed 16 bit values. Speeds are the same as Pan-tiltDrive
+        if (!value || !(value.pan >= -0x8000 && value.pan <= 0x7FFF && value.tilt >= -0x8000 && value.tilt <= 0x7FFF)) return null;
+        message = [0x01, 0x06, 0x02, this.visca_speed(value.pan_speed, 0x18), this.visca_speed(value.tilt_speed, 0x14)]
+                  .concat(this.visca_nibbles(value.pan, 4), this.visca_nibbles(value.tilt, 4));
+    }
+
+    if (message === undefined) return null;
+    return this.visca_packet(camera, message);
+};
+
+
+// VISCA inquiry messages, by name, eg encode_visca_inquiry(1, 'zoom_position')
+encode_visca_inquiry(camera, name) {
+    var messages = {
+        'power':              [0x09, 0x04, 0x00],
+        'zoom_position':      [0x09, 0x04, 0x47],
+        'focus_position':     [0x09, 0x04, 0x48],
+        'focus_mode':         [0x09, 0x04, 0x38],
+        'ae_mode':            [0x09, 0x04, 0x39],
+        'iris_position':      [0x09, 0x04, 0x4B],
+        'white_balance_mode': [0x09, 0x04, 0x35],
+        'backlight':          [0x09, 0x04, 0x33],
+        'pan_tilt_max_speed': [0x09, 0x06, 0x11],
+        'pan_tilt_position':  [0x09, 0x06, 0x12],
+        'version':            [0x09, 0x00, 0x02]
+    };
+
+    if (messages[name] === undefined) return null;
+    return this.visca_packet(camera, messages[name]);
+};
+
+
+// VISCA replies sent by a camera to the controller (this.visca_sender)
+//   encode_visca_reply(1, 'ack', 1)
+//   encode_visca_reply(1, 'completion', 1)
+//   encode_visca_reply(1, 'error', 0, 'syntax_error')
+encode_visca_reply(camera, reply, socket, error) {
+    var error_codes = { 'message_length': 0x01, 'syntax_error': 0x02, 'buffer_full': 0x03, 'cancelled': 0x04,
+                        'no_socket': 0x05, 'not_executable': 0x41 };
+    if (!(socket >= 0 && socket <= 0x0F)) return null;
+    if (reply == 'ack') return this.visca_reply_packet(camera, [0x40 | socket]);
+    if (reply == 'completion') return this.visca_reply_packet(camera, [0x50 | socket]);
+    if (reply == 'error' && error_codes[error] !== undefined) return this.visca_reply_packet(camera, [0x60 | socket, error_codes[error]]);
+    return null;
+};
+
+
+// VISCA Inquiry replies (Completion with data), by the inquiry names used in PelcoD_Decoder, eg
+//   encode_visca_inquiry_reply(1, 'zoom_position', 0x4000)
+//   encode_visca_inquiry_reply(1, 'power', 'on')
+//   encode_visca_inquiry_reply(1, 'pan_tilt_position', { pan: -400, tilt: 120 })
+//   encode_visca_inquiry_reply(1, 'version', { vendor_id: 0x0001, model_id: 0x0402, rom_version: 0x0100, max_socket: 2 })
+encode_visca_inquiry_reply(camera, name, value) {
+    var data;
+    var on_off = { 'on': 0x02, 'off': 0x03 };
+
+    if (name == 'power' || name == 'backlight') data = (on_off[value] !== undefined ? [on_off[value]] : undefined);
+    if (name == 'focus_mode') data = ({ 'auto': [0x02], 'manual': [0x03] })[value];
+    if (name == 'ae_mode') data = ({ 'full_auto': [0x00], 'manual': [0x03], 'shutter_priority': [0x0A], 'iris_priority': [0x0B], 'bright': [0x0D] })[value];
+    if (name == 'white_balance_mode') data = ({ 'auto': [0x00], 'indoor': [0x01], 'outdoor': [0x02], 'one_push': [0x03], 'atw': [0x04], 'manual': [0x05] })[value];
+    if (name == 'zoom_position' || name == 'focus_position' || name == 'iris_position' || name == 'shutter_position'
+        || name == 'gain_position' || name == 'bright_position' || name == 'r_gain' || name == 'b_gain') {
+        if (value >= 0 && value <= 0xFFFF) data = this.visca_nibbles(value, 4);
+    }
+    if (name == 'preset' && this.valid_byte(value)) data = [value];
+    if (name == 'pan_tilt_max_speed' && value) data = [this.visca_speed(value.pan, 0x18), this.visca_speed(value.tilt, 0x14)];
+    if (name == 'pan_tilt_position' && value) {
+        if (value.pan >= -0x8000 && value.pan <= 0x7FFF && value.tilt >= -0x8000 && value.tilt <= 0x7FFF) {
+            data = this.visca_nibbles(value.pan, 4).concat(this.visca_nibbles(value.tilt, 4));
+        }
+    }
+    if (name == 'version' && value) {
+        data = [(value.vendor_id >> 8) & 0xFF, value.vendor_id & 0xFF, (value.model_id >> 8) & 0xFF, value.model_id & 0xFF,
+                (value.rom_version >> 8) & 0xFF, value.rom_version & 0xFF, value.max_socket & 0xFF];
+    }
+
+    if (data === undefined) return null;
+    return this.visca_reply_packet(camera, [0x50].concat(data));
+};
+
+
+// Replies have a header of 0x80 + (Camera << 4) + the controller address
+visca_reply_packet(camera, message) {
+    if (!(camera >= 1 && camera <= 7)) return null;
+
+    var buffer = Buffer.alloc(message.length + 2);
+    buffer[0] = 0x80 | (camera << 4) | (this.visca_sender & 0x07);
+    for (var i = 0; i < message.length; i++) {
+        buffer[1 + i] = message[i];
+    }
+    buffer[message.length + 1] = 0xFF;
+    return buffer;
+};
+
+
+// Broadcast 'Address Set'. Cameras number themselves from 1 onwards along the daisy chain
+// address defaults to 1. The last camera sends it back to the controller with the next free address (number of cameras + 1)
+encode_visca_address_set(address) {
+    if (address === undefined) address = 1;
+    if (!(address >= 1 && address <= 8)) return null;
+    return Buffer.from([0x88, 0x30, address, 0xFF]);
+};
+
+
+// Header is 0x80 + (Sender << 4) + Receiver. Receiver 8 is Broadcast (0x88)
+// then the message and the 0xFF terminator
+visca_packet(camera, message) {
+    if (!(camera >= 1 && camera <= 8)) return null;
+
+    var buffer = Buffer.alloc(message.length + 2);
+    buffer[0] = 0x80 | ((this.visca_sender & 0x07) << 4) | camera;
+    for (var i = 0; i < message.length; i++) {
+        buffer[1 + i] = message[i];
+    }
+    buffer[message.length + 1] = 0xFF;
+    return buffer;
+};
+
+
+// Pan and Tilt speeds start at 0x01
+visca_speed(speed, max) {
+    if (speed === undefined || speed < 1) return 0x01;
+    if (speed > max) return max;
+    return speed;
+};
+
+
+// Add the variable speed (0 to 7) to the Zoom/Focus direction
+visca_variable_speed(direction, speed) {
+    if (direction == 0x00 || speed === undefined) return direction;
+    if (speed < 0) speed = 0;
+    if (speed > 7) speed = 7;
+    return ((direction << 4) | speed);
+};
+
+
+// Split a value into 'count' bytes, each holding 4 bits (0x0p 0x0q 0x0r 0x0s)
+visca_nibbles(value, count) {
+    var nibbles = [];
+    for (var i = count - 1; i >= 0; i--) {
+        nibbles.push((value >> (i * 4)) & 0x0F);
+    }
+    return nibbles;
+};
+
+
+// American Dynamics AD422 / Sensormatic
+// Address (1 to 99, 64 is Broadcast), Command (0x81 to 0xFA), optional payload, Checksum
+// Like VISCA, Pan, Tilt, Zoom, Focus and Iris are separate messages so they are returned one after the other in the same Buffer
+encode_ad422(command) {
+    var messages = [];
+
+    if (command.preset_action !== undefined) {
+        // Set and Goto Preset
+        var preset_functions = { 'set': 0x01, 'goto': 0x02 };
+        if (!preset_functions[command.preset_action] || !this.valid_byte(command.preset)) return null;
+        messages.push([0xC7, preset_functions[command.preset_action], command.preset]);
+    }
+
+    if (command.aux_action !== undefined || command.tour_action !== undefined) return null;
+
+    if (command.pan == 'stop' && command.tilt == 'stop' && command.zoom == 'stop'
+          && command.focus == 'stop' && command.iris == 'stop') {
+        messages.push([0x93]); // All Stop
+    } else {
+        // Pan and Tilt use Proportional Speed (0xC0) when there is a speed
+        var pan_codes = { 'left': 0x81, 'right': 0x82, 'stop': 0x83 };
+        if (pan_codes[command.pan]) {
+            if (command.pan != 'stop' && command.pan_speed !== undefined) messages.push([0xC0, pan_codes[command.pan], this.ad_speed(command.pan_speed)]);
+            else messages.push([pan_codes[command.pan]]);
+        }
+        var tilt_codes = { 'up': 0x84, 'down': 0x85, 'stop': 0x86 };
+        if (tilt_codes[command.tilt]) {
+            if (command.tilt != 'stop' && command.tilt_speed !== undefined) messages.push([0xC0, tilt_codes[command.tilt], this.ad_speed(command.tilt_speed)]);
+            else messages.push([tilt_codes[command.tilt]]);
+        }
+
+        var focus_codes = { 'near': 0x87, 'far': 0x88, 'stop': 0x89 };
+        var zoom_codes = { 'in': 0x8A, 'out': 0x8B, 'stop': 0x8C };
+        var iris_codes = { 'open': 0x90, 'close': 0x91, 'stop': 0x92 };
+        if (zoom_codes[command.zoom]) messages.push([zoom_codes[command.zoom]]);
+        if (focus_codes[command.focus]) messages.push([focus_codes[command.focus]]);
+        if (iris_codes[command.iris]) messages.push([iris_codes[command.iris]]);
+    }
+
+    // One command (0xCC 0x08) turns on both Auto Focus and Auto Iris
+    if (command.focus == 'auto' || command.iris == 'auto') messages.push([0xCC, 0x08]);
+
+    if (messages.length == 0) return null;
+
+    var packets = [];
+    for (var i = 0; i < messages.length; i++) {
+        var packet = this.ad_packet(command.camera, messages[i]);
+        if (packet === null) return null;
+        packets.push(packet);
+    }
+    return Buffer.concat(packets);
+};
+
+
+// Goto Absolute Position (0xA6)
+// Pan, Tilt, Zoom, Focus and Iris are 16 bit values (MSB first) in the same units as the camera's position report
+encode_ad422_absolute_position(camera, position) {
+    var payload = [0xA6];
+    var names = ['pan', 'tilt', 'zoom', 'focus', 'iris'];
+    for (var i = 0; i < names.length; i++) {
+        var value = position[names[i]] || 0;
+        if (!(value >= 0 && value <= 0xFFFF)) return null;
+        payload.push((value >> 8) & 0xFF, value & 0xFF);
+    }
+    return this.ad_packet(camera, payload);
+};
+
+
+// Address, Command and Payload then the Checksum
+ad_packet(camera, message) {
+    if (!(camera >= 0x01 && camera <= 0x63)) return null;
+
+    var buffer = Buffer.alloc(message.length + 2);
+    buffer[0] = camera;
+    for (var i = 0; i < message.length; i++) {
+        buffer[1 + i] = message[i];
+    }
+    buffer[message.length + 1] = this.ad_checksum(buffer, message.length + 2);
+    return buffer;
+};
+
+
+ad_speed(speed) {
+    if (speed < 0) return 0x00;
+    if (speed > 0xFF) return 0xFF;
+    return speed;
+};
+
+
+// Vicon (extended command)
+// 10 bytes. 0x80 | Camera high nibble, 0x50 | Camera low nibble, Pan/Tilt bits, Lens bits, 2 unused bytes then
+// the Pan Speed and Tilt Speed as two 7 bit values. There is no checksum
+// Goto Preset re-uses the Pan Speed bytes (0x10 then the preset) so it is sent as a second message
+encode_vicon(command) {
+    if (!this.valid_byte(command.camera)) return null;
+
+    var messages = [];
+
+    if (command.aux_action !== undefined || command.tour_action !== undefined) return null;
+
+    if (this.has_movement(command) || command.auto_pan) {
+        var buffer = this.vicon_message(command.camera);
+        if (command.pan == 'left') buffer[2] |= 0x40;
+        if (command.pan == 'right') buffer[2] |= 0x20;
+        if (command.tilt == 'up') buffer[2] |= 0x10;
+        if (command.tilt == 'down') buffer[2] |= 0x08;
+        if (command.auto_pan) buffer[2] |= 0x04;
+
+        if (command.zoom == 'out') buffer[3] |= 0x40;
+        if (command.zoom == 'in') buffer[3] |= 0x20;
+        if (command.focus == 'far') buffer[3] |= 0x10;
+        if (command.focus == 'near') buffer[3] |= 0x08;
+        if (command.iris == 'open') buffer[3] |= 0x04;
+        if (command.iris == 'close') buffer[3] |= 0x02;
+
+        var pan_speed = (command.pan == 'left' || command.pan == 'right' ? this.vicon_speed(command.pan_speed) : 0);
+        var tilt_speed = (command.tilt == 'up' || command.tilt == 'down' ? this.vicon_speed(command.tilt_speed) : 0);
+        // Pan Speeds 0x800 to 0x87F would put the Goto Preset marker (0x10) in byte 6, so use the speed just below them
+        if (((pan_speed >> 7) & 0x7F) == 0x10) pan_speed = 0x7FF;
+        buffer[6] = (pan_speed >> 7) & 0x7F;
+        buffer[7] = pan_speed & 0x7F;
+        buffer[8] = (tilt_speed >> 7) & 0x7F;
+        buffer[9] = tilt_speed & 0x7F;
+        messages.push(buffer);
+    }
+
+    if (command.preset_action !== undefined) {
+        // Only Goto Preset is known
+        if (command.preset_action != 'goto' || !(command.preset >= 0 && command.preset <= 0x7F)) return null;
+        var buffer = this.vicon_message(command.camera);
+        buffer[6] = 0x10;
+        buffer[7] = command.preset;
+        messages.push(buffer);
+    }
+
+    if (messages.length == 0) return null;
+    return Buffer.concat(messages);
+};
+
+
+// Empty Vicon message with the camera address
+vicon_message(camera) {
+    var buffer = Buffer.alloc(10);
+    buffer[0] = 0x80 | ((camera >> 4) & 0x0F);
+    buffer[1] = 0x50 | (camera & 0x0F); // 0x40 is the extended command bit
+    return buffer;
+};
+
+
+// Speed is 14 bits, sent as two 7 bit values
+vicon_speed(speed) {
+    if (speed === undefined || speed < 0) return 0x00;
+    if (speed > 0x3FFF) return 0x3FFF;
+    return speed;
+};
+
+
+// JVC
+// 0xB1, 0x01, Camera, 0x80 | number of bytes to follow, Command 1, Command 2 and an optional data byte
+// Pan, Tilt, Zoom, Focus and Iris are separate messages so they are returned one after the other in the same Buffer
+// There is no checksum. 0xB1 always marks the start of a message so Camera 177 (0xB1) cannot be used
+encode_jvc(command) {
+    var messages = [];
+
+    if (command.preset_action !== undefined) {
+        var preset_commands = { 'goto': [0x42, 0x00], 'set': [0x45, 0x28] };
+        if (!preset_commands[command.preset_action] || !this.valid_byte(command.preset) || command.preset == 0xB1) return null;
+        messages.push(preset_commands[command.preset_action].concat([command.preset]));
+    }
+
+    if (command.aux_action !== undefined || command.tour_action !== undefined
+          || command.focus == 'manual' || command.iris == 'manual') return null;
+
+    var pan_commands = { 'right': 0x00, 'left': 0x01, 'stop': 0x02 };
+    var tilt_commands = { 'up': 0x03, 'down': 0x04, 'stop': 0x05 };
+    var iris_commands = { 'open': 0x06, 'close': 0x07, 'stop': 0x08 };
+    var focus_commands = { 'far': 0x09, 'near': 0x0A, 'stop': 0x0B, 'auto': 0x1F };
+    var zoom_commands = { 'in': 0x0C, 'out': 0x0D, 'stop': 0x0E };
+
+    // Moves have a speed byte. Stops do not
+    if (pan_commands[command.pan] !== undefined) {
+        if (command.pan == 'stop') messages.push([0x45, pan_commands[command.pan]]);
+        else messages.push([0x45, pan_commands[command.pan], this.jvc_speed(command.pan_speed)]);
+    }
+    if (tilt_commands[command.tilt] !== undefined) {
+        if (command.tilt == 'stop') messages.push([0x45, tilt_commands[command.tilt]]);
+        else messages.push([0x45, tilt_commands[command.tilt], this.jvc_speed(command.tilt_speed)]);
+    }
+    if (zoom_commands[command.zoom] !== undefined) {
+        if (command.zoom == 'stop') messages.push([0x45, zoom_commands[command.zoom]]);
+        else messages.push([0x45, zoom_commands[command.zoom], this.jvc_speed(command.zoom_speed)]);
+    }
+    if (focus_commands[command.focus] !== undefined) {
+        if (command.focus == 'stop' || command.focus == 'auto') messages.push([0x45, focus_commands[command.focus]]);
+        else messages.push([0x45, focus_commands[command.focus], this.jvc_speed(command.focus_speed)]);
+    }
+    if (command.iris == 'auto') messages.push([0x42, 0x11, 0x01]);
+    else if (iris_commands[command.iris] !== undefined) messages.push([0x45, iris_commands[command.iris]]);
+
+    if (messages.length == 0) return null;
+
+    var packets = [];
+    for (var i = 0; i < messages.length; i++) {
+        var packet = this.jvc_packet(command.camera, messages[i]);
+        if (packet === null) return null;
+        packets.push(packet);
+    }
+    return Buffer.concat(packets);
+};
+
+
+// JVC commands that are not part of the command object, by name
+//   encode_jvc_command(2, 'backlight_on')
+//   encode_jvc_command(2, 'backlight_off')
+//   encode_jvc_command(2, 'auto_iris_off')
+encode_jvc_command(camera, name) {
+    if (name == 'backlight_on') return this.jvc_packet(camera, [0x42, 0x15, 0x01]);
+    if (name == 'backlight_off') return this.jvc_packet(camera, [0x42, 0x15, 0x00]);
+    if (name == 'auto_iris_off') return this.jvc_packet(camera, [0x42, 0x11, 0x00]);
+    return null;
+};
+
+
+// 0xB1, 0x01, Camera, Length then the Command bytes
+jvc_packet(camera, message) {
+    if (!this.valid_byte(camera) || camera == 0xB1) return null;
+
+    var buffer = Buffer.alloc(message.length + 4);
+    buffer[0] = 0xB1;
+    buffer[1] = 0x01;
+    buffer[2] = camera;
+    buffer[3] = 0x80 | message.length;
+    for (var i = 0; i < message.length; i++) {
+        buffer[4 + i] = message[i];
+    }
+    return buffer;
+};
+
+
+// 0xB1 cannot be used as it marks the start of a message
+jvc_speed(speed) {
+    if (speed === undefined || speed < 0) return 0x00;
+    if (speed > 0xFF) return 0xFF;
+    if (speed == 0xB1) return 0xB0;
+    return speed;
+};
+
+
+// SUM of bytes 1 to 5. The 0xFF start byte is not included in the checksum
+pelco_d_checksum(buffer) {
+    var total = 0;
+    for (var x = 1; x < (buffer.length - 1); x++) {
+        total += buffer[x];
+    }
+    return total % 256;
+};
+
+
+// SUM of all the bytes before the checksum. Checksum has MSB of zero
+bosch_checksum(buffer, message_length) {
+    var total = 0;
+    for (var x = 0; x < (message_length - 1); x++) {
+        total += buffer[x];
+    }
+    return total & 0x7F;
+};
+
+
+// XOR of all the bytes before the checksum, with the MSB set to 1
+fv_checksum(buffer, message_length) {
+    var computed_checksum = 0x00;
+    for (var x = 0; x < (message_length - 1); x++) {
+        computed_checksum = computed_checksum ^ buffer[x]; // xor
+    }
+    return computed_checksum | 0x80;
+};
+
+
+// Checksum makes the SUM of all the bytes zero
+ad_checksum(buffer, message_length) {
+    var total = 0;
+    for (var x = 0; x < (message_length - 1); x++) {
+        total += buffer[x];
+    }
+    return (0 - total) & 0xFF;
+};
+
+
+// XOR of bytes 0 to 6
+pelco_p_checksum(buffer) {
+    var computed_checksum = 0x00;
+    for (var x = 0; x < (buffer.length - 1); x++) {
+        computed_checksum = computed_checksum ^ buffer[x]; // xor
+    }
+    return computed_checksum;
+};
+} // end class
+
+module.exports = { PelcoD_Encoder };
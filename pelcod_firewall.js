@@ -0,0 +1,215 @@
+/*
+ * Camera command firewall. Block or rewrite decoded commands before they reach the cameras
+ * (c) Copyright 2018 Roger Hardiman
+ *
+ * Rules are loaded from a JSON file, eg
+ * { "rules": [
+ *     { "name": "no preset changes from the DVR", "type": "deny", "source": "/dev/ttyUSB2", "match": { "preset_action": ["set", "clear"] } },
+ *     { "name": "control room owns camera 5", "type": "lock", "cameras": [5], "source": "/dev/ttyUSB0", "from": "08:00", "to": "18:00" },
+ *     { "name": "slow pan", "type": "speed_limit", "cameras": [1, 2], "max_pan_speed": 20, "max_tilt_speed": 20 },
+ *     { "name": "school", "type": "privacy", "cameras": [7], "working_hours": { "from": "07:30", "to": "19:00" } }
+ * ] }
+ * Every rule can have
+ *   cameras          camera addresses the rule applies to. Default is every camera
+ *   source           name (or list of names) of the controller the rule applies to. Default is every controller
+ *   protocols        protocols the rule applies to eg ["pelco_d"]. Default is every protocol
+ *   from, to         time of day the rule is active (HH:MM, 00:00 to 24:00). The window can pass midnight. Default is all day
+ *   match            fields of the decoded command, eg { "preset_action": ["set", "clear"] }. Default is every command
+ * Rule types
+ *   deny             block the matching commands
+ *   lock             block the matching commands from every controller except 'source'
+ *   speed_limit      lower pan_speed and tilt_speed to max_pan_speed and max_tilt_speed (in the units of the protocol)
+ *   privacy          block the matching commands outside working_hours
+ * Events
+ *   "blocked"        { command, source, rule, reason }
+ *   "rewritten"      { command, source, rule, bytes }
+ *   "log"            text, eg when the rules are loaded
+ *
+ */
+
+var fs = require('fs');
+var EventEmitter = require('events');
+var PelcoD_Encoder = require('./pelcod_encoder').PelcoD_Encoder;
+
+var rule_types = ['deny', 'lock', 'speed_limit', 'privacy'];
+
+class PelcoD_Firewall extends EventEmitter {
+  // options.rules is a list of rules. options.rules_file is a JSON file of rules which is used instead
+  constructor(options) {
+    super();
+
+    options = options || {};
+    this.rules_file = options.rules_file;
+    this.rules = [];
+    this.watching = false;
+    this.encoder = new PelcoD_Encoder();
+
+    if (this.rules_file) this.load(this.rules_file);
+    else if (options.rules) this.rules = this.check_rules(options.rules);
+}
+
+
+// Read the rules from a JSON file. Throws an Error if the file cannot be read or has a bad rule
+load(filename) {
+    var text = fs.readFileSync(filename, 'utf8');
+    var json;
+    try {
+        json = JSON.parse(text);
+    } catch (err) {
+        throw new Error('Cannot read rules from ' + filename + ' ' + err.message);
+    }
+    this.rules = this.check_rules(Array.isArray(json) ? json : json.rules);
+    this.emit('log', 'Loaded ' + this.rules.length + ' rules from ' + filename);
+};
+
+
+// Read the rules file again. A file with errors is reported and the old rules are kept
+reload() {
+    try {
+        this.load(this.rules_file);
+    } catch (err) {
+        this.emit('log', err.message + '. Keeping the old rules');
+    }
+};
+
+
+// Read the rules file again each time it changes
+watch(interval) {
+    if (!this.rules_file || this.watching) return;
+    var self = this;
+    this.watching = true;
+    fs.watchFile(this.rules_file, { interval: interval || 1000 }, function(current, previous) {
+        if (current.mtimeMs != previous.mtimeMs) self.reload();
+    });
+};
+
+close() {
+    if (this.watching) fs.unwatchFile(this.rules_file);
+    this.watching = false;
+};
+
+
+// Check a command from 'source' against the rules. now defaults to the current time.
+// Returns { allowed, bytes, rule, reason }. bytes are the command's bytes, or the new bytes when a rule has rewritten it
+processCommand(command, source, now) {
+    if (now === undefined) now = new Date();
+    var bytes = command.bytes;
+    var output = command;
+
+    for (var i = 0; i < this.rules.length; i++) {
+        var rule = this.rules[i];
+        if (!this.rule_applies(rule, output, source)) continue;
+
+        var reason = undefined;
+        var active = this.in_time_window(rule.from, rule.to, now);
+        if (rule.type == 'deny' && active) reason = 'denied';
+        if (rule.type == 'lock' && active && rule.sources.indexOf(source) < 0) reason = 'camera locked to ' + rule.sources.join(',');
+        if (rule.type == 'privacy' && active && !this.in_time_window(rule.working_hours.from, rule.working_hours.to, now)) reason = 'outside working hours';
+
+        if (rule.type == 'speed_limit' && active) {
+            var limited = this.limit_speed(rule, output);
+            if (limited !== output) {
+                var new_bytes = this.encoder.encode(limited);
+                if (new_bytes === null) {
+                    reason = 'speed cannot be changed in ' + command.protocol;
+                } else {
+                    output = limited;
+                    bytes = new_bytes;
+                    this.emit('rewritten', { command: command, source: source, rule: rule, bytes: bytes });
+                }
+            }
+        }
+
+        if (reason !== undefined) {
+            this.emit('blocked', { command: command, source: source, rule: rule, reason: reason });
+            return { allowed: false, bytes: null, rule: rule, reason: reason };
+        }
+    }
+    return { allowed: true, bytes: bytes, rule: undefined, reason: undefined };
+};
+
+
+// Check the camera, source, protocol and match fields of a rule. The 'lock' rule applies to every source
+rule_applies(rule, command, source) {
+    if (rule.cameras && rule.cameras.indexOf(command.camera) < 0) return false;
+    if (rule.sources && rule.type != 'lock' && rule.sources.indexOf(source) < 0) return false;
+    if (rule.protocols && rule.protocols.indexOf(command.protocol) < 0) return false;
+    for (var field in rule.match) {
+        var values = (Array.isArray(rule.match[field]) ? rule.match[field] : [rule.match[field]]);
+        if (values.indexOf(command[field]) < 0) return false;
+    }
+    return true;
+};
+
+
+// Returns a copy of the command with the lower speeds, or the same command if the speeds are already in the limit
+limit_speed(rule, command) {
+    var output = command;
+    ['pan_speed', 'tilt_speed'].forEach(function(field) {
+        var max = rule['max_' + field];
+        if (max === undefined || command[field] === undefined || command[field] <= max) return;
+        if (output === command) {
+            output = Object.assign({}, command);
+            delete output.bytes;
+            delete output.text;
+        }
+        output[field] = max;
+    });
+    return output;
+};
+
+
+// from and to are 'HH:MM'. The window passes midnight when 'to' is before 'from'. No window means all day
+in_time_window(from, to, now) {
+    if (from === undefined && to === undefined) return true;
+    var minutes = now.getHours() * 60 + now.getMinutes();
+    var start = (from !== undefined ? this.parse_time(from) : 0);
+    var end = (to !== undefined ? this.parse_time(to) : 24 * 60);
+    if (start <= end) return (minutes >= start && minutes < end);
+    return (minutes >= start || minutes < end);
+};
+
+// Returns the minutes after midnight, or NaN. Hours are 0 to 23, and 24:00 can be used for the end of the day
+parse_time(text) {
+    var match = /^(\d{1,2}):(\d{2})$/.exec(text);
+    if (!match || parseInt(match[2]) > 59) return NaN;
+    var minutes = parseInt(match[1]) * 60 + parseInt(match[2]);
+    if (minutes > 24 * 60) return NaN;
+    return minutes;
+};
+
+
+// Check each rule and fill in the defaults. Throws an Error naming the bad rule
+check_rules(rules) {
+    if (!Array.isArray(rules)) throw new Error('Rules must be a list');
+    var checked = [];
+    for (var i = 0; i < rules.length; i++) {
+        var rule = Object.assign({}, rules[i]);
+        var name = rule.name || 'rule ' + (i + 1);
+        rule.name = name;
+
+        if (rule_types.indexOf(rule.type) < 0) throw new Error('Unknown type ' + rule.type + ' in ' + name + '. Types are ' + rule_types.join(','));
+        if (rule.source !== undefined) rule.sources = (Array.isArray(rule.source) ? rule.source : [rule.source]);
+        if (rule.cameras !== undefined && !Array.isArray(rule.cameras)) rule.cameras = [rule.cameras];
+        if (rule.protocols !== undefined && !Array.isArray(rule.protocols)) rule.protocols = [rule.protocols];
+        if ((rule.from !== undefined && isNaN(this.parse_time(rule.from))) || (rule.to !== undefined && isNaN(this.parse_time(rule.to)))) {
+            throw new Error('Times must be HH:MM in ' + name);
+        }
+        if (rule.type == 'lock' && rule.sources === undefined) throw new Error('A lock needs a source in ' + name);
+        if (rule.type == 'speed_limit' && rule.max_pan_speed === undefined && rule.max_tilt_speed === undefined) {
+            throw new Error('A speed_limit needs max_pan_speed or max_tilt_speed in ' + name);
+        }
+        if (rule.type == 'privacy') {
+            var hours = rule.working_hours;
+            if (!hours || isNaN(this.parse_time(hours.from)) || isNaN(this.parse_time(hours.to))) {
+                throw new Error('A privacy rule needs working_hours with HH:MM from and to in ' + name);
+            }
+        }
+        checked.push(rule);
+    }
+    return checked;
+};
+
+} // end class
+
+module.exports = { PelcoD_Firewall, rule_types };
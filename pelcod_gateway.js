@@ -0,0 +1,171 @@
+/*
+ * Translate CCTV PTZ commands from one protocol to another
+ * eg so a Pelco D keyboard can drive Bosch, Forward Vision or VISCA cameras
+ *
+ * (c) Copyright 2018 Roger Hardiman
+ *
+ * Data from the keyboard is passed to processBuffer(). It is decoded with PelcoD_Decoder and each command
+ * in the input protocol is re-encoded with PelcoD_Encoder in the output protocol.
+ * Events
+ *   "data"        a Buffer to send to the cameras
+ *   "unsupported" a command that cannot be sent in the output protocol
+ *   "log"         the text of each command that is translated
+ *
+ */
+
+var EventEmitter = require('events');
+var PelcoD_Decoder = require('./pelcod_decoder').PelcoD_Decoder;
+var PelcoD_Encoder = require('./pelcod_encoder').PelcoD_Encoder;
+
+// Maximum speed values for Pan, Tilt, Zoom and Focus in each protocol
+// Speeds are scaled between protocols. Protocols not listed here pass the speed through unchanged
+var speed_ranges = {
+    'pelco_d':        { pan_speed: 0x3F, tilt_speed: 0x3F, zoom_speed: 3, focus_speed: 3 },
+    'pelco_p':        { pan_speed: 0x3F, tilt_speed: 0x3F, zoom_speed: 3, focus_speed: 3 },
+    'bbv422':         { pan_speed: 0x3F, tilt_speed: 0x3F, zoom_speed: 3, focus_speed: 3 },
+    'bosch':          { pan_speed: 15, tilt_speed: 15, zoom_speed: 7 },
+    'forward_vision': { pan_speed: 0xFF, tilt_speed: 0xFF, zoom_speed: 1, focus_speed: 1 },
+    'visca':          { pan_speed: 0x18, tilt_speed: 0x14, zoom_speed: 7, focus_speed: 7 },
+    'panasonic':      { zoom_speed: 3, focus_speed: 3 },
+};
+
+// Axes which are only sent when they are moving or have changed since the last command to the camera
+// eg a Pelco D Pan Left also stops Zoom, Focus and Iris, which would be 3 extra messages in VISCA on every command
+var gateway_axes = {
+    'pan':   ['left', 'right'],
+    'tilt':  ['up', 'down'],
+    'zoom':  ['in', 'out'],
+    'focus': ['near', 'far'],
+    'iris':  ['open', 'close'],
+};
+
+class PelcoD_Gateway extends EventEmitter {
+  // input_protocol and output_protocol are the protocol names used in the decoder's "command" event, eg 'pelco_d' and 'visca'
+  // camera_map converts input camera numbers to output camera numbers, eg { 1: 5, 2: 7 }
+  // Cameras that are not in the map keep the same number
+  constructor(input_protocol, output_protocol, camera_map) {
+    super();
+
+    this.input_protocol = input_protocol;
+    this.output_protocol = output_protocol;
+    this.camera_map = camera_map || {};
+
+    // Last value of each axis sent to each output camera, keyed on output camera number
+    this.last_axes = {};
+
+    this.decoder = new PelcoD_Decoder({ protocols: [input_protocol] });
+    this.encoder = new PelcoD_Encoder();
+
+    var self = this;
+    this.decoder.on('command', function(command) {
+      if (command.protocol == self.input_protocol) self.translate(command);
+    });
+}
+
+
+// new_data_buffer is passed to the decoder. It can be a NodeJS Buffer or a Javascript array
+processBuffer(new_data_buffer) {
+    this.decoder.processBuffer(new_data_buffer);
+};
+
+
+// Re-encode a decoded command in the output protocol
+translate(command) {
+    var output = Object.assign({}, command);
+    delete output.bytes;
+    delete output.text;
+
+    output.protocol = this.output_protocol;
+    if (this.camera_map[command.camera] !== undefined) output.camera = this.camera_map[command.camera];
+
+    var speeds = ['pan_speed', 'tilt_speed', 'zoom_speed', 'focus_speed'];
+    for (var i = 0; i < speeds.length; i++) {
+        if (output[speeds[i]] !== undefined) output[speeds[i]] = this.scale_speed(speeds[i], output[speeds[i]]);
+    }
+
+    // Position messages and General Responses are not movements, so are not sent as a stop command
+    if (output.position_action !== undefined || output.ack !== undefined || output.reply !== undefined) {
+        var buffer = this.encode_position_or_response(output);
+        if (buffer === null) {
+            this.emit("unsupported", command);
+            return;
+        }
+        this.emit("log", command.text + ' => ' + this.output_protocol + ' Camera ' + output.camera);
+        this.emit("data", buffer);
+        return;
+    }
+
+    // A command that only repeats stopped axes has nothing to send
+    if (this.remove_unchanged_axes(output) && Object.keys(output).every(function(key) { return key == 'protocol' || key == 'camera'; })) return;
+
+    var buffer = this.encoder.encode(output);
+    if (buffer === null) {
+        this.emit("unsupported", command);
+        return;
+    }
+    this.update_last_axes(output);
+
+    this.emit("log", command.text + ' => ' + this.output_protocol + ' Camera ' + output.camera);
+    this.emit("data", buffer);
+};
+
+
+// Pelco D Set, Query and Response position messages and General Responses are passed from Pelco D to Pelco D
+// (with the camera number mapped). Other protocols use different position units so these return null (unsupported)
+encode_position_or_response(output) {
+    if (this.input_protocol != 'pelco_d' || this.output_protocol != 'pelco_d') return null;
+    if (output.ack !== undefined) return this.encoder.encode_pelco_d_general_response(output.camera, output.alarms);
+    if (output.position_action !== undefined) {
+        return this.encoder.encode_pelco_d_position(output.camera, output.position_action, output.position_axis, output.position_value);
+    }
+    return null;
+};
+
+
+// Remove the axes (and their speeds) that are not moving and have not changed since the last command to the camera
+// Returns true if any axis was removed
+remove_unchanged_axes(output) {
+    var last = this.last_axes[output.camera] || {};
+
+    var removed = false;
+    for (var axis in gateway_axes) {
+        var value = output[axis];
+        if (value === undefined) continue;
+        if (last[axis] === value && gateway_axes[axis].indexOf(value) < 0) {
+            delete output[axis];
+            delete output[axis + '_speed'];
+            removed = true;
+        }
+    }
+    return removed;
+};
+
+
+// Remember the axes sent to the camera. Only called once the command has been encoded,
+// so a command that could not be sent does not stop the next stop command from being sent
+update_last_axes(output) {
+    var last = this.last_axes[output.camera];
+    if (last === undefined) last = this.last_axes[output.camera] = {};
+
+    for (var axis in gateway_axes) {
+        if (output[axis] !== undefined) last[axis] = output[axis];
+    }
+};
+
+
+// Convert a speed from the input protocol's range to the output protocol's range
+// Pelco Turbo (0xFF) is above the normal range so becomes the maximum speed
+// A slow speed never becomes 0, which would send a movement that does not move
+scale_speed(name, speed) {
+    var input_range = speed_ranges[this.input_protocol];
+    var output_range = speed_ranges[this.output_protocol];
+    if (!input_range || !output_range || !input_range[name] || !output_range[name]) return speed;
+
+    if (speed > input_range[name]) speed = input_range[name];
+    var output_speed = Math.round(speed * output_range[name] / input_range[name]);
+    if (speed > 0 && output_speed < 1) output_speed = 1;
+    return output_speed;
+};
+} // end class
+
+module.exports = { PelcoD_Gateway };
@@ -0,0 +1,115 @@
+/*
+ * Read the bytes back from the log files written by read_serial_port.js and read_socket.js, and from hex dumps
+ * (c) Copyright 2018 Roger Hardiman
+ *
+ * Log files have lines like
+ *   14:02:31.250Rx[ff][01][00][04][20][00][25]
+ *   14:02:31.250[192.168.1.20:5000] Rx[ff][01][00][04][20][00][25]
+ *   14:02:31.251=>[ff][01][00][04][20][00][25] D Camera 1 [PAN LEFT (32)]...
+ * The 'Rx' lines are the bytes received. The '=>' lines are decoded text and are skipped.
+ * Any other line is read as a hex dump (eg 'FF 01 00 04 20 00 25' or '0xFF,0x01').
+ * Lines from xxd and hexdump -C have the offset and the ASCII column removed
+ *   00000000: ff01 0004 2000 25                        .... .%
+ *   00000000  ff 01 00 04 20 00 25                              |.... .%|
+ *
+ */
+
+// Time (H:M:S.N), optional [label] and the Rx bytes
+var rx_line = /^(\d{1,2}):(\d{1,2}):(\d{1,2})\.(\d{1,3})(?:\[([^\]]*)\] ?)?Rx((?:\[[0-9a-fA-F]{1,2}\])*)/;
+
+// xxd has an offset with a ':', groups of hex bytes, two or more spaces then the ASCII column
+var xxd_line = /^[0-9a-fA-F]{7,8}: +([0-9a-fA-F]{2,}(?: [0-9a-fA-F]{2,})*)(?: {2,}.*)?$/;
+
+// hexdump -C has an offset, the hex bytes (with an extra space after 8 bytes) then the ASCII column in |...|
+var hexdump_line = /^[0-9a-fA-F]{7,8}  +((?:[0-9a-fA-F]{2} +)*[0-9a-fA-F]{2}) +\|.*\|$/;
+
+// hexdump -C ends with a line that only has the offset (the length of the file)
+// and uses '*' for lines that are the same as the line before
+var hexdump_offset = /^[0-9a-fA-F]{7,8}$/;
+
+
+// Turn hex text into an array of byte values. Returns null if the text is not hex.
+// Accepts 'FF 01 00 04', 'ff010004', '[ff][01][00][04]', '0xFF,0x01,0x00,0x04' and mixtures of these
+function parse_hex(text) {
+    var tokens = text.replace(/0x/gi, ' ').replace(/[\[\](){},;:\-\s]+/g, ' ').trim().split(' ');
+    var bytes = [];
+
+    if (tokens.length == 1 && tokens[0] == '') return null;
+
+    for (var i = 0; i < tokens.length; i++) {
+        var token = tokens[i];
+        if (/^[0-9a-fA-F]+$/.test(token) == false) return null;
+        if (token.length <= 2) {
+            bytes.push(parseInt(token, 16));
+        } else if ((token.length % 2) == 0) {
+            // a run of hex digits with no spaces, eg ff010004
+            for (var x = 0; x < token.length; x += 2) {
+                bytes.push(parseInt(token.substr(x, 2), 16));
+            }
+        } else {
+            return null;
+        }
+    }
+    return bytes;
+}
+
+
+// Read the bytes from one line of xxd or hexdump -C output. Returns null if it is not one of these lines.
+function parse_dump_line(line) {
+    var match = xxd_line.exec(line.trim()) || hexdump_line.exec(line.trim());
+    if (match == null) return null;
+    return parse_hex(match[1]);
+}
+
+
+// Read one line from a log file or hex dump.
+// Returns { time, label, bytes } where time is milliseconds since midnight (undefined for hex dumps)
+// and label is the remote address from read_socket.js (or undefined). Returns null for lines with no received bytes.
+function parse_log_line(line) {
+    line = line.trim();
+    if (line.length == 0 || line[0] == '#') return null;
+
+    var match = rx_line.exec(line);
+    if (match) {
+        var time = ((parseInt(match[1]) * 60 + parseInt(match[2])) * 60 + parseInt(match[3])) * 1000 + parseInt(match[4]);
+        var bytes = parse_hex(match[6]);
+        if (bytes === null) return null;
+        return { time: time, label: match[5], bytes: bytes };
+    }
+
+    // Decoded text and messages from the programs
+    if (line.indexOf('=>') >= 0) return null;
+
+    var bytes = parse_dump_line(line) || parse_hex(line);
+    if (bytes === null) return null;
+    return { time: undefined, label: undefined, bytes: bytes };
+}
+
+
+// Read all the lines of a log file or hex dump.
+// Returns { entries, skipped } where entries are the parse_log_line() results and skipped lists the
+// { line_number, text } of lines that had text but could not be read, so they can be reported.
+// Comments, decoded text and the end of hexdump -C output are not reported.
+function parse_log_lines(lines) {
+    var entries = [];
+    var skipped = [];
+    var hexdump = false;
+
+    for (var i = 0; i < lines.length; i++) {
+        var line = lines[i].trim();
+        if (line.length == 0 || line[0] == '#' || line.indexOf('=>') >= 0) continue;
+
+        if (hexdump && (line == '*' || hexdump_offset.test(line))) continue;
+
+        var entry = parse_log_line(line);
+        if (entry) {
+            entries.push(entry);
+            hexdump = hexdump_line.test(line);
+        } else {
+            skipped.push({ line_number: i + 1, text: line });
+        }
+    }
+    return { entries: entries, skipped: skipped };
+}
+
+module.exports = { parse_hex, parse_dump_line, parse_log_line, parse_log_lines };
@@ -0,0 +1,119 @@
+/*
+ * Transparent tap. Pass bytes unchanged between the keyboard/DVR side and the camera side and decode both directions
+ * (c) Copyright 2018 Roger Hardiman
+ *
+ * keyboard and camera are streams (Serial Ports, TCP sockets) with "data" events and write().
+ * Each direction has its own PelcoD_Decoder so commands from the keyboard and replies from the cameras are never mixed up.
+ * Events (label is the direction, 'keyboard->camera' or 'camera->keyboard')
+ *   "rx"      label and the Buffer passed through
+ *   "log"     label and the decoded text
+ *   "command" label and the decoded command
+ *
+ * With a PelcoD_Firewall (options.firewall) the keyboard->camera bytes are no longer passed straight through.
+ * Each decoded command is checked against the rules and only the allowed (or rewritten) commands are sent to the cameras.
+ * The firewall needs exactly one protocol in options.protocols, as other protocols find phantom commands inside the real ones
+ * (eg VCL decodes the last 2 bytes of every Pelco P message). Bytes that are not part of a command are logged and dropped.
+ *
+ */
+
+var EventEmitter = require('events');
+var PelcoD_Decoder = require('./pelcod_decoder').PelcoD_Decoder;
+
+// Direction of the bytes received on each side
+var passthrough_labels = {
+    keyboard: 'keyboard->camera',
+    camera: 'camera->keyboard'
+};
+
+// Most keyboard bytes kept by the firewall while waiting for the rest of a command
+var max_pending_bytes = 256;
+
+class PelcoD_PassThrough extends EventEmitter {
+  // options.protocols is the list of protocols to decode. Default is every protocol
+  // options.firewall is an optional PelcoD_Firewall and options.source is the keyboard name used in its rules
+  // One firewall can be shared by the pass-throughs of several keyboards, each with its own source, so 'lock' rules work between them
+  // Throws an Error if there is a firewall without exactly one protocol
+  constructor(keyboard, camera, options) {
+    super();
+
+    options = options || {};
+    this.streams = { keyboard: keyboard, camera: camera };
+    this.decoders = {};
+    this.firewall = options.firewall;
+    this.source = options.source || 'keyboard';
+
+    if (this.firewall && (!options.protocols || options.protocols.length != 1)) {
+        throw new Error('The firewall needs one protocol, the protocol of the keyboard');
+    }
+
+    // Keyboard bytes received with a firewall that are not yet part of a decoded command
+    this.pending = [];
+
+    var self = this;
+    ['keyboard', 'camera'].forEach(function(side) {
+      var label = passthrough_labels[side];
+      var decoder = new PelcoD_Decoder({ protocols: options.protocols });
+      decoder.on('log', function(message) { self.emit('log', label, message); });
+      decoder.on('command', function(command) {
+        self.emit('command', label, command);
+        if (side == 'keyboard' && self.firewall) self.filter(command);
+      });
+      self.decoders[side] = decoder;
+
+      if (self.streams[side]) {
+        self.streams[side].on('data', function(buffer) { self.processBuffer(side, buffer); });
+      }
+    });
+}
+
+
+// Bytes received on one side ('keyboard' or 'camera'). They are sent on to the other side first, then decoded
+processBuffer(side, buffer) {
+    var other_side = (side == 'keyboard' ? 'camera' : 'keyboard');
+    var filtered = (side == 'keyboard' && this.firewall);
+    if (this.streams[other_side] && !filtered) this.streams[other_side].write(buffer);
+
+    this.emit('rx', passthrough_labels[side], buffer);
+    if (filtered) this.pending = this.pending.concat(Array.from(buffer));
+    this.decoders[side].processBuffer(buffer);
+
+    if (filtered && this.pending.length > max_pending_bytes) {
+        this.drop(this.pending.length - max_pending_bytes);
+    }
+};
+
+
+// Send a command from the keyboard to the cameras if the firewall allows it
+// The bytes received before the command that were not part of it are dropped
+filter(command) {
+    var start = this.find_bytes(this.pending, command.bytes);
+    if (start > 0) this.drop(start);
+    if (start >= 0) this.pending = this.pending.slice(command.bytes.length);
+
+    var result = this.firewall.processCommand(command, this.source);
+    if (result.allowed && this.streams.camera) this.streams.camera.write(result.bytes);
+};
+
+
+// Remove 'count' bytes from the start of the pending keyboard bytes and log them
+drop(count) {
+    var dropped = this.pending.slice(0, count);
+    this.pending = this.pending.slice(count);
+    var hex = dropped.map(function(value) { return ('0' + value.toString(16).toUpperCase()).slice(-2); }).join(' ');
+    this.emit('log', passthrough_labels.keyboard, 'Dropped ' + count + ' bytes that are not a command: ' + hex);
+};
+
+
+// Returns the position of 'bytes' in the list 'values', or -1
+find_bytes(values, bytes) {
+    for (var i = 0; i + bytes.length <= values.length; i++) {
+        var x = 0;
+        while (x < bytes.length && values[i + x] === bytes[x]) x++;
+        if (x == bytes.length) return i;
+    }
+    return -1;
+};
+
+} // end class
+
+module.exports = { PelcoD_PassThrough, passthrough_labels };
@@ -0,0 +1,171 @@
+/*
+ * Answer commands and queries as if we were the cameras, so a VMS or keyboard that waits for replies can be tested
+ * (c) Copyright 2018 Roger Hardiman
+ *
+ * Commands are given to processCommand() from the "command" events of PelcoD_Decoder. The reply bytes are returned.
+ * Pelco D   - Position Queries get a Position Response. Every other command gets the General Response
+ * VISCA     - Commands get ACK and Completion. Inquiries get a Completion with the data, or a Syntax Error
+ *             Address Set gets Address Set with the next free address
+ * The Pan, Tilt and Zoom positions come from a PelcoD_Simulator which follows the movement commands.
+ *
+ */
+
+var EventEmitter = require('events');
+var PelcoD_Encoder = require('./pelcod_encoder').PelcoD_Encoder;
+var PelcoD_Simulator = require('./pelcod_simulator').PelcoD_Simulator;
+var visca_degrees_per_step = require('./pelcod_simulator').visca_degrees_per_step;
+var visca_max_zoom = require('./pelcod_simulator').visca_max_zoom;
+
+// Protocols the responder answers
+var responder_protocols = ['pelco_d', 'visca'];
+
+// VISCA camera settings before any command changes them, keyed on the inquiry name
+var default_settings = {
+    'power': 'on',
+    'focus_mode': 'auto',
+    'focus_position': 0x1000,
+    'ae_mode': 'full_auto',
+    'iris_position': 0x0011,
+    'shutter_position': 0x0011,
+    'gain_position': 0x0001,
+    'bright_position': 0x000F,
+    'r_gain': 0x0080,
+    'b_gain': 0x0080,
+    'white_balance_mode': 'auto',
+    'backlight': 'off',
+    'preset': 0,
+    'pan_tilt_max_speed': { pan: 0x18, tilt: 0x14 },
+    'version': { vendor_id: 0x0001, model_id: 0x0000, rom_version: 0x0100, max_socket: 2 }
+};
+
+class PelcoD_Responder extends EventEmitter {
+  // options.cameras is a list of the camera addresses to answer for. Default is every camera address seen
+  // options.protocols is a list of the protocols to answer. Default is pelco_d and visca
+  // options.rates changes the camera performance (see PelcoD_Simulator)
+  constructor(options) {
+    super();
+
+    options = options || {};
+    this.camera_list = options.cameras;
+    this.protocols = options.protocols || responder_protocols;
+
+    this.encoder = new PelcoD_Encoder();
+    this.simulator = new PelcoD_Simulator({ cameras: options.cameras, rates: options.rates });
+
+    // VISCA settings of each camera keyed on camera address
+    this.settings = {};
+
+    var self = this;
+    this.simulator.on('log', function(message) { self.emit('log', message); });
+}
+
+
+// Returns the reply bytes for a decoded command, or null if there is nothing to send. now defaults to Date.now()
+processCommand(command, now) {
+    if (now === undefined) now = Date.now();
+    if (this.protocols.indexOf(command.protocol) < 0) return null;
+    // Replies from real cameras and broadcast commands are not answered
+    if (command.reply !== undefined || command.ack !== undefined || command.position_action == 'response') return null;
+    if (command.protocol == 'visca' && command.bytes[1] == 0x30) return this.reply_visca_address_set(command);
+    if (command.camera === undefined) return null;
+    if (this.camera_list && this.camera_list.indexOf(command.camera) < 0) return null;
+
+    this.simulator.processCommand(command, now);
+
+    if (command.protocol == 'pelco_d') return this.reply_pelco_d(command, now);
+    if (command.protocol == 'visca') return this.reply_visca(command, now);
+    return null;
+};
+
+
+reply_pelco_d(command, now) {
+    if (command.position_action != 'query') return this.encoder.encode_pelco_d_general_response(command.camera, 0);
+
+    // Pan and Tilt are 0 to 35999 hundredths of a degree. Tilt below the horizon is 360 minus the angle
+    var position = this.get_position(command.camera, now);
+    var value;
+    if (command.position_axis == 'pan') value = Math.round(position.pan * 100) % 36000;
+    if (command.position_axis == 'tilt') value = Math.round(((position.tilt + 360) % 360) * 100) % 36000;
+    if (command.position_axis == 'zoom') value = Math.round(position.zoom * 65535);
+    return this.encoder.encode_pelco_d_position(command.camera, 'response', command.position_axis, value);
+};
+
+
+reply_visca(command, now) {
+    var message_type = command.bytes[1];
+
+    if (message_type == 0x09) {
+        // Inquiries we do not know get a Syntax Error
+        var data = (command.inquiry !== undefined ? this.get_inquiry_value(command.camera, command.inquiry, now) : undefined);
+        var reply = (data !== undefined ? this.encoder.encode_visca_inquiry_reply(command.camera, command.inquiry, data) : null);
+        return reply || this.encoder.encode_visca_reply(command.camera, 'error', 0, 'syntax_error');
+    }
+
+    // Cancel. Commands finish straight away so there is never a command in the socket to cancel
+    if ((message_type & 0xF0) == 0x20) return this.encoder.encode_visca_reply(command.camera, 'error', message_type & 0x0F, 'no_socket');
+
+    if (message_type != 0x01) return null;
+
+    this.update_settings(command);
+
+    // IF_Clear has a Completion with no ACK
+    if (command.bytes[2] == 0x00 && command.bytes[3] == 0x01) return this.encoder.encode_visca_reply(command.camera, 'completion', 0);
+
+    return Buffer.concat([this.encoder.encode_visca_reply(command.camera, 'ack', 1),
+                          this.encoder.encode_visca_reply(command.camera, 'completion', 1)]);
+};
+
+
+// Broadcast Address Set from the controller (88 30 01 FF). Our cameras take the addresses from 1 onwards
+// and the next free address goes back to the controller. With no camera list we are one camera
+reply_visca_address_set(command) {
+    if (command.bytes[2] != 0x01) return null;
+    var camera_count = (this.camera_list ? this.camera_list.length : 1);
+    return this.encoder.encode_visca_address_set(camera_count + 1);
+};
+
+
+// Keep the VISCA settings that can be read back with an Inquiry
+update_settings(command) {
+    var settings = this.get_settings(command.camera);
+    if (command.camera_power !== undefined) settings.power = command.camera_power;
+    if (command.focus == 'auto' || command.focus == 'manual') settings.focus_mode = command.focus;
+    if (command.exposure_mode !== undefined) settings.ae_mode = command.exposure_mode;
+    if (command.white_balance !== undefined) settings.white_balance_mode = command.white_balance;
+    if (command.backlight !== undefined) settings.backlight = command.backlight;
+    if (command.preset_action == 'goto') settings.preset = command.preset;
+    if (command.position_action == 'set' && (command.position_axis == 'focus' || command.position_axis == 'iris')) {
+        settings[command.position_axis + '_position'] = command.position_value;
+    }
+    if (command.position_action == 'set' && command.position_axis == 'zoom_focus') settings.focus_position = command.focus_position_value;
+};
+
+
+get_inquiry_value(camera, inquiry, now) {
+    var position = this.get_position(camera, now);
+    if (inquiry == 'zoom_position') return Math.round(position.zoom * visca_max_zoom);
+    if (inquiry == 'pan_tilt_position') {
+        // VISCA positions are either side of the centre, so 270 degrees is -90 degrees
+        return {
+            pan: Math.round((position.pan > 180 ? position.pan - 360 : position.pan) / visca_degrees_per_step),
+            tilt: Math.round(position.tilt / visca_degrees_per_step)
+        };
+    }
+    return this.get_settings(camera)[inquiry];
+};
+
+
+// Position from the simulator, or the home position for a camera that has had no movement commands
+get_position(camera, now) {
+    return this.simulator.get_position(camera, now) || { camera: camera, pan: 0, tilt: 0, zoom: 0 };
+};
+
+
+get_settings(camera) {
+    if (this.settings[camera] === undefined) this.settings[camera] = Object.assign({}, default_settings);
+    return this.settings[camera];
+};
+
+} // end class
+
+module.exports = { PelcoD_Responder, responder_protocols };
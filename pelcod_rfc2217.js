@@ -0,0 +1,217 @@
+/*
+ * RFC 2217 (Telnet Com Port Control) client for ser2net, Moxa and other Serial Device Servers
+ * (c) Copyright 2018 Roger Hardiman
+ *
+ * Wraps a TCP socket that is connected to a Serial Device Server in RFC 2217 mode.
+ * The baud rate, data bits, parity and stop bits of the remote serial port are set with Telnet sub-negotiation
+ * and can be changed at any time with set_settings().
+ * Telnet commands are removed from the received bytes and 0xFF 0xFF is turned back into 0xFF so only
+ * the serial port data is passed on in the "data" event.
+ *
+ */
+
+var EventEmitter = require('events');
+
+// Telnet
+var IAC  = 0xFF;
+var DONT = 0xFE;
+var DO   = 0xFD;
+var WONT = 0xFC;
+var WILL = 0xFB;
+var SB   = 0xFA;
+var SE   = 0xF0;
+
+// Telnet Options
+var TRANSMIT_BINARY   = 0x00;
+var SUPPRESS_GO_AHEAD = 0x03;
+var COM_PORT_OPTION   = 0x2C;
+
+// Com Port Option commands sent by the client. The server replies with the command + 100
+var SET_BAUDRATE = 1;
+var SET_DATASIZE = 2;
+var SET_PARITY   = 3;
+var SET_STOPSIZE = 4;
+var SERVER_OFFSET = 100;
+
+var parity_values = { 'none': 1, 'odd': 2, 'even': 3, 'mark': 4, 'space': 5 };
+var stop_bits_values = { 1: 1, 2: 2, 1.5: 3 };
+
+// Options we are happy for both ends to use
+var accepted_options = [TRANSMIT_BINARY, SUPPRESS_GO_AHEAD, COM_PORT_OPTION];
+
+class PelcoD_RFC2217 extends EventEmitter {
+  // socket is a connected net.Socket (or anything with write() and a "data" event)
+  // settings has baud, data_bits, parity ('none','odd','even','mark','space') and stop_bits (1, 1.5 or 2)
+  constructor(socket, settings) {
+    super();
+
+    this.socket = socket;
+
+    // Settings confirmed by the Serial Device Server
+    this.remote_settings = {};
+
+    // Telnet parser state. 'data', 'iac', 'option' (after DO/DONT/WILL/WONT), 'sb' and 'sb_iac'
+    this.state = 'data';
+    this.command = 0;
+    this.sb_bytes = [];
+
+    // Options we have asked for, so the reply from the server is not answered again
+    this.requested = {};
+
+    var self = this;
+    socket.on('data', function(buffer) { self.processBuffer(buffer); });
+
+    this.start(settings || {});
+}
+
+
+// Ask the server to use Binary mode and Com Port Control then set the serial port
+start(settings) {
+    this.send_option(WILL, COM_PORT_OPTION);
+    this.send_option(WILL, TRANSMIT_BINARY);
+    this.send_option(DO, TRANSMIT_BINARY);
+    this.send_option(WILL, SUPPRESS_GO_AHEAD);
+    this.send_option(DO, SUPPRESS_GO_AHEAD);
+    this.set_settings(settings);
+};
+
+
+// Change baud, data_bits, parity and stop_bits on the remote serial port. Only the values given are sent.
+// Throws an Error for values that cannot be sent
+set_settings(settings) {
+    if (settings.baud !== undefined) {
+        var baud = parseInt(settings.baud);
+        if (isNaN(baud) || baud <= 0) throw new Error('Invalid baud rate ' + settings.baud);
+        this.send_com_port(SET_BAUDRATE, [(baud >> 24) & 0xFF, (baud >> 16) & 0xFF, (baud >> 8) & 0xFF, baud & 0xFF]);
+    }
+    if (settings.data_bits !== undefined) {
+        var data_bits = parseInt(settings.data_bits);
+        if (!(data_bits >= 5 && data_bits <= 8)) throw new Error('Invalid data bits ' + settings.data_bits);
+        this.send_com_port(SET_DATASIZE, [data_bits]);
+    }
+    if (settings.parity !== undefined) {
+        if (parity_values[settings.parity] === undefined) throw new Error('Invalid parity ' + settings.parity);
+        this.send_com_port(SET_PARITY, [parity_values[settings.parity]]);
+    }
+    if (settings.stop_bits !== undefined) {
+        if (stop_bits_values[settings.stop_bits] === undefined) throw new Error('Invalid stop bits ' + settings.stop_bits);
+        this.send_com_port(SET_STOPSIZE, [stop_bits_values[settings.stop_bits]]);
+    }
+};
+
+
+// Send serial port data to the remote site. 0xFF is sent as 0xFF 0xFF
+write(data) {
+    var bytes = [];
+    for (var i = 0; i < data.length; i++) {
+        bytes.push(data[i]);
+        if (data[i] == IAC) bytes.push(IAC);
+    }
+    this.socket.write(Buffer.from(bytes));
+};
+
+
+// Remove Telnet commands from the received bytes and emit the serial port data
+processBuffer(buffer) {
+    var data = [];
+
+    for (var i = 0; i < buffer.length; i++) {
+        var new_byte = buffer[i];
+
+        if (this.state == 'data') {
+            if (new_byte == IAC) this.state = 'iac';
+            else data.push(new_byte);
+        } else if (this.state == 'iac') {
+            if (new_byte == IAC) { data.push(IAC); this.state = 'data'; }
+            else if (new_byte == DO || new_byte == DONT || new_byte == WILL || new_byte == WONT) { this.command = new_byte; this.state = 'option'; }
+            else if (new_byte == SB) { this.sb_bytes = []; this.state = 'sb'; }
+            else this.state = 'data'; // other 2 byte Telnet commands (eg NOP) are ignored
+        } else if (this.state == 'option') {
+            this.negotiate(this.command, new_byte);
+            this.state = 'data';
+        } else if (this.state == 'sb') {
+            if (new_byte == IAC) this.state = 'sb_iac';
+            else this.sb_bytes.push(new_byte);
+        } else if (this.state == 'sb_iac') {
+            if (new_byte == IAC) { this.sb_bytes.push(IAC); this.state = 'sb'; }
+            else if (new_byte == SE) { this.subnegotiation(this.sb_bytes); this.state = 'data'; }
+            else this.state = 'data'; // broken sub-negotiation
+        }
+    }
+
+    if (data.length > 0) this.emit('data', Buffer.from(data));
+};
+
+
+// Reply to DO, DONT, WILL and WONT from the server
+negotiate(command, option) {
+    var accepted = (accepted_options.indexOf(option) >= 0);
+
+    // DO and DONT are about our end of the link. WILL and WONT are about the server's end
+    var our_end = (command == DO || command == DONT);
+    var request = (our_end ? WILL : DO) + '-' + option;
+
+    if (this.requested[request]) {
+        // The server is answering our own request so no reply is sent
+        delete this.requested[request];
+    } else if (our_end) {
+        this.send_option((command == DO && accepted ? WILL : WONT), option, false);
+    } else {
+        this.send_option((command == WILL && accepted ? DO : DONT), option, false);
+    }
+
+    if (option == COM_PORT_OPTION && (command == DONT || command == WONT)) {
+        this.emit('log', 'Server does not support RFC 2217 Com Port Control');
+    }
+};
+
+
+// Com Port Option replies from the server confirm the serial port settings
+subnegotiation(bytes) {
+    if (bytes.length < 2 || bytes[0] != COM_PORT_OPTION) return;
+
+    var code = bytes[1] - SERVER_OFFSET;
+    var value = bytes.slice(2);
+
+    if (code == SET_BAUDRATE && value.length == 4) {
+        this.remote_settings.baud = ((value[0] << 24) | (value[1] << 16) | (value[2] << 8) | value[3]) >>> 0;
+    } else if (code == SET_DATASIZE && value.length == 1) {
+        this.remote_settings.data_bits = value[0];
+    } else if (code == SET_PARITY && value.length == 1) {
+        this.remote_settings.parity = this.find_key(parity_values, value[0]);
+    } else if (code == SET_STOPSIZE && value.length == 1) {
+        var stop_bits = this.find_key(stop_bits_values, value[0]);
+        this.remote_settings.stop_bits = (stop_bits === undefined ? undefined : parseFloat(stop_bits));
+    } else {
+        // Line State and Modem State notifications are not used
+        return;
+    }
+    this.emit('settings', this.remote_settings);
+};
+
+
+send_option(command, option, request) {
+    if (request !== false) this.requested[command + '-' + option] = true;
+    this.socket.write(Buffer.from([IAC, command, option]));
+};
+
+send_com_port(code, value) {
+    var bytes = [IAC, SB, COM_PORT_OPTION, code];
+    for (var i = 0; i < value.length; i++) {
+        bytes.push(value[i]);
+        if (value[i] == IAC) bytes.push(IAC);
+    }
+    bytes.push(IAC, SE);
+    this.socket.write(Buffer.from(bytes));
+};
+
+find_key(table, value) {
+    for (var key in table) {
+        if (table[key] == value) return key;
+    }
+    return undefined;
+};
+
+} // end class
+
+module.exports = { PelcoD_RFC2217 };
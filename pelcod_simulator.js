@@ -0,0 +1,341 @@
+/*
+ * Virtual PTZ camera for testing keyboards and VMS systems without real domes
+ * (c) Copyright 2018 Roger Hardiman
+ *
+ * Commands are decoded with PelcoD_Decoder. The Pan, Tilt and Zoom position of each camera is worked out
+ * (dead reckoned) from the time each movement command has been running and its speed.
+ * Presets are stored and recalled (the camera moves to the preset at preset speed) and recorded tours are played back.
+ *
+ * Positions are Pan 0 to 360 degrees, Tilt -90 (straight down) to +90 degrees and Zoom 0 (wide) to 1 (tele)
+ * All times are milliseconds (eg Date.now()). They can be given to processBuffer() and update() for testing.
+ *
+ */
+
+var EventEmitter = require('events');
+var PelcoD_Decoder = require('./pelcod_decoder').PelcoD_Decoder;
+
+// Protocols the simulator understands
+var simulator_protocols = ['pelco_d', 'pelco_p', 'bosch', 'visca', 'ad422'];
+
+// Maximum speed values in each protocol. The speed in a command is turned into a fraction of the camera's maximum speed
+var max_speeds = {
+    'pelco_d': { pan_speed: 0x3F, tilt_speed: 0x3F, zoom_speed: 3 },
+    'pelco_p': { pan_speed: 0x3F, tilt_speed: 0x3F, zoom_speed: 3 },
+    'bosch':   { pan_speed: 15, tilt_speed: 15, zoom_speed: 7 },
+    'visca':   { pan_speed: 0x18, tilt_speed: 0x14, zoom_speed: 7 },
+    'ad422':   { pan_speed: 0xFF, tilt_speed: 0xFF }
+};
+
+// VISCA Pan and Tilt positions are in steps of 0.075 degrees either side of the centre. The optical Zoom range is 0 to 0x4000
+var visca_degrees_per_step = 0.075;
+var visca_max_zoom = 0x4000;
+
+// Absolute position axes that move the camera. Focus and Iris positions do not
+var position_axes = ['pan', 'tilt', 'zoom', 'pan_tilt', 'zoom_focus'];
+
+// Camera performance. Degrees per second for Pan and Tilt, and fraction of the zoom range per second for Zoom
+var default_rates = {
+    pan: 100,
+    tilt: 60,
+    zoom: 0.25,
+    preset_pan: 300,
+    preset_tilt: 200,
+    preset_zoom: 1
+};
+
+class PelcoD_Simulator extends EventEmitter {
+  // options.cameras is a list of the camera addresses to simulate. Default is every camera address seen
+  // options.protocols is the list of protocols to decode. Default is pelco_d, pelco_p, bosch, visca and ad422
+  // options.rates changes the camera performance (see default_rates)
+  constructor(options) {
+    super();
+
+    options = options || {};
+    this.camera_list = options.cameras;
+    this.rates = Object.assign({}, default_rates, options.rates);
+
+    // State of each camera keyed on camera address
+    this.cameras = {};
+
+    // Time of the bytes being decoded
+    this.now = undefined;
+
+    this.decoder = new PelcoD_Decoder({ protocols: options.protocols || simulator_protocols });
+
+    var self = this;
+    this.decoder.on('command', function(command) {
+      self.processCommand(command, self.now);
+    });
+}
+
+
+// new_data_buffer is passed to the decoder. now defaults to Date.now()
+processBuffer(new_data_buffer, now) {
+    this.now = (now === undefined ? Date.now() : now);
+    this.decoder.processBuffer(new_data_buffer);
+};
+
+
+// Move a camera from a decoded command. Commands for cameras that are not simulated are ignored
+processCommand(command, now) {
+    if (now === undefined) now = Date.now();
+    if (command.camera === undefined || command.reply !== undefined) return;
+    if (this.camera_list && this.camera_list.indexOf(command.camera) < 0) return;
+
+    var camera = this.get_or_create(command.camera, now);
+    this.update_camera(camera, now);
+
+    if (camera.recording !== undefined && command.tour_action === undefined) {
+        camera.tours[camera.recording].push({ time: now - camera.recording_start, command: command });
+    }
+
+    // A new movement or preset from the keyboard stops a running tour
+    if (camera.tour_running !== undefined && command.tour_action === undefined && this.is_movement(command)) {
+        this.emit('log', 'Camera ' + camera.camera + ' tour ' + camera.tour_running + ' stopped');
+        camera.tour_running = undefined;
+    }
+
+    this.apply_command(camera, command, now);
+};
+
+
+// Work out the position of every camera at time 'now'. Tours are played back
+update(now) {
+    if (now === undefined) now = Date.now();
+    for (var key in this.cameras) {
+        this.update_camera(this.cameras[key], now);
+    }
+};
+
+
+// Returns the position of one camera at time 'now' as { camera, pan, tilt, zoom, moving, tour_running, tour_recording }
+get_position(camera_id, now) {
+    var camera = this.cameras[camera_id];
+    if (camera === undefined) return undefined;
+    this.update_camera(camera, (now === undefined ? Date.now() : now));
+    return {
+        camera: camera.camera,
+        pan: camera.pan,
+        tilt: camera.tilt,
+        zoom: camera.zoom,
+        moving: (camera.pan_rate != 0 || camera.tilt_rate != 0 || camera.zoom_rate != 0 || camera.target !== undefined),
+        tour_running: camera.tour_running,
+        tour_recording: camera.recording
+    };
+};
+
+// Returns the position of every camera
+get_positions(now) {
+    var result = [];
+    for (var key in this.cameras) {
+        result.push(this.get_position(this.cameras[key].camera, now));
+    }
+    return result;
+};
+
+
+get_or_create(camera_id, now) {
+    if (this.cameras[camera_id] === undefined) {
+        this.cameras[camera_id] = {
+            camera: camera_id,
+            pan: 0, tilt: 0, zoom: 0,
+            // Degrees per second (Pan and Tilt) and zoom range per second
+            pan_rate: 0, tilt_rate: 0, zoom_rate: 0,
+            // Position being moved to by a preset or absolute position command
+            target: undefined,
+            presets: {},
+            tours: {},
+            recording: undefined,
+            recording_start: 0,
+            tour_running: undefined,
+            tour_start: 0,
+            tour_step: 0,
+            time: now
+        };
+    }
+    return this.cameras[camera_id];
+};
+
+
+// Move the camera to time 'now', playing back any tour steps that are due on the way
+update_camera(camera, now) {
+    while (camera.tour_running !== undefined) {
+        var steps = camera.tours[camera.tour_running];
+        if (camera.tour_step >= steps.length) {
+            // Loop back to the start of the tour after the time of the last step
+            camera.tour_start += steps[steps.length - 1].time;
+            camera.tour_step = 0;
+            // Stop a tour with every step at the same time from looping forever
+            if (steps[steps.length - 1].time == 0) { camera.tour_running = undefined; break; }
+        }
+        var step_time = camera.tour_start + steps[camera.tour_step].time;
+        if (step_time > now) break;
+        this.move(camera, step_time);
+        this.apply_command(camera, steps[camera.tour_step].command, step_time);
+        camera.tour_step++;
+    }
+    this.move(camera, now);
+};
+
+
+// Dead reckoning from camera.time to 'now'
+move(camera, now) {
+    var seconds = (now - camera.time) / 1000;
+    camera.time = now;
+    if (seconds <= 0) return;
+
+    if (camera.target !== undefined) {
+        camera.pan = this.move_to(camera.pan, camera.target.pan, this.rates.preset_pan * seconds, true);
+        camera.tilt = this.move_to(camera.tilt, camera.target.tilt, this.rates.preset_tilt * seconds, false);
+        camera.zoom = this.move_to(camera.zoom, camera.target.zoom, this.rates.preset_zoom * seconds, false);
+        if (camera.pan == camera.target.pan && camera.tilt == camera.target.tilt && camera.zoom == camera.target.zoom) {
+            camera.target = undefined;
+        }
+        return;
+    }
+
+    camera.pan = (camera.pan + camera.pan_rate * seconds) % 360;
+    if (camera.pan < 0) camera.pan += 360;
+    camera.tilt = Math.min(90, Math.max(-90, camera.tilt + camera.tilt_rate * seconds));
+    camera.zoom = Math.min(1, Math.max(0, camera.zoom + camera.zoom_rate * seconds));
+};
+
+
+// Move 'value' towards 'target' by up to 'step'. Pan takes the shortest way round the circle
+move_to(value, target, step, wrap) {
+    var difference = target - value;
+    if (wrap) {
+        if (difference > 180) difference -= 360;
+        if (difference < -180) difference += 360;
+    }
+    if (Math.abs(difference) <= step) return target;
+    value += (difference > 0 ? step : -step);
+    if (wrap) value = (value + 360) % 360;
+    return value;
+};
+
+
+apply_command(camera, command, now) {
+    var speeds = max_speeds[command.protocol] || {};
+
+    // Pan, Tilt and Zoom movement
+    if (command.pan !== undefined || command.tilt !== undefined || command.zoom !== undefined) {
+        if (this.is_movement(command)) camera.target = undefined;
+    }
+    if (command.pan !== undefined) {
+        var direction = { 'left': -1, 'right': 1 }[command.pan] || 0;
+        camera.pan_rate = direction * this.rates.pan * this.speed_fraction(command.pan_speed, speeds.pan_speed);
+    }
+    if (command.tilt !== undefined) {
+        var direction = { 'down': -1, 'up': 1 }[command.tilt] || 0;
+        camera.tilt_rate = direction * this.rates.tilt * this.speed_fraction(command.tilt_speed, speeds.tilt_speed);
+    }
+    if (command.zoom !== undefined) {
+        var direction = { 'out': -1, 'in': 1 }[command.zoom] || 0;
+        camera.zoom_rate = direction * this.rates.zoom * this.speed_fraction(command.zoom_speed, speeds.zoom_speed);
+    }
+
+    // Presets
+    if (command.preset_action == 'set') {
+        camera.presets[command.preset] = { pan: camera.pan, tilt: camera.tilt, zoom: camera.zoom };
+        this.emit('log', 'Camera ' + camera.camera + ' stored preset ' + command.preset);
+    } else if (command.preset_action == 'clear') {
+        delete camera.presets[command.preset];
+        this.emit('log', 'Camera ' + camera.camera + ' cleared preset ' + command.preset);
+    } else if (command.preset_action == 'goto') {
+        if (camera.presets[command.preset] !== undefined) {
+            this.move_to_target(camera, camera.presets[command.preset]);
+            this.emit('log', 'Camera ' + camera.camera + ' moving to preset ' + command.preset);
+        } else {
+            this.emit('log', 'Camera ' + camera.camera + ' preset ' + command.preset + ' is not stored');
+        }
+    }
+
+    // Absolute, relative and home positions
+    if (this.is_position_move(command)) this.move_to_target(camera, this.position_target(camera, command));
+
+    // Tours
+    if (command.tour_action == 'record_start') {
+        var tour = (command.tour !== undefined ? command.tour : 1);
+        camera.tours[tour] = [];
+        camera.recording = tour;
+        camera.recording_start = now;
+        this.emit('log', 'Camera ' + camera.camera + ' recording tour ' + tour);
+    } else if (command.tour_action == 'record_stop' && camera.recording !== undefined) {
+        // Keep the time of the end of the recording so the tour loops at the right time
+        camera.tours[camera.recording].push({ time: now - camera.recording_start, command: { protocol: command.protocol } });
+        this.emit('log', 'Camera ' + camera.camera + ' stored tour ' + camera.recording);
+        camera.recording = undefined;
+    } else if (command.tour_action == 'start') {
+        var tour = (command.tour !== undefined ? command.tour : 1);
+        if (camera.tours[tour] !== undefined && camera.tours[tour].length > 0) {
+            camera.tour_running = tour;
+            camera.tour_start = now;
+            camera.tour_step = 0;
+            this.emit('log', 'Camera ' + camera.camera + ' running tour ' + tour);
+        } else {
+            this.emit('log', 'Camera ' + camera.camera + ' tour ' + tour + ' is not recorded');
+        }
+    }
+};
+
+// Position to move to for a Pelco position (degrees and 0 to 1 zoom) or a VISCA position (camera units) command
+// Axes that are not in the command keep moving to the position they were already moving to
+position_target(camera, command) {
+    var target = Object.assign({ pan: camera.pan, tilt: camera.tilt, zoom: camera.zoom }, camera.target);
+    if (command.protocol == 'visca') {
+        var pan = command.pan_position_value * visca_degrees_per_step;
+        var tilt = command.tilt_position_value * visca_degrees_per_step;
+        if (command.position_action == 'home' || command.position_action == 'reset') {
+            pan = 0;
+            tilt = 0;
+        } else if (command.position_action == 'relative') {
+            pan += target.pan;
+            tilt += target.tilt;
+        }
+        if (command.position_axis == 'zoom') target.zoom = command.position_value / visca_max_zoom;
+        else if (command.position_axis == 'zoom_focus') target.zoom = command.zoom_position_value / visca_max_zoom;
+        else {
+            target.pan = pan;
+            target.tilt = tilt;
+        }
+    } else {
+        if (command.pan_position !== undefined) target.pan = command.pan_position;
+        if (command.tilt_position !== undefined) target.tilt = (command.tilt_position > 180 ? command.tilt_position - 360 : command.tilt_position);
+        if (command.zoom_position !== undefined) target.zoom = command.zoom_position;
+    }
+    target.pan = ((target.pan % 360) + 360) % 360;
+    target.tilt = Math.min(90, Math.max(-90, target.tilt));
+    target.zoom = Math.min(1, Math.max(0, target.zoom));
+    return target;
+};
+
+move_to_target(camera, target) {
+    camera.target = target;
+    camera.pan_rate = 0;
+    camera.tilt_rate = 0;
+    camera.zoom_rate = 0;
+};
+
+// Commands that move the camera (and so stop a tour or a move to a preset)
+is_movement(command) {
+    return (command.pan == 'left' || command.pan == 'right' || command.tilt == 'up' || command.tilt == 'down'
+            || command.zoom == 'in' || command.zoom == 'out' || command.preset_action == 'goto' || this.is_position_move(command));
+};
+
+// Absolute Pan, Tilt or Zoom positions, VISCA relative moves and VISCA Home (and Reset which ends at Home)
+is_position_move(command) {
+    if (command.position_action == 'set') return (position_axes.indexOf(command.position_axis) >= 0);
+    return (command.protocol == 'visca'
+            && (command.position_action == 'relative' || command.position_action == 'home' || command.position_action == 'reset'));
+};
+
+// Fraction (0 to 1) of the maximum speed. Commands with no speed move at full speed
+speed_fraction(speed, max_speed) {
+    if (speed === undefined || max_speed === undefined) return 1;
+    return Math.min(1, Math.max(0, speed / max_speed));
+};
+
+} // end class
+
+module.exports = { PelcoD_Simulator, simulator_protocols, visca_degrees_per_step, visca_max_zoom };
@@ -0,0 +1,197 @@
+/*
+ * Keep the current state of each camera from the "command" events of PelcoD_Decoder
+ * (c) Copyright 2018 Roger Hardiman
+ *
+ * The state of each camera (per protocol and camera address) has the pan, tilt, zoom, focus and iris movement and speed,
+ * the last preset recalled and stored, aux on/off states, the tour state and the time of the last command.
+ * A "change" event is emitted with a description such as 'camera 3 started panning left' or 'camera 3 stopped'
+ * so a dashboard can show live status.
+ *
+ */
+
+var EventEmitter = require('events');
+
+// Words used in the "change" descriptions. Values not listed (eg focus 'auto') are shown as 'focus set to auto'
+var movements = {
+    pan:   { verb: 'panning',  moving: ['left', 'right'] },
+    tilt:  { verb: 'tilting',  moving: ['up', 'down'] },
+    zoom:  { verb: 'zooming',  moving: ['in', 'out'] },
+    focus: { verb: 'focusing', moving: ['near', 'far'] },
+    iris:  { verb: 'moving iris', moving: ['open', 'close'] }
+};
+
+class CameraStateTracker extends EventEmitter {
+  // decoder is optional. Other decoders can be added with attach()
+  constructor(decoder) {
+    super();
+
+    // State of each camera keyed on protocol:camera
+    this.cameras = {};
+
+    if (decoder) this.attach(decoder);
+}
+
+
+// Follow the "command" events of a PelcoD_Decoder
+attach(decoder) {
+    var self = this;
+    decoder.on('command', function(command) { self.processCommand(command); });
+};
+
+
+// Update the camera state from one decoded command. time defaults to now
+processCommand(command, time) {
+    // Replies come from the camera (VISCA replies, Pelco D General and Position Responses)
+    // and broadcast commands have no camera address
+    if (command.reply !== undefined || command.ack !== undefined || command.position_action == 'response') return;
+    if (command.camera === undefined) return;
+
+    var state = this.get_or_create(command.protocol, command.camera);
+    var was_moving = this.is_moving(state);
+    state.last_command_time = time || new Date();
+
+    // Movement and speed
+    for (var axis in movements) {
+        if (command[axis] === undefined || command[axis] == 'unknown') continue;
+        var speed = command[axis + '_speed'];
+        var previous = state[axis];
+        var previous_speed = state[axis + '_speed'];
+        var moving = (movements[axis].moving.indexOf(command[axis]) >= 0);
+
+        state[axis] = command[axis];
+        state[axis + '_speed'] = (moving ? speed : undefined);
+
+        if (previous != command[axis]) {
+            var text;
+            if (moving) text = 'started ' + movements[axis].verb + ' ' + command[axis];
+            else if (command[axis] == 'stop') text = (movements[axis].moving.indexOf(previous) >= 0 ? 'stopped ' + movements[axis].verb : undefined);
+            else text = axis + ' set to ' + command[axis];
+            if (text) this.change(state, axis, command[axis], previous, text);
+        } else if (moving && speed !== undefined && speed !== previous_speed) {
+            this.change(state, axis + '_speed', speed, previous_speed, movements[axis].verb + ' ' + command[axis] + ' at speed ' + speed);
+        }
+    }
+
+    // Presets
+    if (command.preset_action == 'goto') {
+        state.last_preset_recalled = command.preset;
+        this.change(state, 'last_preset_recalled', command.preset, undefined, 'recalled preset ' + command.preset);
+    } else if (command.preset_action == 'set') {
+        state.last_preset_stored = command.preset;
+        this.change(state, 'last_preset_stored', command.preset, undefined, 'stored preset ' + command.preset);
+    } else if (command.preset_action == 'clear') {
+        this.change(state, 'preset_cleared', command.preset, undefined, 'cleared preset ' + command.preset);
+    }
+
+    // Aux outputs
+    if (command.aux_action !== undefined && command.aux !== undefined) {
+        var aux_value = { 'on': 'on', 'latch_on': 'on', 'off': 'off', 'latch_off': 'off' }[command.aux_action];
+        if (aux_value) this.set_aux(state, command.aux, aux_value);
+    }
+    if (command.aux_states !== undefined) {
+        // Forward Vision sends every output in each message, eg aux_1, wiper, washer
+        for (var name in command.aux_states) {
+            var aux = (name.indexOf('aux_') == 0 ? parseInt(name.substr(4)) : name);
+            this.set_aux(state, aux, (command.aux_states[name] ? 'on' : 'off'));
+        }
+    }
+
+    // Tours
+    if (command.tour_action == 'record_start') {
+        state.tour_recording = true;
+        state.tour = command.tour;
+        this.change(state, 'tour_recording', true, false, 'started recording tour' + (command.tour !== undefined ? ' ' + command.tour : ''));
+    } else if (command.tour_action == 'record_stop') {
+        state.tour_recording = false;
+        this.change(state, 'tour_recording', false, true, 'stopped recording tour');
+    } else if (command.tour_action == 'start') {
+        state.tour_running = true;
+        state.tour = command.tour;
+        this.change(state, 'tour_running', true, false, 'started tour' + (command.tour !== undefined ? ' ' + command.tour : ''));
+    }
+
+    // Any movement stops a running tour
+    if (this.is_moving(state) && state.tour_running) state.tour_running = false;
+
+    var now_moving = this.is_moving(state);
+    if (was_moving && !now_moving) this.change(state, 'moving', false, true, 'stopped');
+};
+
+
+// Returns a copy of the state of one camera, or undefined if nothing has been seen for the camera
+get_state(protocol, camera) {
+    var state = this.cameras[protocol + ':' + camera];
+    if (state === undefined) return undefined;
+    return this.copy_state(state);
+};
+
+// Returns a copy of the state of every camera
+get_all_states() {
+    var result = [];
+    for (var key in this.cameras) {
+        result.push(this.copy_state(this.cameras[key]));
+    }
+    return result;
+};
+
+// Returns true if the camera is panning, tilting, zooming, focusing or moving the iris
+is_moving(state) {
+    for (var axis in movements) {
+        if (movements[axis].moving.indexOf(state[axis]) >= 0) return true;
+    }
+    return false;
+};
+
+
+get_or_create(protocol, camera) {
+    var key = protocol + ':' + camera;
+    if (this.cameras[key] === undefined) {
+        this.cameras[key] = {
+            protocol: protocol,
+            camera: camera,
+            pan: undefined, pan_speed: undefined,
+            tilt: undefined, tilt_speed: undefined,
+            zoom: undefined, zoom_speed: undefined,
+            focus: undefined, focus_speed: undefined,
+            iris: undefined, iris_speed: undefined,
+            last_preset_recalled: undefined,
+            last_preset_stored: undefined,
+            aux: {},
+            tour: undefined,
+            tour_running: false,
+            tour_recording: false,
+            last_command_time: undefined
+        };
+    }
+    return this.cameras[key];
+};
+
+set_aux(state, aux, value) {
+    var previous = state.aux[aux];
+    if (previous === value) return;
+    state.aux[aux] = value;
+    this.change(state, 'aux', value, previous, (typeof aux == 'number' ? 'aux ' + aux : aux) + ' ' + value);
+};
+
+copy_state(state) {
+    var copy = Object.assign({}, state);
+    copy.aux = Object.assign({}, state.aux);
+    return copy;
+};
+
+// The "change" event has protocol, camera, field, value, previous, text (eg 'camera 3 started panning left') and state
+change(state, field, value, previous, text) {
+    this.emit('change', {
+        protocol: state.protocol,
+        camera: state.camera,
+        field: field,
+        value: value,
+        previous: previous,
+        text: 'camera ' + state.camera + ' ' + text,
+        state: this.copy_state(state)
+    });
+};
+
+} // end class
+
+module.exports = { CameraStateTracker };
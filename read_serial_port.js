@@ -11,6 +11,10 @@
  * The Baud Rate for Pelco D is often 2400 8-N-1
  * The Baud Rate for Pelco P is often 4800 8-N-1
  * Use -b to change the baud rate
+ *
+ * Use -t to add a second Serial Port on the camera side. Bytes are passed through unchanged in both directions
+ * and each direction is decoded and labelled (keyboard->camera and camera->keyboard)
+ * Use --rules with -t to block or rewrite keyboard commands with the firewall rules in a JSON file
  */
 
 // External Dependencies
@@ -18,6 +22,11 @@ var fs = require('fs');
 var SerialPort = require('serialport');
 var dateTime = require('node-datetime');
 var PelcoD_Decoder = require('./pelcod_decoder').PelcoD_Decoder;
+var PelcoD_Detector = require('./pelcod_detector').PelcoD_Detector;
+var PelcoD_PassThrough = require('./pelcod_passthrough').PelcoD_PassThrough;
+var passthrough_labels = require('./pelcod_passthrough').passthrough_labels;
+var PelcoD_Firewall = require('./pelcod_firewall').PelcoD_Firewall;
+var protocols = require('./pelcod_decoder').protocols;
 try {
 var Extra_Decoder_1 = require('./extra_decoder_1');
 } catch (err) {
@@ -35,6 +44,11 @@ args.option('-v, --verbose','Verbose mode. Show all data bytes');
 args.option('-p, --port <name>','Serial Port eg COM1 or /dev/ttyUSB0');
 args.option('-b, --baud <value>','Baud Rate. Default 2400',parseInt);
 args.option('--parity <value>','Parity none, even, odd. Default none');
+args.option('-t, --tap <name>','Pass-through mode. Serial Port on the camera side (-p is the keyboard/DVR side)');
+args.option('--rules <file>','Firewall rules (JSON) for commands passed to the cameras with -t. Read again when the file changes');
+args.option('--detect','Detect the protocol, baud rate and parity by trying common settings');
+args.option('--detect_time <seconds>','Seconds to listen with each setting in detect mode. Default 5',parseInt);
+args.option('--protocols <list>','Protocols to decode eg pelco_d,pelco_p. Default is all of ' + protocols.join(','));
 args.option('--nolog','Do not write to the log file. Default is to write logs');
 args.parse(process.argv);
 
@@ -89,7 +103,17 @@ if (args.baud) baud_rate = args.baud;
 if (args.parity === 'none' || args.parity === 'odd' || args.parity === 'even') parity = args.parity;
 
 // Initialise Decoders
-if (PelcoD_Decoder)  var pelco_d_decoder = new PelcoD_Decoder();
+var decoder_options = {};
+if (args.protocols) {
+  decoder_options.protocols = args.protocols.split(',');
+  for (var i = 0; i < decoder_options.protocols.length; i++) {
+    if (protocols.indexOf(decoder_options.protocols[i]) < 0) {
+      console.log('ERROR: Unknown protocol ' + decoder_options.protocols[i] + '. Protocols are ' + protocols.join(','));
+      process.exit(1);
+    }
+  }
+}
+if (PelcoD_Decoder)  var pelco_d_decoder = new PelcoD_Decoder(decoder_options);
 if (Extra_Decoder_1) var extra_decoder_1 = new Extra_Decoder_1();
 
 // Open log file
@@ -112,6 +136,29 @@ if (args.nolog) {
 
 
 
+// Detect Mode. Try each baud rate and parity in turn then exit
+if (args.detect) {
+  DetectProtocol();
+  return;
+}
+
+if (args.rules && !args.tap) {
+  console.log('ERROR: --rules needs the camera side Serial Port (-t)');
+  process.exit(1);
+}
+
+// Other protocols would find phantom commands in the keyboard bytes and send them to the cameras
+if (args.rules && (!decoder_options.protocols || decoder_options.protocols.length != 1)) {
+  console.log('ERROR: --rules needs --protocols with the one protocol of the keyboard eg --protocols pelco_d');
+  process.exit(1);
+}
+
+// Pass-through Mode. Forward bytes between the keyboard side (-p) and the camera side (-t) and decode both directions
+if (args.tap) {
+  PassThrough();
+  return;
+}
+
 // Open Serial Port.
 var port = new SerialPort(serial_port, {
     baudRate: baud_rate,
@@ -205,6 +252,200 @@ try{
 } catch (err) {}
 
 
+// Open both serial ports and pass the bytes through. Each direction has its own decoders
+function PassThrough() {
+    // Firewall. The rules name the keyboard side by its serial port, eg "source": "/dev/ttyUSB0"
+    var firewall;
+    if (args.rules) {
+      try {
+        firewall = new PelcoD_Firewall({ rules_file: args.rules });
+      } catch (err) {
+        console.log('ERROR - ' + err.message);
+        process.exit(1);
+      }
+      console.log('Loaded ' + firewall.rules.length + ' firewall rules from ' + args.rules);
+      // There is one controller, so a lock to another source works like deny
+      firewall.rules.forEach(function(rule) {
+        if (rule.type == 'lock' && rule.sources.indexOf(serial_port) < 0) {
+          console.log('WARNING - ' + rule.name + ' locks the cameras to ' + rule.sources.join(',') + ' so ' + serial_port + ' cannot control them');
+        }
+      });
+      firewall.on('log', function(message) {
+        WriteDecoded('firewall', message);
+      });
+      firewall.on('blocked', function(event) {
+        WriteDecoded('firewall', 'BLOCKED by ' + event.rule.name + ' (' + event.reason + ') ' + event.command.text);
+      });
+      firewall.on('rewritten', function(event) {
+        WriteDecoded('firewall', 'REWRITTEN by ' + event.rule.name + ' ' + event.command.text + ' => ' + BufferToHexString(event.bytes));
+      });
+      firewall.watch();
+    }
+
+    var keyboard_port = OpenPort(serial_port);
+    var camera_port = OpenPort(args.tap);
+
+    var tap = new PelcoD_PassThrough(keyboard_port, camera_port,
+                                     { protocols: decoder_options.protocols, firewall: firewall, source: serial_port });
+
+    // Optional extra decoder for each direction
+    var extra_decoders = {};
+    if (Extra_Decoder_1) {
+      for (var side in passthrough_labels) {
+        var label = passthrough_labels[side];
+        extra_decoders[label] = new Extra_Decoder_1();
+        extra_decoders[label].on('log', WriteDecoded.bind(null, label));
+      }
+    }
+
+    // Callback - Raw Data passed through
+    tap.on('rx', function(label, buffer) {
+
+      var now = dateTime.create();
+      var nowString = now.format('H:M:S.N');
+      var msg = nowString + '[' + label + '] Rx' + BufferToHexString(buffer);
+
+      // write to console
+      if (args.verbose) console.log(msg);
+
+      // write to log file if 'fd' is not undefined
+      if (log_fd) {
+        fs.write(log_fd,msg+'\r\n',function(err) {
+          if (err) console.log('Error writing to file');
+        });
+      }
+
+      if (extra_decoders[label]) extra_decoders[label].processBuffer(buffer);
+    });
+
+    // Callback - Decoded protocol
+    tap.on('log', WriteDecoded);
+}
+
+// Open one side of the pass-through with the same settings as -p
+function OpenPort(name) {
+    var side_port = new SerialPort(name, {
+        baudRate: baud_rate,
+        parity: parity,
+        dataBits: data_bits,
+        stopBits: stop_bits,
+    });
+    side_port.on('error', function(err) {
+        console.log(name + ' ' + err);
+        console.log('');
+        process.exit(1);
+    });
+    side_port.on('open', function() {
+        console.log('Serial Port ' + name + ' open ' + baud_rate + '-' + parity + '-' + stop_bits);
+    });
+    side_port.on('disconnect', function(err) {
+        console.log('Disconnected ' + name + ' ' + err);
+        process.exit(1);
+    });
+    return side_port;
+}
+
+// Decoded text with the direction
+function WriteDecoded(label, message) {
+
+    var now = dateTime.create();
+    var nowString = now.format('H:M:S.N');
+    var msg = nowString + '=>[' + label + '] ' + message;
+
+    // show on console
+    console.log(msg);
+
+    // Write to file
+    if (log_fd) {
+      fs.write(log_fd,msg+'\r\n',function(err) {
+        if (err) console.log('Error writing to file');
+      });
+    }
+
+}
+
+
+// Open the serial port with each baud rate and parity for 'detect_time' seconds
+// then show the protocols found with each setting, best match first
+function DetectProtocol() {
+    var detect_bauds = [2400, 4800, 9600, 19200];
+    var detect_parities = ['none', 'even', 'odd'];
+    var detect_time = args.detect_time || 5;
+    var detector = new PelcoD_Detector(decoder_options);
+
+    var settings = [];
+    detect_bauds.forEach(function(baud) {
+        detect_parities.forEach(function(parity) {
+            settings.push({ baud: baud, parity: parity });
+        });
+    });
+    console.log('Detecting protocol on ' + serial_port + '. Trying ' + settings.length + ' settings for ' + detect_time + ' seconds each');
+
+    var index = 0;
+    function TryNextSetting() {
+        if (index >= settings.length) {
+            ShowDetectResults(detector);
+            process.exit(0);
+        }
+        var setting = settings[index];
+        var name = setting.baud + '-' + setting.parity;
+        index++;
+
+        var detect_port = new SerialPort(serial_port, {
+            baudRate: setting.baud,
+            parity: setting.parity,
+            dataBits: data_bits,
+            stopBits: stop_bits,
+        });
+        detect_port.on('error', function(err) {
+            console.log(err);
+            console.log('');
+            process.exit(1);
+        });
+        detect_port.on('open', function() {
+            console.log('Trying ' + setting.baud + ' baud, parity ' + setting.parity);
+        });
+        detect_port.on('data', function(buffer) {
+            detector.processBuffer(name, buffer);
+        });
+        setTimeout(function() {
+            detect_port.close(TryNextSetting);
+        }, detect_time * 1000);
+    }
+    TryNextSetting();
+}
+
+function ShowDetectResults(detector) {
+    var lines = [''];
+    var results = detector.results();
+    if (results.length == 0) {
+        lines.push('No CCTV PTZ commands found');
+    } else {
+        lines.push('Setting      Protocol        Frames  Score  Confidence  Cameras');
+        results.slice(0, 10).forEach(function(result) {
+            lines.push(PadRight(result.setting, 13) + PadRight(result.protocol, 16) + PadRight('' + result.frames, 8)
+                       + PadRight(result.score.toFixed(2), 7) + PadRight(result.confidence, 12) + result.cameras.join(','));
+        });
+        var best = results[0];
+        var line_setting = best.setting.split('-');
+        lines.push('');
+        lines.push('Best match is ' + best.protocol + ' at ' + line_setting[0] + ' baud with parity ' + line_setting[1]
+                   + ' (confidence ' + best.confidence + '). Cameras ' + best.cameras.join(','));
+    }
+
+    lines.forEach(function(line) {
+        console.log(line);
+        if (log_fd) fs.writeSync(log_fd, line + '\r\n');
+    });
+}
+
+function PadRight(str,size) {
+    while (str.length < size) {
+        str = str + ' ';
+    }
+    return str;
+}
+
 // helper functions
 var last_byte = '';
 function BufferToHexString(buffer) {
@@ -1,15 +1,24 @@
 /*
- * Read and decode CCTV PTZ commands from a TCP Socket
+ * Read and decode CCTV PTZ commands from a TCP Socket or UDP datagrams
  * Copyright 2017,2018 Roger Hardiman
  *
- * use -p to set the port to listen on
+ * use -p to set the port to listen on and -b to set the address to listen on
+ * each incoming connection (or UDP sender) has its own decoders so partial messages are not mixed up
+ * use --udp to receive UDP datagrams on the port instead of TCP. Add --multicast to join a multicast group
+ * use -r and --rfc2217 to connect to a ser2net or Moxa Serial Device Server in RFC 2217 mode and set the remote baud rate
+ * use --visca_ip to receive Sony VISCA over IP UDP packets (default port 52381)
+ * use --respond to answer Pelco D and VISCA commands and queries as if we were the cameras (TCP only)
  */
 
 // External Dependencies
 var fs = require('fs');
 var net = require('net');
+var dgram = require('dgram');
 var dateTime = require('node-datetime');
 var PelcoD_Decoder = require('./pelcod_decoder').PelcoD_Decoder;
+var PelcoD_RFC2217 = require('./pelcod_rfc2217').PelcoD_RFC2217;
+var PelcoD_Responder = require('./pelcod_responder').PelcoD_Responder;
+var protocols = require('./pelcod_decoder').protocols;
 try {
 var Extra_Decoder_1 = require('./extra_decoder_1');
 } catch (err) {
@@ -25,6 +34,17 @@ args.description('Pelco D, Pelco P, BBV422, Philips/Bosch, Vicon, Forward Vision
 args.option('-v, --verbose','Verbose mode. Show all data bytes');
 args.option('-r, --remote <hostname>','Hostname of Remote TCP Serial Server (raw TCP stream)');
 args.option('-p, --port <number>','TCP Port to listen on (or Port at Remote Site)');
+args.option('--rfc2217','Remote Site is a Serial Device Server using RFC 2217 (Telnet Com Port Control)');
+args.option('--baud <value>','Baud rate to set on the RFC 2217 Serial Device Server');
+args.option('--parity <value>','Parity to set on the RFC 2217 Serial Device Server (none,even,odd,mark,space)');
+args.option('--databits <value>','Data bits to set on the RFC 2217 Serial Device Server');
+args.option('--stopbits <value>','Stop bits to set on the RFC 2217 Serial Device Server (1, 1.5 or 2)');
+args.option('-b, --bind <address>','Address to listen on. Default is 127.0.0.1 for TCP and all addresses for UDP');
+args.option('-u, --udp','Listen for UDP datagrams on the Port instead of TCP');
+args.option('--multicast <address>','Join this UDP multicast group (use with --udp)');
+args.option('--visca_ip','Receive Sony VISCA over IP UDP packets on the Port (default 52381)');
+args.option('--respond <cameras>','Reply to Pelco D and VISCA commands and queries for these camera addresses eg 1,2,3');
+args.option('--protocols <list>','Protocols to decode eg pelco_d,pelco_p. Default is all of ' + protocols.join(','));
 args.option('--nolog','Do not write to the log file. Default is to write logs');
 args.parse(process.argv);
 
@@ -36,6 +56,9 @@ console.log('(c) Roger Hardiman 2017 www.rjh.org.uk');
 console.log('Use -h for help');
 console.log('');
 
+// VISCA over IP uses a fixed UDP port unless one is given
+if (args.visca_ip && !args.port) args.port = 52381;
+
 // List available serial ports
 if (args.list || (!args.port)) {
   if (!args.list) {
@@ -51,8 +74,32 @@ var log_fd;
 if (args.port) port = args.port;
 
 // Initialise Decoders
-if (PelcoD_Decoder)  var pelco_d_decoder = new PelcoD_Decoder();
-if (Extra_Decoder_1) var extra_decoder_1 = new Extra_Decoder_1();
+var decoder_options = {};
+if (args.protocols) {
+  decoder_options.protocols = args.protocols.split(',');
+  for (var i = 0; i < decoder_options.protocols.length; i++) {
+    if (protocols.indexOf(decoder_options.protocols[i]) < 0) {
+      console.log('ERROR: Unknown protocol ' + decoder_options.protocols[i] + '. Protocols are ' + protocols.join(','));
+      process.exit(1);
+    }
+  }
+}
+
+// Responder. The cameras are shared by every connection so all the VMS clients see the same positions
+var responder;
+if (args.respond) {
+  var cameras = String(args.respond).split(',').map(function(value) { return parseInt(value); });
+  if (cameras.some(isNaN)) {
+    console.log('ERROR: Cameras to respond for must look like 1,2,3');
+    process.exit(1);
+  }
+  if (args.udp || args.visca_ip) {
+    console.log('ERROR: --respond only works with TCP connections');
+    process.exit(1);
+  }
+  responder = new PelcoD_Responder({ cameras: cameras });
+  console.log('Responding as cameras ' + cameras.join(','));
+}
 
 // Open log file
 var now = dateTime.create();
@@ -75,7 +122,73 @@ if (args.nolog) {
 
 
 // Open Port.
-if (args.remote) {
+if (args.udp || args.visca_ip) {
+    // RECEIVE UDP DATAGRAMS (VISCA over IP or raw telemetry bytes)
+    var udp_sock = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+
+    // Decoders for each sender, keyed on address:port
+    // A sender that has not sent anything for udp_idle_timeout ms has its decoders removed
+    var udp_decoders = {};
+    var udp_idle_timeout = 5 * 60 * 1000;
+
+    var udp_idle_timer = setInterval(function() {
+        var now = Date.now();
+        for (var label in udp_decoders) {
+            if (now - udp_decoders[label].last_rx > udp_idle_timeout) delete udp_decoders[label];
+        }
+    }, 60 * 1000);
+    udp_idle_timer.unref();
+
+    // Callback - Data. For VISCA over IP each UDP datagram is one packet
+    udp_sock.on('message', function(buffer, rinfo) {
+
+        var now = dateTime.create();
+        var nowString = now.format('H:M:S.N');
+        var label = rinfo.address + ':' + rinfo.port;
+        var msg = nowString + '[' + label + '] Rx' + BufferToHexString(buffer) + '\r\n';
+
+        // write to console
+        if (args.verbose) console.log(msg);
+
+        // write to log file if 'fd' is not undefined
+        if (log_fd) {
+          fs.write(log_fd,msg,function(err) {
+            if (err) console.log('Error writing to file');
+          });
+        }
+
+        // pass to each decoder
+        if (udp_decoders[label] === undefined) udp_decoders[label] = CreateDecoders(label);
+        var decoders = udp_decoders[label];
+        decoders.last_rx = Date.now();
+        if (args.visca_ip) {
+          if (decoders.pelco_d_decoder) decoders.pelco_d_decoder.processViscaIP(buffer);
+        } else {
+          if (decoders.pelco_d_decoder) decoders.pelco_d_decoder.processBuffer(buffer);
+          if (decoders.extra_decoder_1) decoders.extra_decoder_1.processBuffer(buffer);
+        }
+    });
+
+    // Callback - Error
+    udp_sock.on('error', function(err) {
+        console.log('Network error ' + err);
+    });
+
+    udp_sock.bind(args.port, args.bind, function() {
+        if (args.multicast) {
+          try {
+            udp_sock.addMembership(args.multicast);
+          } catch (err) {
+            console.log('ERROR - cannot join multicast group ' + args.multicast);
+            console.log(err);
+            process.exit(1);
+          }
+          console.log('Joined multicast group ' + args.multicast);
+        }
+        console.log('Listening for ' + (args.visca_ip ? 'VISCA over IP' : 'UDP datagrams') + ' on UDP port ' + args.port);
+    });
+
+} else if (args.remote) {
   // CONNECT TO REMOTE SITE
     var sock = new net.Socket();
   console.log('Connecting to '+ args.remote + ':' + args.port);
@@ -83,8 +196,33 @@ if (args.remote) {
 
   console.log('Connected to remote site');
 
+  // With RFC 2217 the Telnet commands are removed and only the serial port data is decoded
+  var stream = sock;
+  if (args.rfc2217) {
+    try {
+      stream = new PelcoD_RFC2217(sock, { baud: args.baud, data_bits: args.databits, parity: args.parity, stop_bits: args.stopbits });
+    } catch (err) {
+      console.log('ERROR - ' + err.message);
+      process.exit(1);
+    }
+    stream.on('settings', function(settings) {
+      var text = [];
+      if (settings.baud !== undefined) text.push(settings.baud + ' baud');
+      if (settings.data_bits !== undefined) text.push(settings.data_bits + ' data bits');
+      if (settings.parity !== undefined) text.push(settings.parity + ' parity');
+      if (settings.stop_bits !== undefined) text.push(settings.stop_bits + ' stop bits');
+      console.log('Remote serial port set to ' + text.join(', '));
+    });
+    stream.on('log', function(message) {
+      console.log(message);
+    });
+  }
+
+  // There is only one connection so decoded lines are not labelled
+  var decoders = CreateDecoders('', stream);
+
   // Callback - Data
-  sock.on('data', function(buffer) {
+  stream.on('data', function(buffer) {
 
     var now = dateTime.create();
     var nowString = now.format('H:M:S.N');
@@ -101,8 +239,8 @@ if (args.remote) {
     }
 
     // pass to each decoder
-    if (pelco_d_decoder) pelco_d_decoder.processBuffer(buffer);
-    if (extra_decoder_1) extra_decoder_1.processBuffer(buffer);
+    if (decoders.pelco_d_decoder) decoders.pelco_d_decoder.processBuffer(buffer);
+    if (decoders.extra_decoder_1) decoders.extra_decoder_1.processBuffer(buffer);
   });
 
   // Callback - Close
@@ -124,12 +262,16 @@ if (args.remote) {
 
       console.log('Network Connection from ' + sock.remoteAddress + ':' + sock.remotePort + ' received');
 
+      // Each connection has its own decoders so bytes from two connections are never mixed together
+      var label = sock.remoteAddress + ':' + sock.remotePort;
+      var decoders = CreateDecoders(label, sock);
+
       // Callback - Data
       sock.on('data', function(buffer) {
 
         var now = dateTime.create();
         var nowString = now.format('H:M:S.N');
-        var msg = nowString + 'Rx' + BufferToHexString(buffer) + '\r\n';
+        var msg = nowString + '[' + label + '] Rx' + BufferToHexString(buffer) + '\r\n';
 
         // write to console
         if (args.verbose) console.log(msg);
@@ -142,8 +284,8 @@ if (args.remote) {
         }
 
         // pass to each decoder
-        if (pelco_d_decoder) pelco_d_decoder.processBuffer(buffer);
-        if (extra_decoder_1) extra_decoder_1.processBuffer(buffer);
+        if (decoders.pelco_d_decoder) decoders.pelco_d_decoder.processBuffer(buffer);
+        if (decoders.extra_decoder_1) decoders.extra_decoder_1.processBuffer(buffer);
       });
 
       // Callback - Close
@@ -156,20 +298,49 @@ if (args.remote) {
         console.log('Network error ' + err);
       });
     });
-    server.listen(port,'127.0.0.1');
+    var bind_address = args.bind || '127.0.0.1';
+    server.on('error', function(err) {
+      console.log('ERROR - cannot listen on ' + bind_address + ':' + port);
+      console.log(err);
+      process.exit(1);
+    });
+    server.listen(port, bind_address, function() {
+      console.log('Listening on ' + bind_address + ':' + port);
+    });
 }
 
 
 
-// Callback - Decoded protocol
-pelco_d_decoder.on('log', function(message) {
+// Create the decoders for one connection. label (the remote address and port) is shown with each decoded line
+// Replies from the responder are written to 'stream'
+function CreateDecoders(label, stream) {
+    var decoders = {};
+    if (PelcoD_Decoder)  decoders.pelco_d_decoder = new PelcoD_Decoder(decoder_options);
+    if (Extra_Decoder_1) decoders.extra_decoder_1 = new Extra_Decoder_1();
+
+    if (decoders.pelco_d_decoder) decoders.pelco_d_decoder.on('log', function(message) { WriteDecoded(label, message); });
+    if (decoders.extra_decoder_1) decoders.extra_decoder_1.on('log', function(message) { WriteDecoded(label, message); });
+
+    if (responder && stream && decoders.pelco_d_decoder) {
+      decoders.pelco_d_decoder.on('command', function(command) {
+        var reply = responder.processCommand(command);
+        if (reply === null) return;
+        stream.write(reply);
+        WriteTx(label, reply);
+      });
+    }
+    return decoders;
+}
+
+// Replies sent by the responder
+function WriteTx(label, buffer) {
 
     var now = dateTime.create();
     var nowString = now.format('H:M:S.N');
-    var msg = nowString + '=>' + message;
+    var msg = nowString + (label ? '[' + label + '] ' : '') + 'Tx' + BufferToHexString(buffer);
 
     // show on console
-    console.log(msg);
+    if (args.verbose) console.log(msg);
 
     // Write to file
     if (log_fd) {
@@ -178,14 +349,14 @@ pelco_d_decoder.on('log', function(message) {
       });
     }
 
-});
+}
 
-try{
-  extra_decoder_1.on('log', function(message) {
+// Callback - Decoded protocol
+function WriteDecoded(label, message) {
 
     var now = dateTime.create();
     var nowString = now.format('H:M:S.N');
-    var msg = nowString + '=>' + message;
+    var msg = nowString + '=>' + (label ? '[' + label + '] ' : '') + message;
 
     // show on console
     console.log(msg);
@@ -197,8 +368,7 @@ try{
       });
     }
 
-  });
-} catch (err) {}
+}
 
 
 // helper functions
@@ -0,0 +1,159 @@
+/*
+ * Replay a log file written by read_serial_port.js or read_socket.js (or a hex dump) through the decoder
+ * so old field captures can be decoded again after decoder improvements
+ * (c) Copyright 2018 Roger Hardiman
+ *
+ * Use -f to give the log file
+ * Use --realtime to replay with the original timing (from the H:M:S.N time on each line), --speed to go faster
+ */
+
+// External Dependencies
+var fs = require('fs');
+var PelcoD_Decoder = require('./pelcod_decoder').PelcoD_Decoder;
+var protocols = require('./pelcod_decoder').protocols;
+var parse_log_lines = require('./pelcod_log_reader').parse_log_lines;
+
+var version = require('./package.json').version;
+var args = require('commander');
+
+// Command line arguments
+args.version(version);
+args.description('Replay and decode read_serial_port.js and read_socket.js log files and hex dumps');
+args.option('-v, --verbose','Verbose mode. Show all data bytes');
+args.option('-f, --file <name>','Log file or hex dump to replay');
+args.option('--realtime','Replay with the original timing between lines. Default is to decode the whole file at once');
+args.option('--speed <factor>','Replay faster (eg 10) or slower (eg 0.5) than the original timing',parseFloat);
+args.option('--protocols <list>','Protocols to decode eg pelco_d,pelco_p. Default is all of ' + protocols.join(','));
+args.parse(process.argv);
+
+// Initial message
+console.log('');
+console.log('CCTV Telemetry Log Replay');
+console.log('(c) Roger Hardiman 2018 www.rjh.org.uk');
+console.log('Use -h for help');
+console.log('');
+
+if (!args.file) {
+  console.log('ERROR: No log file specified');
+  return;
+}
+
+var speed = args.speed || 1;
+if (!(speed > 0)) {
+  console.log('ERROR: Speed must be more than 0');
+  return;
+}
+
+// Initialise Decoders. read_socket.js logs can have several connections so each label has its own decoder
+var decoder_options = {};
+if (args.protocols) {
+  decoder_options.protocols = args.protocols.split(',');
+  for (var i = 0; i < decoder_options.protocols.length; i++) {
+    if (protocols.indexOf(decoder_options.protocols[i]) < 0) {
+      console.log('ERROR: Unknown protocol ' + decoder_options.protocols[i] + '. Protocols are ' + protocols.join(','));
+      process.exit(1);
+    }
+  }
+}
+var decoders = {};
+
+// Read the file
+var lines;
+try {
+  lines = fs.readFileSync(args.file, 'latin1').split(/\r?\n/);
+} catch (err) {
+  console.log('ERROR - cannot read ' + args.file);
+  console.log(err.message);
+  process.exit(1);
+}
+
+var result = parse_log_lines(lines);
+var entries = result.entries;
+for (var i = 0; i < result.skipped.length && i < 10; i++) {
+  console.log('Skipped line ' + result.skipped[i].line_number + ' (not log data or hex): ' + result.skipped[i].text);
+}
+if (result.skipped.length > 10) console.log('Skipped ' + (result.skipped.length - 10) + ' more lines');
+console.log('Replaying ' + entries.length + ' lines of data from ' + args.file);
+
+ReplayNext(0, undefined);
+
+
+// Decode entries[index], then wait for the time to the next entry in realtime mode
+function ReplayNext(index, last_time) {
+  while (index < entries.length) {
+    var entry = entries[index];
+
+    if (args.realtime && entry.time !== undefined && last_time !== undefined) {
+      var delay = entry.time - last_time;
+      if (delay < 0) delay += 24 * 60 * 60 * 1000; // log went past midnight
+      if (delay > 0) {
+        setTimeout(function() {
+          Decode(entries[index]);
+          ReplayNext(index + 1, entries[index].time);
+        }, delay / speed);
+        return;
+      }
+    }
+
+    Decode(entry);
+    if (entry.time !== undefined) last_time = entry.time;
+    index++;
+  }
+
+  // End of the log. Decode the messages that are waiting for more bytes
+  for (var label in decoders) decoders[label].decoder.flush();
+}
+
+
+function Decode(entry) {
+  var label = entry.label || '';
+  if (decoders[label] === undefined) decoders[label] = CreateDecoder(label);
+
+  if (args.verbose) console.log(TimeToString(entry.time) + (label ? '[' + label + '] ' : '') + 'Rx' + BufferToHexString(entry.bytes));
+  decoders[label].time = entry.time;
+  decoders[label].decoder.processBuffer(entry.bytes);
+}
+
+
+// Decoded lines show the time of the bytes that completed the message
+function CreateDecoder(label) {
+  var result = { decoder: new PelcoD_Decoder(decoder_options), time: undefined };
+  result.decoder.on('log', function(message) {
+    console.log(TimeToString(result.time) + '=>' + (label ? '[' + label + '] ' : '') + message);
+  });
+  return result;
+}
+
+
+// helper functions
+function TimeToString(time) {
+    if (time === undefined) return '';
+    var ms = time % 1000;
+    var seconds = Math.floor(time / 1000);
+    return DecToPad(Math.floor(seconds / 3600),2) + ':' + DecToPad(Math.floor(seconds / 60) % 60,2) + ':'
+           + DecToPad(seconds % 60,2) + '.' + DecToPad(ms,3);
+}
+
+function DecToPad(decimal,size) {
+    var ret_string = decimal.toString();
+    while (ret_string.length < size) {
+        ret_string = '0' + ret_string;
+    }
+    return ret_string;
+}
+
+function BufferToHexString(buffer) {
+    var byte_string = '';
+    for (var i = 0; i < buffer.length; i++) {
+        byte_string += '[' + DecToHexPad(buffer[i],2) + ']';
+    }
+    return byte_string;
+}
+
+function DecToHexPad(decimal,size) {
+    var ret_string = decimal.toString('16');
+    while (ret_string.length < size) {
+        ret_string = '0' + ret_string;
+    }
+    return ret_string;
+}
@@ -0,0 +1,186 @@
+/*
+ * Virtual PTZ Camera
+ * Acts as one or more Pelco D, Pelco P, Bosch, VISCA or AD422 cameras so keyboards and VMS systems can be tested
+ * without real domes. The estimated Pan, Tilt and Zoom position of each camera is shown while it moves.
+ * (c) Copyright 2018 Roger Hardiman
+ *
+ * Use -i for a Serial Port (eg COM1 or /dev/ttyUSB0) or hostname:port of a TCP Serial Server (raw TCP stream)
+ * or -l to listen for TCP connections from a VMS
+ * Use -c to choose the camera addresses to simulate, eg -c 1,2,3
+ */
+
+// External Dependencies
+var net = require('net');
+var dateTime = require('node-datetime');
+var PelcoD_Simulator = require('./pelcod_simulator').PelcoD_Simulator;
+var simulator_protocols = require('./pelcod_simulator').simulator_protocols;
+
+var version = require('./package.json').version;
+var args = require('commander');
+
+// Command line arguments
+args.version(version);
+args.description('Virtual PTZ camera. Protocols are ' + simulator_protocols.join(', '));
+args.option('-v, --verbose','Verbose mode. Show all data bytes');
+args.option('-i, --input <name>','Serial Port eg COM1 or /dev/ttyUSB0, or hostname:port');
+args.option('-l, --listen <port>','TCP Port to listen on instead of -i',parseInt);
+args.option('-b, --bind <address>','Address to listen on. Default 127.0.0.1');
+args.option('-c, --cameras <list>','Camera addresses to simulate eg 1,2,3. Default is every camera');
+args.option('--protocols <list>','Protocols to decode. Default is all of ' + simulator_protocols.join(','));
+args.option('--baud <value>','Baud Rate. Default 2400',parseInt);
+args.option('--parity <value>','Parity none, even, odd. Default none');
+args.option('--interval <ms>','Time between position reports. Default 1000',parseInt);
+args.parse(process.argv);
+
+// Initial message
+console.log('');
+console.log('Virtual PTZ Camera');
+console.log('(c) Roger Hardiman 2018 www.rjh.org.uk');
+console.log('Use -h for help');
+console.log('');
+
+if (!args.input && !args.listen) {
+  console.log('ERROR: Use -i or -l to give the input');
+  return;
+}
+
+var options = {};
+if (args.cameras) {
+  options.cameras = args.cameras.split(',').map(function(value) { return parseInt(value); });
+  if (options.cameras.some(isNaN)) {
+    console.log('ERROR: Cameras must look like 1,2,3');
+    return;
+  }
+}
+if (args.protocols) {
+  options.protocols = args.protocols.split(',');
+  for (var i = 0; i < options.protocols.length; i++) {
+    if (simulator_protocols.indexOf(options.protocols[i]) < 0) {
+      console.log('ERROR: Unknown protocol ' + options.protocols[i] + '. Protocols are ' + simulator_protocols.join(','));
+      process.exit(1);
+    }
+  }
+}
+
+var simulator = new PelcoD_Simulator(options);
+
+// Callback - Presets and Tours
+simulator.on('log', function(message) {
+  WriteLog('=>' + message);
+});
+
+
+// Open the Input
+if (args.listen) {
+  var server = net.createServer(function(sock) {
+    console.log('Network Connection from ' + sock.remoteAddress + ':' + sock.remotePort + ' received');
+    ReadStream(sock);
+
+    // Callback - Error
+    sock.on('error', function(err) {
+      console.log('Network error ' + err);
+    });
+  });
+  var bind_address = args.bind || '127.0.0.1';
+  server.on('error', function(err) {
+    console.log('ERROR - cannot listen on ' + bind_address + ':' + args.listen);
+    console.log(err);
+    process.exit(1);
+  });
+  server.listen(args.listen, bind_address, function() {
+    console.log('Listening on ' + bind_address + ':' + args.listen);
+  });
+} else {
+  ReadStream(OpenStream(args.input, args.baud, args.parity));
+}
+
+
+// Report the position of each camera while it is moving, and once more when it stops
+var last_reports = {};
+setInterval(function() {
+  var positions = simulator.get_positions();
+  for (var i = 0; i < positions.length; i++) {
+    var position = positions[i];
+    var report = 'Camera ' + position.camera + ' Pan ' + position.pan.toFixed(1) + ' Tilt ' + position.tilt.toFixed(1)
+               + ' Zoom ' + position.zoom.toFixed(2) + (position.moving ? ' MOVING' : ' STOPPED')
+               + (position.tour_running !== undefined ? ' TOUR ' + position.tour_running : '')
+               + (position.tour_recording !== undefined ? ' RECORDING TOUR ' + position.tour_recording : '');
+    if (report != last_reports[position.camera]) WriteLog(report);
+    last_reports[position.camera] = report;
+  }
+}, args.interval || 1000);
+
+
+function ReadStream(stream) {
+  // Callback - Data
+  stream.on('data', function(buffer) {
+    if (args.verbose) WriteLog('Rx' + BufferToHexString(buffer));
+    simulator.processBuffer(buffer);
+  });
+}
+
+
+// Open a Serial Port or a TCP connection (hostname:port)
+function OpenStream(name, baud_rate, parity) {
+    var stream;
+    var tcp = name.match(/^(.+):(\d+)$/);
+    if (tcp) {
+        stream = new net.Socket();
+        stream.connect(parseInt(tcp[2]), tcp[1], function() {
+            console.log('Connected to ' + name);
+        });
+    } else {
+        // Only load node-serialport when it is used
+        var SerialPort = require('serialport');
+        if (!(parity === 'none' || parity === 'odd' || parity === 'even')) parity = 'none';
+        stream = new SerialPort(name, {
+            baudRate: baud_rate || 2400,
+            parity: parity,
+            dataBits: 8,
+            stopBits: 1,
+        });
+        stream.on('open', function() {
+            console.log('Serial Port ' + name + ' open ' + (baud_rate || 2400) + '-' + parity + '-1');
+        });
+    }
+
+    // Callback - Error
+    stream.on('error', function(err) {
+        console.log(name + ' ' + err);
+        console.log('');
+        process.exit(1);
+    });
+
+    // Callback - Close
+    stream.on('close', function() {
+        console.log(name + ' closed');
+        process.exit(1);
+    });
+
+    return stream;
+}
+
+// write to the console
+function WriteLog(message) {
+    var now = dateTime.create();
+    var nowString = now.format('H:M:S.N');
+    console.log(nowString + message);
+}
+
+// helper functions
+function BufferToHexString(buffer) {
+    var byte_string = '';
+    for (var i = 0; i < buffer.length; i++) {
+        byte_string += '[' + DecToHexPad(buffer[i],2) + ']';
+    }
+    return byte_string;
+}
+
+// helper functions
+function DecToHexPad(decimal,size) {
+    var ret_string = decimal.toString('16');
+    while (ret_string.length < size) {
+        ret_string = '0' + ret_string;
+    }
+    return ret_string;
+}
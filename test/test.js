@@ -10,6 +10,18 @@ pelcod_decoder.on('log',function(msg) {
   log_string = msg;
 });
 
+// Decode bytes with a new decoder and return the last structured command from 'protocol'
+function DecodeCommand(bytes,protocol)
+{
+   var result;
+   var decoder = new PelcoD_Decoder();
+   decoder.on('command',function(command) {
+      if (command.protocol == protocol) result = command;
+   });
+   decoder.processBuffer(new Buffer(bytes));
+   return result;
+}
+
 function AppendStringToByteArray(str,bytes)
 {
    for (var i = 0; i < str.length; ++i)
@@ -533,4 +545,337 @@ describe("Pelco D Decoder", function() {
     });
   });
 
+  describe("Protocol selection", function() {
+    it("only decodes the chosen protocols", function() {
+      var protocols = [];
+      var decoder = new PelcoD_Decoder({ protocols: ['pelco_d'] });
+      decoder.on('command',function(command) {
+        protocols.push(command.protocol);
+      });
+      // Pelco D Pan Right, then a Bosch and a Pelco P message that must be ignored
+      decoder.processBuffer([0xFF,0x01,0x00,0x02,0x20,0x00,0x23,
+                             0x86,0x00,0x31,0x07,0x01,0x05,0x44,
+                             0xA0,0x00,0x00,0x04,0x20,0x00,0xAF,0x2B]);
+      expect(protocols).to.deep.equal(['pelco_d']);
+      expect(decoder.bosch_command_index).to.equal(0);
+      expect(decoder.vicon_command_index).to.equal(0);
+      expect(decoder.vcl_command_index).to.equal(0);
+    });
+
+    it("keeps Pelco P and BBV422 separate", function() {
+      var protocols = [];
+      var decoder = new PelcoD_Decoder({ protocols: ['bbv422'] });
+      decoder.on('command',function(command) {
+        protocols.push(command.protocol);
+      });
+      decoder.processBuffer([0xA0,0x00,0x00,0x04,0x20,0x00,0xAF,0x2B,
+                             0xB0,0x00,0x00,0x04,0x20,0x00,0xBF,0x2B]);
+      expect(protocols).to.deep.equal(['bbv422']);
+    });
+
+    it("rejects unknown protocols", function() {
+      expect(function() { new PelcoD_Decoder({ protocols: ['pelco_x'] }); }).to.throw('Unknown protocol pelco_x');
+    });
+  });
+
+  describe("Structured command event", function() {
+    it("tests Pelco D pan and tilt", function() {
+      var command = DecodeCommand([0xFF,0x01,0x00,0x0C,0x20,0x10,0x3D],'pelco_d');
+      expect(command.camera).to.equal(1);
+      expect(command.pan).to.equal('left');
+      expect(command.pan_speed).to.equal(0x20);
+      expect(command.tilt).to.equal('up');
+      expect(command.tilt_speed).to.equal(0x10);
+      expect(command.zoom).to.equal('stop');
+      expect(command.bytes).to.deep.equal(new Buffer([0xFF,0x01,0x00,0x0C,0x20,0x10,0x3D]));
+    });
+
+    it("tests Pelco D turbo, camera on/off and scan bits", function() {
+      var command = DecodeCommand([0xFF,0x01,0x00,0x04,0xFF,0x00,0x04],'pelco_d');
+      expect(command.turbo).to.equal(true);
+      expect(command.text).to.contain('[PAN LEFT (TURBO)]');
+
+      // Pelco P Turbo is 0x40 and 0xFF is not Turbo
+      command = DecodeCommand([0xA0,0x00,0x00,0x04,0x40,0x00,0xAF,0x4B],'pelco_p');
+      expect(command.turbo).to.equal(true);
+      expect(command.text).to.contain('[PAN LEFT (TURBO)]');
+      command = DecodeCommand([0xA0,0x00,0x00,0x04,0xFF,0x00,0xAF,0xF4],'pelco_p');
+      expect(command.turbo).to.be.undefined;
+
+      command = DecodeCommand([0xFF,0x01,0x88,0x00,0x00,0x00,0x89],'pelco_d');
+      expect(command.camera_power).to.equal('on');
+      expect(command.text).to.contain('[CAMERA ON]');
+
+      command = DecodeCommand([0xFF,0x01,0x10,0x00,0x00,0x00,0x11],'pelco_d');
+      expect(command.scan).to.equal('manual');
+      expect(command.camera_power).to.be.undefined;
+    });
+
+    it("tests Pelco P camera off", function() {
+      var command = DecodeCommand([0xA0,0x00,0x10,0x00,0x00,0x00,0xAF,0x1F],'pelco_p');
+      expect(command.camera_power).to.equal('off');
+      expect(command.text).to.contain('[CAMERA OFF]');
+    });
+
+    it("tests Pelco D set pan position", function() {
+      // 0x3039 = 12345 = 123.45 degrees
+      var command = DecodeCommand([0xFF,0x01,0x00,0x4B,0x30,0x39,0xB5],'pelco_d');
+      expect(command.position_action).to.equal('set');
+      expect(command.position_axis).to.equal('pan');
+      expect(command.pan_position).to.equal(123.45);
+      expect(command.text).to.contain('[SET PAN POSITION 123.45 DEG]');
+    });
+
+    it("tests Pelco D query and response", function() {
+      var command = DecodeCommand([0xFF,0x02,0x00,0x53,0x00,0x00,0x55],'pelco_d');
+      expect(command.position_action).to.equal('query');
+      expect(command.position_axis).to.equal('tilt');
+
+      command = DecodeCommand([0xFF,0x02,0x00,0x5D,0x80,0x00,0xDF],'pelco_d');
+      expect(command.position_action).to.equal('response');
+      expect(command.position_value).to.equal(0x8000);
+      expect(command.zoom_position).to.be.closeTo(0.5, 0.001);
+      expect(command.text).to.contain('ZOOM POSITION RESPONSE 32768 (50.0%)');
+    });
+
+    it("tests Pelco D general response", function() {
+      var commands = [];
+      var decoder = new PelcoD_Decoder();
+      decoder.on('command',function(command) {
+        commands.push(command);
+      });
+      decoder.processBuffer([0xFF,0x05,0x01,0x06,0xFF,0x05,0x00,0x59,0x46,0x50,0xF4]);
+      expect(commands.length).to.equal(2);
+      expect(commands[0].ack).to.equal(true);
+      expect(commands[0].camera).to.equal(5);
+      expect(commands[0].alarms).to.equal(1);
+      expect(commands[0].bytes.length).to.equal(4);
+      expect(commands[1].position_action).to.equal('response');
+      expect(commands[1].pan_position).to.equal(180);
+    });
+
+    it("finds Pelco D general responses after a stray byte and at the end of the data", function() {
+      var commands = [];
+      var decoder = new PelcoD_Decoder({ protocols: ['pelco_d'] });
+      decoder.on('command',function(command) {
+        commands.push(command);
+      });
+      decoder.processBuffer([0x00,0xFF,0x01,0x00,0x01,0xFF,0x01,0x00,0x01,0x42,0xFF,0x01,0x00,0x01,0xFF,0x01,0x00,0x01]);
+      expect(commands.length).to.equal(2);
+      expect(commands[0].ack).to.equal(true);
+      expect(commands[1].ack).to.equal(true);
+      // The last response has no message after it until the end of the data
+      decoder.flush();
+      expect(commands.length).to.equal(3);
+      expect(commands[2].camera).to.equal(1);
+      expect(commands[2].bytes).to.deep.equal(new Buffer([0xFF,0x01,0x00,0x01]));
+    });
+
+    it("does not mistake a Pelco D command for a general response", function() {
+      var commands = [];
+      var decoder = new PelcoD_Decoder();
+      decoder.on('command',function(command) {
+        if (command.protocol == 'pelco_d') commands.push(command);
+      });
+      // Camera 2 Pan Right Turbo. The first 4 bytes have a valid General Response checksum
+      decoder.processBuffer([0xFF,0x02,0x00,0x02,0xFF,0x00,0x03]);
+      expect(commands.length).to.equal(1);
+      expect(commands[0].ack).to.be.undefined;
+      expect(commands[0].camera).to.equal(2);
+      expect(commands[0].pan).to.equal('right');
+      expect(commands[0].pan_speed).to.equal(0xFF);
+    });
+
+    it("tests Pelco P goto preset", function() {
+      var command = DecodeCommand([0xA0,0x00,0x00,0x07,0x00,0x05,0xAF,0x0D],'pelco_p');
+      expect(command.camera).to.equal(1);
+      expect(command.preset_action).to.equal('goto');
+      expect(command.preset).to.equal(5);
+      expect(command.pan).to.be.undefined;
+    });
+
+    it("tests Bosch aux on", function() {
+      var command = DecodeCommand([0x86,0x00,0x31,0x07,0x01,0x05,0x44],'bosch');
+      expect(command.camera).to.equal(50);
+      expect(command.aux_action).to.equal('on');
+      expect(command.aux).to.equal(5);
+    });
+
+    it("tests AD422 proportional speed", function() {
+      var command = DecodeCommand([0x07,0xC0,0x82,0x0A,0xAD],'ad422');
+      expect(command.camera).to.equal(7);
+      expect(command.pan).to.equal('right');
+      expect(command.pan_speed).to.equal(10);
+    });
+
+    it("tests VISCA zoom", function() {
+      var command = DecodeCommand([0x81,0x01,0x04,0x07,0x27,0xFF],'visca');
+      expect(command.camera).to.equal(1);
+      expect(command.zoom).to.equal('in');
+      expect(command.zoom_speed).to.equal(7);
+      expect(command.text).to.contain('Zoom In(7)');
+    });
+
+    it("tests VISCA focus, exposure, white balance and backlight", function() {
+      expect(DecodeCommand([0x81,0x01,0x04,0x38,0x03,0xFF],'visca').focus).to.equal('manual');
+      expect(DecodeCommand([0x81,0x01,0x04,0x39,0x0A,0xFF],'visca').exposure_mode).to.equal('shutter_priority');
+      expect(DecodeCommand([0x81,0x01,0x04,0x35,0x01,0xFF],'visca').white_balance).to.equal('indoor');
+      expect(DecodeCommand([0x81,0x01,0x04,0x33,0x02,0xFF],'visca').backlight).to.equal('on');
+      expect(DecodeCommand([0x81,0x01,0x04,0x00,0x03,0xFF],'visca').camera_power).to.equal('off');
+    });
+
+    it("tests VISCA direct zoom and absolute/relative pan-tilt position", function() {
+      var command = DecodeCommand([0x82,0x01,0x04,0x47,0x01,0x02,0x03,0x04,0xFF],'visca');
+      expect(command.camera).to.equal(2);
+      expect(command.position_action).to.equal('set');
+      expect(command.position_axis).to.equal('zoom');
+      expect(command.position_value).to.equal(0x1234);
+
+      command = DecodeCommand([0x81,0x01,0x06,0x02,0x14,0x18,0x0F,0x0F,0x0F,0x0E,0x01,0x02,0x03,0x04,0xFF],'visca');
+      expect(command.position_action).to.equal('set');
+      expect(command.pan_position_value).to.equal(-2);
+      expect(command.tilt_position_value).to.equal(0x1234);
+      expect(command.pan_speed).to.equal(0x14);
+      expect(command.text).to.contain('PanPos=-2 TiltPos=4660');
+
+      command = DecodeCommand([0x81,0x01,0x06,0x03,0x01,0x01,0x00,0x00,0x00,0x01,0x00,0x0F,0x0F,0x0F,0x0F,0xFF],'visca');
+      expect(command.position_action).to.equal('relative');
+      expect(command.pan_position_value).to.equal(16);
+      expect(command.tilt_position_value).to.equal(-1);
+
+      expect(DecodeCommand([0x81,0x01,0x06,0x05,0xFF],'visca').position_action).to.equal('reset');
+      expect(DecodeCommand([0x81,0x01,0x06,0x06,0x03,0xFF],'visca').text).to.contain('OSD Menu off');
+    });
+
+    it("tests VISCA inquiry and completion reply with data", function() {
+      var command = DecodeCommand([0x81,0x09,0x04,0x47,0xFF],'visca');
+      expect(command.inquiry).to.equal('zoom_position');
+
+      command = DecodeCommand([0x81,0x09,0x04,0x47,0xFF, 0x90,0x50,0x04,0x00,0x00,0x00,0xFF],'visca');
+      expect(command.camera).to.equal(1);
+      expect(command.reply).to.equal('completion');
+      expect(command.inquiry).to.equal('zoom_position');
+      expect(command.position_action).to.equal('response');
+      expect(command.position_axis).to.equal('zoom');
+      expect(command.position_value).to.equal(0x4000);
+
+      command = DecodeCommand([0x81,0x09,0x06,0x12,0xFF, 0x90,0x50,0x0F,0x0F,0x0F,0x0F,0x00,0x00,0x01,0x00,0xFF],'visca');
+      expect(command.inquiry).to.equal('pan_tilt_position');
+      expect(command.pan_position_value).to.equal(-1);
+      expect(command.tilt_position_value).to.equal(0x10);
+    });
+
+    it("tests VISCA ACK, completion and error replies", function() {
+      var command = DecodeCommand([0x90,0x41,0xFF],'visca');
+      expect(command.reply).to.equal('ack');
+      expect(command.socket).to.equal(1);
+
+      command = DecodeCommand([0x90,0x51,0xFF],'visca');
+      expect(command.reply).to.equal('completion');
+
+      command = DecodeCommand([0x90,0x60,0x02,0xFF],'visca');
+      expect(command.reply).to.equal('error');
+      expect(command.error).to.equal('syntax_error');
+
+      command = DecodeCommand([0xA0,0x61,0x41,0xFF],'visca');
+      expect(command.camera).to.equal(2);
+      expect(command.error).to.equal('not_executable');
+    });
+
+    it("tests Panasonic camera select and pan/tilt/zoom", function() {
+      var bytes = [0x02];
+      AppendStringToByteArray('AD012;GC7:DDB2010',bytes);
+      bytes.push(0x03);
+      var command = DecodeCommand(bytes,'panasonic');
+      expect(command.camera).to.equal(12);
+      expect(command.pan).to.equal('right');
+      expect(command.pan_speed).to.equal(0x20);
+      expect(command.tilt).to.equal('up');
+      expect(command.tilt_speed).to.equal(0x10);
+      expect(command.zoom).to.equal('out');
+      expect(command.zoom_speed).to.equal(1);
+      expect(command.text).to.contain('[Cam 12]');
+    });
+
+    it("tests Panasonic presets and aux", function() {
+      var bytes = [0x02];
+      AppendStringToByteArray('GCN:00219F0:0022A20:2021165',bytes);
+      bytes.push(0x03);
+      var command = DecodeCommand(bytes,'panasonic');
+      expect(command.camera).to.be.undefined;
+      expect(command.preset_action).to.equal('set');
+      expect(command.preset).to.equal(63);
+      expect(command.aux_action).to.equal('off');
+      expect(command.aux).to.equal(3);
+    });
+  });
+
+  describe("VISCA over IP", function() {
+    function ViscaIPCommands(packets) {
+      var commands = [];
+      var decoder = new PelcoD_Decoder();
+      decoder.on('command',function(command) { commands.push(command); });
+      for (var i = 0; i < packets.length; i++) decoder.processViscaIP(new Buffer(packets[i]));
+      return commands;
+    }
+
+    it("strips the header and decodes the VISCA message", function() {
+      var commands = ViscaIPCommands([[0x01,0x00,0x00,0x06,0x00,0x00,0x00,0x05, 0x81,0x01,0x04,0x07,0x27,0xFF],
+                                      [0x01,0x11,0x00,0x03,0x00,0x00,0x00,0x05, 0x90,0x41,0xFF]]);
+      expect(commands.length).to.equal(2);
+      expect(commands[0].payload_type).to.equal('command');
+      expect(commands[0].sequence).to.equal(5);
+      expect(commands[0].zoom).to.equal('in');
+      expect(commands[0].text).to.contain('IP Seq 5');
+      expect(commands[1].payload_type).to.equal('reply');
+      expect(commands[1].reply).to.equal('ack');
+      expect(commands[1].sequence).to.equal(5);
+    });
+
+    it("reports missing sequence numbers", function() {
+      var commands = ViscaIPCommands([[0x01,0x00,0x00,0x05,0x00,0x00,0x00,0x01, 0x81,0x01,0x06,0x04,0xFF],
+                                      [0x01,0x00,0x00,0x05,0x00,0x00,0x00,0x04, 0x81,0x01,0x06,0x04,0xFF]]);
+      expect(commands[0].sequence_gap).to.be.undefined;
+      expect(commands[1].sequence_gap).to.equal(2);
+      expect(commands[1].text).to.contain('2 Packets Missing');
+    });
+
+    it("decodes control messages and the sequence reset", function() {
+      var commands = ViscaIPCommands([[0x01,0x00,0x00,0x05,0x00,0x00,0x00,0x09, 0x81,0x01,0x06,0x04,0xFF],
+                                      [0x02,0x00,0x00,0x01,0x00,0x00,0x00,0x00, 0x01],
+                                      [0x02,0x01,0x00,0x01,0x00,0x00,0x00,0x00, 0x01],
+                                      [0x01,0x00,0x00,0x05,0x00,0x00,0x00,0x01, 0x81,0x01,0x06,0x04,0xFF],
+                                      [0x02,0x01,0x00,0x02,0x00,0x00,0x00,0x01, 0x0F,0x01]]);
+      expect(commands[1].control).to.equal('reset_sequence');
+      expect(commands[2].control).to.equal('reset_sequence_ack');
+      expect(commands[3].sequence_gap).to.be.undefined;
+      expect(commands[4].control).to.equal('abnormal_sequence');
+    });
+
+    it("ignores packets with a bad header", function() {
+      expect(ViscaIPCommands([[0x01,0x00,0x00,0x09,0x00,0x00,0x00,0x01, 0x81,0x01,0x06,0x04,0xFF],
+                              [0x05,0x00,0x00,0x05,0x00,0x00,0x00,0x01, 0x81,0x01,0x06,0x04,0xFF],
+                              [0x01,0x00,0x00]])).to.deep.equal([]);
+    });
+
+    it("receives packets from a UDP sender", function(done) {
+      var dgram = require('dgram');
+      var decoder = new PelcoD_Decoder();
+      var receiver = dgram.createSocket('udp4');
+      var sender = dgram.createSocket('udp4');
+      decoder.on('command',function(command) {
+        expect(command.camera).to.equal(1);
+        expect(command.pan).to.equal('left');
+        expect(command.sequence).to.equal(0x01020304);
+        sender.close();
+        receiver.close(done);
+      });
+      receiver.on('message',function(packet) { decoder.processViscaIP(packet); });
+      receiver.bind(0, '127.0.0.1', function() {
+        sender.send(new Buffer([0x01,0x00,0x00,0x09,0x01,0x02,0x03,0x04, 0x81,0x01,0x06,0x01,0x05,0x05,0x01,0x03,0xFF]),
+                    receiver.address().port, '127.0.0.1');
+      });
+    });
+  });
+
 });
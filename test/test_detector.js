@@ -0,0 +1,70 @@
+// Mocha tests
+
+var expect    = require("chai").expect;
+var PelcoD_Detector = require("../pelcod_detector.js").PelcoD_Detector;
+
+// Bytes that look like a Pelco D keyboard received at the wrong baud rate
+function Garbage(length)
+{
+   var bytes = [];
+   var value = 1;
+   for (var i = 0; i < length; i++) {
+      value = (value * 75 + 74) % 65537; // repeatable pseudo random values
+      bytes.push(value & 0xFF);
+   }
+   return bytes;
+}
+
+describe("Protocol Detector", function() {
+
+  it("finds the protocol, line setting and cameras", function() {
+    var detector = new PelcoD_Detector();
+    for (var i = 0; i < 10; i++) {
+      detector.processBuffer('2400-none', [0xFF,0x01,0x00,0x04,0x20,0x00,0x25]);
+      detector.processBuffer('2400-none', [0xFF,0x02,0x00,0x00,0x00,0x00,0x02]);
+    }
+    detector.processBuffer('4800-none', Garbage(140));
+    detector.processBuffer('9600-even', Garbage(140));
+
+    var best = detector.best();
+    expect(best.setting).to.equal('2400-none');
+    expect(best.protocol).to.equal('pelco_d');
+    expect(best.frames).to.equal(20);
+    expect(best.cameras).to.deep.equal([1,2]);
+    expect(best.confidence).to.equal('high');
+  });
+
+  it("gives low confidence to protocols without a checksum", function() {
+    var detector = new PelcoD_Detector();
+    detector.processBuffer('9600-none', [0x81,0x01,0x06,0x04,0xFF]);
+    var best = detector.best();
+    expect(best.protocol).to.equal('visca');
+    expect(best.confidence).to.equal('low');
+  });
+
+  it("needs more messages before trusting a protocol without a checksum", function() {
+    var detector = new PelcoD_Detector();
+    for (var i = 0; i < 5; i++) detector.processBuffer('9600-none', [0x81,0x01,0x06,0x01,0x05,0x05,0x01,0x03,0xFF]);
+    expect(detector.best().confidence).to.equal('medium');
+    for (var i = 0; i < 15; i++) detector.processBuffer('9600-none', [0x81,0x01,0x06,0x01,0x05,0x05,0x01,0x03,0xFF]);
+    expect(detector.best().protocol).to.equal('visca');
+    expect(detector.best().frames).to.equal(20);
+    expect(detector.best().confidence).to.equal('high');
+  });
+
+  it("only tries the protocols in the decoder options", function() {
+    var detector = new PelcoD_Detector({ protocols: ['pelco_d'] });
+    detector.processBuffer('9600-none', [0x81,0x01,0x06,0x04,0xFF]);
+    expect(detector.best()).to.be.null;
+    detector.processBuffer('9600-none', [0xFF,0x01,0x00,0x04,0x20,0x00,0x25]);
+    expect(detector.best().protocol).to.equal('pelco_d');
+    expect(detector.results().length).to.equal(1);
+  });
+
+  it("returns null when nothing is decoded", function() {
+    var detector = new PelcoD_Detector();
+    expect(detector.best()).to.be.null;
+    detector.processBuffer('2400-none', [0x00,0x00,0x00]);
+    expect(detector.best()).to.be.null;
+  });
+});
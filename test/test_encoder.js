@@ -0,0 +1,543 @@
+// Mocha tests
+
+var expect    = require("chai").expect;
+var PelcoD_Decoder = require("../pelcod_decoder.js").PelcoD_Decoder;
+var PelcoD_Encoder = require("../pelcod_encoder.js").PelcoD_Encoder;
+
+var encoder = new PelcoD_Encoder();
+
+function AppendStringToByteArray(str,bytes)
+{
+   for (var i = 0; i < str.length; ++i)
+   {
+      bytes.push(str.charCodeAt(i));
+   }
+}
+
+// Decode bytes with a new decoder and return the last structured command
+function DecodeCommand(bytes)
+{
+   var result;
+   var decoder = new PelcoD_Decoder();
+   decoder.on('command',function(command) {
+      result = command;
+   });
+   decoder.processBuffer(bytes);
+   return result;
+}
+
+// Decode bytes with a new decoder and return all the structured commands from 'protocol'
+function DecodeCommands(bytes,protocol)
+{
+   var results = [];
+   var decoder = new PelcoD_Decoder();
+   decoder.on('command',function(command) {
+      if (command.protocol == protocol) results.push(command);
+   });
+   decoder.processBuffer(bytes);
+   return results;
+}
+
+describe("PTZ Encoder", function() {
+  describe("Pelco D", function() {
+    it("encodes Pan Left", function() {
+      var buf = encoder.encode_pelco_d({ camera: 1, pan: 'left', pan_speed: 0x20, tilt: 'stop' });
+      expect(buf).to.deep.equal(new Buffer([0xFF,0x01,0x00,0x04,0x20,0x00,0x25]));
+    });
+
+    it("encodes Focus Far and Iris Close", function() {
+      var buf = encoder.encode_pelco_d({ camera: 1, focus: 'far', iris: 'close' });
+      expect(buf).to.deep.equal(new Buffer([0xFF,0x01,0x04,0x80,0x00,0x00,0x85]));
+    });
+
+    it("encodes Extended Commands", function() {
+      expect(encoder.encode_pelco_d({ camera: 1, aux_action: 'on', aux: 5 }))
+        .to.deep.equal(new Buffer([0xFF,0x01,0x00,0x09,0x00,0x05,0x0F]));
+      expect(encoder.encode_pelco_d({ camera: 1, preset_action: 'clear', preset: 1 }))
+        .to.deep.equal(new Buffer([0xFF,0x01,0x00,0x05,0x00,0x01,0x07]));
+      expect(encoder.encode_pelco_d({ camera: 1, tour_action: 'record_start', tour: 0 }))
+        .to.deep.equal(new Buffer([0xFF,0x01,0x00,0x1F,0x00,0x00,0x20]));
+    });
+
+    it("round trips through the decoder", function() {
+      var sent = { camera: 12, pan: 'right', pan_speed: 0xFF, tilt: 'down', tilt_speed: 0x3F, zoom: 'out', focus: 'stop', iris: 'open' };
+      var command = DecodeCommand(encoder.encode(Object.assign({ protocol: 'pelco_d' }, sent)));
+      expect(command.protocol).to.equal('pelco_d');
+      for (var key in sent) expect(command[key]).to.equal(sent[key]);
+
+      command = DecodeCommand(encoder.encode_pelco_d({ camera: 3, preset_action: 'goto', preset: 99 }));
+      expect(command.camera).to.equal(3);
+      expect(command.preset_action).to.equal('goto');
+      expect(command.preset).to.equal(99);
+    });
+
+    it("returns null for commands that cannot be sent", function() {
+      expect(encoder.encode_pelco_d({ camera: 300, pan: 'left' })).to.be.null;
+      expect(encoder.encode_pelco_d({ camera: 1, aux_action: 'latch_on', aux: 1 })).to.be.null;
+      expect(encoder.encode_pelco_d({ camera: 1, zoom_speed: 7 })).to.be.null;
+      expect(encoder.encode_pelco_d({ camera: 1, camera_power: 'on', scan: 'manual' })).to.be.null;
+    });
+
+    it("encodes Camera On/Off and Auto/Manual Scan with the Sense bit", function() {
+      expect(encoder.encode_pelco_d({ camera: 1, camera_power: 'on' }))
+        .to.deep.equal(new Buffer([0xFF,0x01,0x88,0x00,0x00,0x00,0x89]));
+      expect(encoder.encode_pelco_d({ camera: 1, camera_power: 'off' }))
+        .to.deep.equal(new Buffer([0xFF,0x01,0x08,0x00,0x00,0x00,0x09]));
+      expect(encoder.encode_pelco_d({ camera: 1, scan: 'auto' }))
+        .to.deep.equal(new Buffer([0xFF,0x01,0x90,0x00,0x00,0x00,0x91]));
+      var command = DecodeCommand(encoder.encode_pelco_d({ camera: 1, scan: 'manual', camera_power: 'off' }));
+      expect(command.scan).to.equal('manual');
+      expect(command.camera_power).to.equal('off');
+    });
+
+    it("sends the Zoom Speed before a movement as a separate Extended Command", function() {
+      var buf = encoder.encode_pelco_d({ camera: 1, pan: 'left', pan_speed: 0x20, zoom: 'in', zoom_speed: 2 });
+      expect(buf).to.deep.equal(new Buffer([0xFF,0x01,0x00,0x25,0x00,0x02,0x28,
+                                            0xFF,0x01,0x00,0x24,0x20,0x00,0x45]));
+      var commands = DecodeCommands(buf, 'pelco_d');
+      expect(commands[0].zoom_speed).to.equal(2);
+      expect(commands[1].pan).to.equal('left');
+      expect(commands[1].zoom).to.equal('in');
+      expect(encoder.encode_pelco_p({ camera: 1, zoom: 'out', focus_speed: 1 }).length).to.equal(16);
+      expect(encoder.encode_pelco_d({ camera: 1, zoom: 'in', zoom_speed: 7 })).to.be.null;
+    });
+
+    it("encodes Set, Query and Response position messages", function() {
+      expect(encoder.encode_pelco_d_position(1, 'query', 'pan'))
+        .to.deep.equal(new Buffer([0xFF,0x01,0x00,0x51,0x00,0x00,0x52]));
+      expect(encoder.encode_pelco_d_position(1, 'response', 'tilt', 0x1234))
+        .to.deep.equal(new Buffer([0xFF,0x01,0x00,0x5B,0x12,0x34,0xA2]));
+      var command = DecodeCommand(encoder.encode_pelco_d_position(2, 'response', 'pan', 9000));
+      expect(command.position_action).to.equal('response');
+      expect(command.position_axis).to.equal('pan');
+      expect(command.pan_position).to.equal(90);
+      command = DecodeCommand(encoder.encode_pelco_d_position(2, 'set', 'zoom', 65535));
+      expect(command.position_action).to.equal('set');
+      expect(command.zoom_position).to.equal(1);
+      expect(encoder.encode_pelco_d_position(1, 'response', 'focus', 0)).to.be.null;
+      expect(encoder.encode_pelco_d_position(1, 'set', 'pan', 0x10000)).to.be.null;
+    });
+
+    it("encodes the General Response", function() {
+      expect(encoder.encode_pelco_d_general_response(1)).to.deep.equal(new Buffer([0xFF,0x01,0x00,0x01]));
+      // The decoder finds the response when the next message starts
+      var bytes = [];
+      bytes.push.apply(bytes, encoder.encode_pelco_d_general_response(5, 0x03));
+      bytes.push.apply(bytes, encoder.encode_pelco_d_general_response(5, 0x00));
+      var command = DecodeCommand(bytes);
+      expect(command.ack).to.equal(true);
+      expect(command.camera).to.equal(5);
+      expect(command.alarms).to.equal(3);
+    });
+  });
+
+  describe("Pelco P and BBV422", function() {
+    it("encodes Pelco P Pan Left", function() {
+      var buf = encoder.encode_pelco_p({ camera: 1, pan: 'left', pan_speed: 0x20 });
+      expect(buf).to.deep.equal(new Buffer([0xA0,0x00,0x00,0x04,0x20,0x00,0xAF,0x2B]));
+    });
+
+    it("encodes Pelco P Turbo as 0x40", function() {
+      var buf = encoder.encode_pelco_p({ camera: 1, pan: 'left', pan_speed: 0x40 });
+      expect(buf).to.deep.equal(new Buffer([0xA0,0x00,0x00,0x04,0x40,0x00,0xAF,0x4B]));
+      expect(DecodeCommand(buf).turbo).to.equal(true);
+      // 0xFF is Pelco D Turbo and is the fastest normal speed in Pelco P
+      expect(encoder.encode_pelco_p({ camera: 1, pan: 'left', pan_speed: 0xFF })[4]).to.equal(0x3F);
+      expect(encoder.encode_pelco_d({ camera: 1, pan: 'left', pan_speed: 0x40 })[4]).to.equal(0x3F);
+    });
+
+    it("round trips Pelco P and BBV422 through the decoder", function() {
+      var sent = { camera: 1, pan: 'stop', tilt: 'up', tilt_speed: 0x10, zoom: 'in', focus: 'near', iris: 'close' };
+      ['pelco_p', 'bbv422'].forEach(function(protocol) {
+        var command = DecodeCommand(encoder.encode(Object.assign({ protocol: protocol }, sent)));
+        expect(command.protocol).to.equal(protocol);
+        for (var key in sent) expect(command[key]).to.equal(sent[key]);
+      });
+
+      var command = DecodeCommand(encoder.encode_bbv422({ camera: 256, zoom_speed: 2 }));
+      expect(command.camera).to.equal(256);
+      expect(command.zoom_speed).to.equal(2);
+    });
+
+    it("round trips Pelco P Camera On/Off and Auto Scan", function() {
+      var command = DecodeCommand(encoder.encode_pelco_p({ camera: 2, camera_power: 'on', scan: 'auto' }));
+      expect(command.camera_power).to.equal('on');
+      expect(command.scan).to.equal('auto');
+      command = DecodeCommand(encoder.encode_pelco_p({ camera: 2, camera_power: 'off' }));
+      expect(command.camera_power).to.equal('off');
+      expect(command.scan).to.be.undefined;
+      expect(encoder.encode_pelco_p({ camera: 2, scan: 'manual' })).to.be.null;
+    });
+  });
+
+  describe("Bosch", function() {
+    it("encodes Variable Speed PTZ", function() {
+      var buf = encoder.encode_bosch({ camera: 36, pan: 'right', pan_speed: 1, tilt: 'stop', tilt_speed: 15, zoom: 'stop', zoom_speed: 7 });
+      expect(buf).to.deep.equal(new Buffer([0x87,0x00,0x23,0x05,0x7f,0x08,0x01,0x37]));
+    });
+
+    it("encodes Aux and Pre-position", function() {
+      expect(encoder.encode_bosch({ camera: 50, aux_action: 'on', aux: 5 }))
+        .to.deep.equal(new Buffer([0x86,0x00,0x31,0x07,0x01,0x05,0x44]));
+      expect(encoder.encode_bosch({ camera: 36, preset_action: 'goto', preset: 3 }))
+        .to.deep.equal(new Buffer([0x86,0x00,0x23,0x07,0x05,0x03,0x38]));
+    });
+
+    it("round trips through the decoder", function() {
+      var sent = { camera: 1000, pan: 'left', pan_speed: 9, tilt: 'down', tilt_speed: 4, zoom: 'in', zoom_speed: 2, focus: 'near', iris: 'open' };
+      var command = DecodeCommand(encoder.encode(Object.assign({ protocol: 'bosch' }, sent)));
+      expect(command.protocol).to.equal('bosch');
+      for (var key in sent) expect(command[key]).to.equal(sent[key]);
+
+      command = DecodeCommand(encoder.encode_bosch({ camera: 200, preset_action: 'set', preset: 1000 }));
+      expect(command.camera).to.equal(200);
+      expect(command.preset_action).to.equal('set');
+      expect(command.preset).to.equal(1000);
+
+      command = DecodeCommand(encoder.encode_bosch({ camera: 16384, aux_action: 'latch_off', aux: 130 }));
+      expect(command.camera).to.equal(16384);
+      expect(command.aux_action).to.equal('latch_off');
+      expect(command.aux).to.equal(130);
+    });
+
+    it("returns null for commands that cannot be sent", function() {
+      expect(encoder.encode_bosch({ camera: 1, preset_action: 'clear', preset: 1 })).to.be.null;
+      expect(encoder.encode_bosch({ camera: 1, preset_action: 'goto', preset: 1024 })).to.be.null;
+      expect(encoder.encode_bosch({ camera: 1, tour_action: 'start', tour: 1 })).to.be.null;
+      expect(encoder.encode_bosch({ camera: 0, pan: 'left' })).to.be.null;
+    });
+  });
+
+  describe("VISCA", function() {
+    it("encodes Pan-tiltDrive", function() {
+      expect(encoder.encode_visca({ camera: 1, pan: 'left', pan_speed: 1, tilt: 'stop' }))
+        .to.deep.equal(new Buffer([0x81,0x01,0x06,0x01,0x01,0x01,0x01,0x03,0xFF]));
+      expect(encoder.encode_visca({ camera: 2, pan: 'right', pan_speed: 0x30, tilt: 'down', tilt_speed: 0x30 }))
+        .to.deep.equal(new Buffer([0x82,0x01,0x06,0x01,0x18,0x14,0x02,0x02,0xFF]));
+    });
+
+    it("encodes one message for each part of the command", function() {
+      var buf = encoder.encode_visca({ camera: 1, pan: 'stop', tilt: 'stop', zoom: 'in', zoom_speed: 7, focus: 'auto', iris: 'stop' });
+      expect(buf).to.deep.equal(new Buffer([
+        0x81,0x01,0x06,0x01,0x01,0x01,0x03,0x03,0xFF,
+        0x81,0x01,0x04,0x07,0x27,0xFF,
+        0x81,0x01,0x04,0x38,0x02,0xFF]));
+    });
+
+    it("round trips through the decoder", function() {
+      var sent = [
+        { camera: 3, pan: 'left', pan_speed: 5, tilt: 'up', tilt_speed: 9 },
+        { camera: 3, zoom: 'out', zoom_speed: 2 },
+        { camera: 3, focus: 'near' },
+        { camera: 3, focus: 'manual' },
+        { camera: 3, iris: 'open' },
+        { camera: 3, iris: 'auto' },
+        { camera: 3, preset_action: 'clear', preset: 4 },
+        { camera: 3, preset_action: 'set', preset: 5 },
+        { camera: 3, preset_action: 'goto', preset: 6 }
+      ];
+      sent.forEach(function(item) {
+        var commands = DecodeCommands(encoder.encode(Object.assign({ protocol: 'visca' }, item)), 'visca');
+        expect(commands.length).to.equal(1);
+        for (var key in item) expect(commands[0][key]).to.equal(item[key]);
+      });
+    });
+
+    it("encodes named commands", function() {
+      expect(encoder.encode_visca_command(1, 'home')).to.deep.equal(new Buffer([0x81,0x01,0x06,0x04,0xFF]));
+      expect(encoder.encode_visca_command(1, 'power_off')).to.deep.equal(new Buffer([0x81,0x01,0x04,0x00,0x03,0xFF]));
+      expect(encoder.encode_visca_command(8, 'if_clear')).to.deep.equal(new Buffer([0x88,0x01,0x00,0x01,0xFF]));
+      expect(encoder.encode_visca_command(1, 'auto_power_off', 2)).to.deep.equal(new Buffer([0x81,0x01,0x04,0x40,0x00,0x00,0x00,0x02,0xFF]));
+      expect(encoder.encode_visca_command(1, 'absolute_position', { pan_speed: 0x14, tilt_speed: 0x18, pan: -2, tilt: 0x1234 }))
+        .to.deep.equal(new Buffer([0x81,0x01,0x06,0x02,0x14,0x14,0x0F,0x0F,0x0F,0x0E,0x01,0x02,0x03,0x04,0xFF]));
+      expect(encoder.encode_visca_address_set()).to.deep.equal(new Buffer([0x88,0x30,0x01,0xFF]));
+      expect(encoder.encode_visca_address_set(4)).to.deep.equal(new Buffer([0x88,0x30,0x04,0xFF]));
+      expect(encoder.encode_visca_command(1, 'unknown')).to.be.null;
+    });
+
+    it("encodes inquiries", function() {
+      expect(encoder.encode_visca_inquiry(1, 'zoom_position')).to.deep.equal(new Buffer([0x81,0x09,0x04,0x47,0xFF]));
+      expect(encoder.encode_visca_inquiry(2, 'pan_tilt_position')).to.deep.equal(new Buffer([0x82,0x09,0x06,0x12,0xFF]));
+    });
+
+    it("encodes replies from the camera", function() {
+      expect(encoder.encode_visca_reply(1, 'ack', 1)).to.deep.equal(new Buffer([0x90,0x41,0xFF]));
+      expect(encoder.encode_visca_reply(1, 'completion', 1)).to.deep.equal(new Buffer([0x90,0x51,0xFF]));
+      expect(encoder.encode_visca_reply(2, 'error', 0, 'syntax_error')).to.deep.equal(new Buffer([0xA0,0x60,0x02,0xFF]));
+      expect(encoder.encode_visca_reply(1, 'error', 0, 'unknown')).to.be.null;
+      expect(encoder.encode_visca_reply(8, 'ack', 1)).to.be.null;
+      var commands = DecodeCommands(encoder.encode_visca_reply(3, 'error', 2, 'not_executable'), 'visca');
+      expect(commands[0].camera).to.equal(3);
+      expect(commands[0].reply).to.equal('error');
+      expect(commands[0].socket).to.equal(2);
+      expect(commands[0].error).to.equal('not_executable');
+    });
+
+    it("encodes inquiry replies that decode after the inquiry", function() {
+      expect(encoder.encode_visca_inquiry_reply(1, 'zoom_position', 0x4000))
+        .to.deep.equal(new Buffer([0x90,0x50,0x04,0x00,0x00,0x00,0xFF]));
+      expect(encoder.encode_visca_inquiry_reply(1, 'power', 'on')).to.deep.equal(new Buffer([0x90,0x50,0x02,0xFF]));
+      expect(encoder.encode_visca_inquiry_reply(1, 'power', 'maybe')).to.be.null;
+      expect(encoder.encode_visca_inquiry_reply(1, 'unknown', 0)).to.be.null;
+
+      var bytes = [];
+      bytes.push.apply(bytes, encoder.encode_visca_inquiry(2, 'pan_tilt_position'));
+      bytes.push.apply(bytes, encoder.encode_visca_inquiry_reply(2, 'pan_tilt_position', { pan: -400, tilt: 120 }));
+      var commands = DecodeCommands(bytes, 'visca');
+      expect(commands.length).to.equal(2);
+      expect(commands[1].reply).to.equal('completion');
+      expect(commands[1].inquiry).to.equal('pan_tilt_position');
+      expect(commands[1].pan_position_value).to.equal(-400);
+      expect(commands[1].tilt_position_value).to.equal(120);
+
+      bytes = [];
+      bytes.push.apply(bytes, encoder.encode_visca_inquiry(1, 'version'));
+      bytes.push.apply(bytes, encoder.encode_visca_inquiry_reply(1, 'version', { vendor_id: 0x0001, model_id: 0x0402, rom_version: 0x0100, max_socket: 2 }));
+      commands = DecodeCommands(bytes, 'visca');
+      expect(commands[1].model_id).to.equal(0x0402);
+      expect(commands[1].max_socket).to.equal(2);
+    });
+
+    it("uses the sender address", function() {
+      var visca_encoder = new PelcoD_Encoder();
+      visca_encoder.visca_sender = 2;
+      expect(visca_encoder.encode_visca_command(1, 'home')).to.deep.equal(new Buffer([0xA1,0x01,0x06,0x04,0xFF]));
+    });
+
+    it("returns null for commands that cannot be sent", function() {
+      expect(encoder.encode_visca({ camera: 9, pan: 'left' })).to.be.null;
+      expect(encoder.encode_visca({ camera: 1, aux_action: 'on', aux: 1 })).to.be.null;
+      expect(encoder.encode_visca({ camera: 1, iris: 'stop' })).to.be.null;
+    });
+  });
+
+  describe("American Dynamics / Sensormatic", function() {
+    it("encodes Pan, Tilt and All Stop", function() {
+      expect(encoder.encode_ad422({ camera: 7, pan: 'right', pan_speed: 10 })).to.deep.equal(new Buffer([0x07,0xC0,0x82,0x0A,0xAD]));
+      expect(encoder.encode_ad422({ camera: 4, pan: 'left' })).to.deep.equal(new Buffer([0x04,0x81,0x7B]));
+      expect(encoder.encode_ad422({ camera: 1, pan: 'stop', tilt: 'stop', zoom: 'stop', focus: 'stop', iris: 'stop' }))
+        .to.deep.equal(new Buffer([0x01,0x93,0x6C]));
+    });
+
+    it("encodes the broadcast address", function() {
+      expect(encoder.encode_ad422({ camera: 0x40, zoom: 'in' })).to.deep.equal(new Buffer([0x40,0x8A,0x36]));
+    });
+
+    it("encodes Absolute Position", function() {
+      var buf = encoder.encode_ad422_absolute_position(1, { pan: 0x1234, tilt: 0x0100, zoom: 2 });
+      expect(buf.length).to.equal(13);
+      expect(buf.slice(0,8)).to.deep.equal(new Buffer([0x01,0xA6,0x12,0x34,0x01,0x00,0x00,0x02]));
+      var commands = DecodeCommands(buf, 'ad422');
+      expect(commands.length).to.equal(1);
+      expect(commands[0].text).to.contain('Goto Absolute Position');
+    });
+
+    it("round trips through the decoder", function() {
+      var sent = { camera: 12, pan: 'left', pan_speed: 30, tilt: 'down', tilt_speed: 20, zoom: 'out', focus: 'far', iris: 'close' };
+      var commands = DecodeCommands(encoder.encode(Object.assign({ protocol: 'ad422' }, sent)), 'ad422');
+      expect(commands.length).to.equal(5);
+      var received = Object.assign.apply(null, [{}].concat(commands));
+      for (var key in sent) expect(received[key]).to.equal(sent[key]);
+
+      commands = DecodeCommands(encoder.encode_ad422({ camera: 99, preset_action: 'set', preset: 40 }), 'ad422');
+      expect(commands[0].camera).to.equal(99);
+      expect(commands[0].preset_action).to.equal('set');
+      expect(commands[0].preset).to.equal(40);
+    });
+
+    it("returns null for commands that cannot be sent", function() {
+      expect(encoder.encode_ad422({ camera: 100, pan: 'left' })).to.be.null;
+      expect(encoder.encode_ad422({ camera: 1, preset_action: 'clear', preset: 1 })).to.be.null;
+    });
+  });
+
+  describe("Forward Vision", function() {
+    it("encodes the G message", function() {
+      var buf = encoder.encode_forward_vision({ camera: 2, pan: 'left', pan_speed: 0x32, tilt: 'stop', iris: 'auto' });
+      var bytes = [0x0A];
+      AppendStringToByteArray('02126G0230003200',bytes);
+      bytes.push(0xFA);
+      expect(buf).to.deep.equal(new Buffer(bytes));
+    });
+
+    it("encodes presets", function() {
+      var bytes = [0x0A];
+      AppendStringToByteArray('020A6L07',bytes);
+      bytes.push(0x84);
+      expect(encoder.encode_forward_vision({ camera: 2, preset_action: 'goto', preset: 7 })).to.deep.equal(new Buffer(bytes));
+    });
+
+    it("encodes named commands", function() {
+      var buf = encoder.encode_forward_vision_command(6, 'get_version');
+      expect(buf.toString('ascii', 1, buf.length - 1)).to.equal('06086Y');
+      expect(encoder.encode_forward_vision_command(6, 'reset', 1).toString('ascii', 1, 9)).to.equal('060A6W01');
+    });
+
+    it("round trips through the decoder", function() {
+      var sent = { camera: 41, pan: 'right', pan_speed: 255, tilt: 'down', tilt_speed: 0x8E, zoom: 'out', zoom_speed: 1, focus: 'far', iris: 'close', auto_pan: true };
+      var commands = DecodeCommands(encoder.encode(Object.assign({ protocol: 'forward_vision' }, sent)), 'forward_vision');
+      expect(commands.length).to.equal(1);
+      for (var key in sent) expect(commands[0][key]).to.equal(sent[key]);
+
+      commands = DecodeCommands(encoder.encode_forward_vision({ camera: 3, aux_action: 'on', aux: 2, aux_states: { wiper: 1, lamp: 2 } }), 'forward_vision');
+      expect(commands[0].aux_states).to.deep.equal({ aux_1: 0, aux_2: 1, aux_3: 0, wiper: 1, washer: 0, lamp: 2 });
+
+      commands = DecodeCommands(encoder.encode_forward_vision({ camera: 200, preset_action: 'set', preset: 16 }), 'forward_vision');
+      expect(commands[0].camera).to.equal(200);
+      expect(commands[0].preset_action).to.equal('set');
+      expect(commands[0].preset).to.equal(16);
+    });
+
+    it("returns null for commands that cannot be sent", function() {
+      expect(encoder.encode_forward_vision({ camera: 256, pan: 'left' })).to.be.null;
+      expect(encoder.encode_forward_vision({ camera: 1, aux_action: 'on', aux: 4 })).to.be.null;
+      expect(encoder.encode_forward_vision({ camera: 1, preset_action: 'clear', preset: 1 })).to.be.null;
+    });
+  });
+
+  describe("Panasonic", function() {
+    it("encodes pan, tilt and zoom in the D command", function() {
+      var buf = encoder.encode_panasonic({ camera: 5, pan: 'left', pan_speed: 0x3F, tilt: 'down', tilt_speed: 0x20, zoom: 'in', zoom_speed: 2 });
+      expect(buf[0]).to.equal(0x02);
+      expect(buf.toString('ascii', 1, buf.length - 1)).to.equal('AD005;GC7:DAF3F20');
+      expect(buf[buf.length - 1]).to.equal(0x03);
+      expect(encoder.encode_panasonic({ pan: 'stop', tilt: 'stop' }).toString('ascii', 1, 12)).to.equal('GC7:D010000');
+    });
+
+    it("encodes the codes used by Panasonic keyboards", function() {
+      expect(encoder.encode_panasonic({ zoom: 'in' }).toString('ascii', 1, 12)).to.equal('GC7:2021228');
+      expect(encoder.encode_panasonic({ focus: 'near' }).toString('ascii', 1, 12)).to.equal('GC7:202126E');
+      expect(encoder.encode_panasonic({ iris: 'auto' }).toString('ascii', 1, 12)).to.equal('GC7:0021005');
+      expect(encoder.encode_panasonic({ black_and_white: 'on' }).toString('ascii', 1, 12)).to.equal('GC7:0021040');
+      expect(encoder.encode_panasonic({ zoom: 'stop', focus: 'stop' }).toString('ascii', 1, 12)).to.equal('GC7:2021224');
+    });
+
+    it("encodes presets with the length character", function() {
+      var buf = encoder.encode_panasonic({ camera: 1, preset_action: 'goto', preset: 64, aux_action: 'on', aux: 2 });
+      expect(buf.toString('ascii', 1, buf.length - 1)).to.equal('AD001;GCN:00219F0:00223F0:2021162');
+      buf = encoder.encode_panasonic_items(undefined, ['002110C', '2021400', '2022000', '2021400']);
+      expect(buf.toString('ascii', 1, buf.length - 1)).to.equal('GCV:002110C:2021400:2022000:2021400');
+    });
+
+    it("round trips through the decoder", function() {
+      var sent = { camera: 250, pan: 'right', pan_speed: 0x40, tilt: 'down', tilt_speed: 0x12, zoom: 'out', zoom_speed: 3, focus: 'far', focus_speed: 1, iris: 'close' };
+      var commands = DecodeCommands(encoder.encode(Object.assign({ protocol: 'panasonic' }, sent)), 'panasonic');
+      expect(commands.length).to.equal(1);
+      for (var key in sent) expect(commands[0][key]).to.equal(sent[key]);
+
+      commands = DecodeCommands(encoder.encode_panasonic({ camera: 7, preset_action: 'set', preset: 1, aux_action: 'off', aux: 4, black_and_white: 'off' }), 'panasonic');
+      expect(commands[0].preset_action).to.equal('set');
+      expect(commands[0].preset).to.equal(1);
+      expect(commands[0].aux_action).to.equal('off');
+      expect(commands[0].aux).to.equal(4);
+      expect(commands[0].black_and_white).to.equal('off');
+    });
+
+    it("round trips every zoom and focus speed, aux, B/W and preset range", function() {
+      var round_trip = function(sent) {
+        var commands = DecodeCommands(encoder.encode_panasonic(sent), 'panasonic');
+        expect(commands.length).to.equal(1);
+        for (var key in sent) expect(commands[0][key]).to.deep.equal(sent[key]);
+      };
+      for (var speed = 0; speed <= 3; speed++) {
+        round_trip({ camera: 3, zoom: 'in', zoom_speed: speed });
+        round_trip({ camera: 3, zoom: 'out', zoom_speed: speed });
+        round_trip({ camera: 3, focus: 'near', focus_speed: speed });
+        round_trip({ camera: 3, focus: 'far', focus_speed: speed });
+        // Zoom in the D command with Pan and Tilt
+        round_trip({ camera: 3, pan: 'left', pan_speed: 0x10, tilt: 'stop', zoom: 'out', zoom_speed: speed });
+      }
+      for (var aux = 1; aux <= 4; aux++) {
+        round_trip({ camera: 12, aux_action: 'on', aux: aux });
+        round_trip({ camera: 12, aux_action: 'off', aux: aux });
+      }
+      round_trip({ camera: 12, black_and_white: 'on' });
+      round_trip({ camera: 12, black_and_white: 'off' });
+      [1, 64].forEach(function(preset) {
+        round_trip({ camera: 999, preset_action: 'goto', preset: preset });
+        round_trip({ camera: 999, preset_action: 'set', preset: preset });
+      });
+    });
+
+    it("round trips menu commands with their data values", function() {
+      var menu = [{ code: '002110C', data: [] }, { code: '2021400', data: ['000'] }, { code: '2021400', data: [] }];
+      var buf = encoder.encode_panasonic({ camera: 2, menu: menu });
+      expect(buf.toString('ascii', 1, buf.length - 1)).to.equal('AD002;GCV:002110C:2021400:2022000:2021400');
+      var commands = DecodeCommands(buf, 'panasonic');
+      expect(commands[0].camera).to.equal(2);
+      expect(commands[0].menu).to.deep.equal(menu);
+      expect(encoder.encode_panasonic({ menu: [{ code: '0022000' }] })).to.be.null;
+      expect(encoder.encode_panasonic({ menu: [{ code: '2021400', data: ['1000'] }] })).to.be.null;
+    });
+
+    it("returns null for commands that cannot be sent", function() {
+      expect(encoder.encode_panasonic({ camera: 1000, pan: 'left' })).to.be.null;
+      expect(encoder.encode_panasonic({ preset_action: 'goto', preset: 65 })).to.be.null;
+      expect(encoder.encode_panasonic({ focus: 'auto' })).to.be.null;
+      expect(encoder.encode_panasonic({ camera: 1 })).to.be.null;
+    });
+  });
+
+  describe("Vicon", function() {
+    it("encodes the extended command", function() {
+      expect(encoder.encode_vicon({ camera: 50, pan: 'left', pan_speed: 0x7F8, tilt: 'stop' }))
+        .to.deep.equal(new Buffer([0x83,0x52,0x40,0x00,0x00,0x00,0x0F,0x78,0x00,0x00]));
+      expect(encoder.encode_vicon({ camera: 50, zoom: 'in' }))
+        .to.deep.equal(new Buffer([0x83,0x52,0x00,0x20,0x00,0x00,0x00,0x00,0x00,0x00]));
+      expect(encoder.encode_vicon({ camera: 50, preset_action: 'goto', preset: 31 }))
+        .to.deep.equal(new Buffer([0x83,0x52,0x00,0x00,0x00,0x00,0x10,0x1F,0x00,0x00]));
+    });
+
+    it("round trips through the decoder", function() {
+      var sent = { camera: 200, pan: 'right', pan_speed: 1000, tilt: 'up', tilt_speed: 0x3FFF, zoom: 'out', focus: 'near', iris: 'open', auto_pan: true };
+      var commands = DecodeCommands(encoder.encode(Object.assign({ protocol: 'vicon' }, sent)), 'vicon');
+      expect(commands.length).to.equal(1);
+      for (var key in sent) expect(commands[0][key]).to.equal(sent[key]);
+    });
+
+    it("does not send pan speeds that look like Goto Preset", function() {
+      var buf = encoder.encode_vicon({ camera: 1, pan: 'left', pan_speed: 0x840, tilt: 'stop' });
+      expect(buf[6]).to.not.equal(0x10);
+      var commands = DecodeCommands(buf, 'vicon');
+      expect(commands.length).to.equal(1);
+      expect(commands[0].pan).to.equal('left');
+      expect(commands[0].pan_speed).to.equal(0x7FF);
+      expect(commands[0].preset_action).to.be.undefined;
+    });
+
+    it("returns null for commands that cannot be sent", function() {
+      expect(encoder.encode_vicon({ camera: 256, pan: 'left' })).to.be.null;
+      expect(encoder.encode_vicon({ camera: 1, preset_action: 'set', preset: 1 })).to.be.null;
+      expect(encoder.encode_vicon({ camera: 1, aux_action: 'on', aux: 1 })).to.be.null;
+    });
+  });
+
+  describe("JVC", function() {
+    it("encodes 6 and 7 byte commands", function() {
+      expect(encoder.encode_jvc({ camera: 3, pan: 'left', pan_speed: 0x20 }))
+        .to.deep.equal(new Buffer([0xB1,0x01,0x03,0x83,0x45,0x01,0x20]));
+      expect(encoder.encode_jvc({ camera: 3, zoom: 'stop' }))
+        .to.deep.equal(new Buffer([0xB1,0x01,0x03,0x82,0x45,0x0E]));
+      expect(encoder.encode_jvc_command(3, 'backlight_on'))
+        .to.deep.equal(new Buffer([0xB1,0x01,0x03,0x83,0x42,0x15,0x01]));
+    });
+
+    it("round trips through the decoder", function() {
+      var sent = { camera: 9, pan: 'right', pan_speed: 0x40, tilt: 'down', tilt_speed: 0x10, zoom: 'in', zoom_speed: 5, focus: 'auto', iris: 'auto' };
+      var commands = DecodeCommands(encoder.encode(Object.assign({ protocol: 'jvc' }, sent)), 'jvc');
+      expect(commands.length).to.equal(5);
+      var received = Object.assign.apply(null, [{}].concat(commands));
+      for (var key in sent) expect(received[key]).to.equal(sent[key]);
+
+      commands = DecodeCommands(encoder.encode_jvc({ camera: 9, preset_action: 'set', preset: 12 }), 'jvc');
+      expect(commands[0].preset_action).to.equal('set');
+      expect(commands[0].preset).to.equal(12);
+    });
+
+    it("returns null for commands that cannot be sent", function() {
+      expect(encoder.encode_jvc({ camera: 0xB1, pan: 'left' })).to.be.null;
+      expect(encoder.encode_jvc({ camera: 1, preset_action: 'clear', preset: 1 })).to.be.null;
+      expect(encoder.encode_jvc_command(1, 'power_on')).to.be.null;
+    });
+  });
+});
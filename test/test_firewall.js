@@ -0,0 +1,128 @@
+// Mocha tests
+
+var expect    = require("chai").expect;
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var PelcoD_Decoder = require("../pelcod_decoder.js").PelcoD_Decoder;
+var PelcoD_Encoder = require("../pelcod_encoder.js").PelcoD_Encoder;
+var PelcoD_Firewall = require("../pelcod_firewall.js").PelcoD_Firewall;
+
+var encoder = new PelcoD_Encoder();
+
+// Decode a Pelco D command so it has its bytes
+function PelcoD(command)
+{
+   var result;
+   var decoder = new PelcoD_Decoder({ protocols: ['pelco_d'] });
+   decoder.on('command', function(decoded) { result = decoded; });
+   decoder.processBuffer(encoder.encode_pelco_d(command));
+   return result;
+}
+
+function At(hours, minutes)
+{
+   return new Date(2018, 5, 1, hours, minutes);
+}
+
+describe("Command Firewall", function() {
+
+  it("allows commands when no rule matches", function() {
+    var firewall = new PelcoD_Firewall({ rules: [{ type: 'deny', cameras: [2] }] });
+    var command = PelcoD({ camera: 1, pan: 'left', pan_speed: 0x20 });
+    var result = firewall.processCommand(command, 'COM1', At(12, 0));
+    expect(result.allowed).to.equal(true);
+    expect(result.bytes).to.deep.equal(command.bytes);
+  });
+
+  it("denies preset store and clear from one source and logs the rule", function() {
+    var firewall = new PelcoD_Firewall({ rules: [
+      { name: 'no preset changes', type: 'deny', source: 'dvr', match: { preset_action: ['set', 'clear'] } }
+    ] });
+    var blocked = [];
+    firewall.on('blocked', function(event) { blocked.push(event); });
+
+    expect(firewall.processCommand(PelcoD({ camera: 1, preset_action: 'set', preset: 3 }), 'dvr').allowed).to.equal(false);
+    expect(firewall.processCommand(PelcoD({ camera: 1, preset_action: 'goto', preset: 3 }), 'dvr').allowed).to.equal(true);
+    expect(firewall.processCommand(PelcoD({ camera: 1, preset_action: 'clear', preset: 3 }), 'keyboard').allowed).to.equal(true);
+    expect(blocked.length).to.equal(1);
+    expect(blocked[0].rule.name).to.equal('no preset changes');
+    expect(blocked[0].source).to.equal('dvr');
+    expect(blocked[0].reason).to.equal('denied');
+  });
+
+  it("locks a camera to one controller during the time window", function() {
+    var firewall = new PelcoD_Firewall({ rules: [{ type: 'lock', cameras: [5], source: 'control_room', from: '08:00', to: '18:00' }] });
+    var command = PelcoD({ camera: 5, tilt: 'up', tilt_speed: 0x10 });
+    expect(firewall.processCommand(command, 'control_room', At(9, 0)).allowed).to.equal(true);
+    var result = firewall.processCommand(command, 'dvr', At(9, 0));
+    expect(result.allowed).to.equal(false);
+    expect(result.rule.name).to.equal('rule 1');
+    expect(result.reason).to.equal('camera locked to control_room');
+    expect(firewall.processCommand(command, 'dvr', At(18, 0)).allowed).to.equal(true);
+    expect(firewall.processCommand(PelcoD({ camera: 6, pan: 'left' }), 'dvr', At(9, 0)).allowed).to.equal(true);
+  });
+
+  it("caps the pan and tilt speed and re-encodes the command", function() {
+    var firewall = new PelcoD_Firewall({ rules: [{ type: 'speed_limit', max_pan_speed: 0x10, max_tilt_speed: 0x20 }] });
+    var rewritten = [];
+    firewall.on('rewritten', function(event) { rewritten.push(event); });
+
+    var result = firewall.processCommand(PelcoD({ camera: 1, pan: 'right', pan_speed: 0x3F, tilt: 'down', tilt_speed: 0x08 }), 'COM1');
+    expect(result.allowed).to.equal(true);
+    expect(result.bytes).to.deep.equal(encoder.encode_pelco_d({ camera: 1, pan: 'right', pan_speed: 0x10, tilt: 'down', tilt_speed: 0x08 }));
+    expect(rewritten.length).to.equal(1);
+
+    var command = PelcoD({ camera: 1, pan: 'right', pan_speed: 0x05 });
+    expect(firewall.processCommand(command, 'COM1').bytes).to.equal(command.bytes);
+    expect(rewritten.length).to.equal(1);
+  });
+
+  it("blocks privacy zone cameras outside working hours", function() {
+    var firewall = new PelcoD_Firewall({ rules: [{ type: 'privacy', cameras: [7], working_hours: { from: '07:30', to: '19:00' } }] });
+    var command = PelcoD({ camera: 7, preset_action: 'goto', preset: 1 });
+    expect(firewall.processCommand(command, 'COM1', At(7, 30)).allowed).to.equal(true);
+    expect(firewall.processCommand(command, 'COM1', At(7, 29)).allowed).to.equal(false);
+    expect(firewall.processCommand(command, 'COM1', At(23, 0)).reason).to.equal('outside working hours');
+  });
+
+  it("uses time windows that pass midnight", function() {
+    var firewall = new PelcoD_Firewall({ rules: [{ type: 'deny', from: '22:00', to: '06:00' }] });
+    var command = PelcoD({ camera: 1, pan: 'left' });
+    expect(firewall.processCommand(command, 'COM1', At(23, 0)).allowed).to.equal(false);
+    expect(firewall.processCommand(command, 'COM1', At(5, 59)).allowed).to.equal(false);
+    expect(firewall.processCommand(command, 'COM1', At(12, 0)).allowed).to.equal(true);
+  });
+
+  it("rejects bad rules", function() {
+    expect(function() { new PelcoD_Firewall({ rules: [{ type: 'allow' }] }); }).to.throw('Unknown type allow in rule 1');
+    expect(function() { new PelcoD_Firewall({ rules: [{ type: 'lock', cameras: [1] }] }); }).to.throw('A lock needs a source');
+    expect(function() { new PelcoD_Firewall({ rules: [{ name: 'night', type: 'deny', from: '25:00' }] }); }).to.throw('Times must be HH:MM in night');
+    expect(function() { new PelcoD_Firewall({ rules: [{ name: 'night', type: 'deny', from: '24:30' }] }); }).to.throw('Times must be HH:MM in night');
+    expect(new PelcoD_Firewall({ rules: [{ type: 'deny', from: '22:00', to: '24:00' }] }).rules.length).to.equal(1);
+    expect(function() { new PelcoD_Firewall({ rules: [{ type: 'privacy', cameras: [1] }] }); }).to.throw('working_hours');
+  });
+
+  it("loads the rules from a file and keeps them when the new file is bad", function() {
+    var filename = path.join(os.tmpdir(), 'pelcod_firewall_test_' + process.pid + '.json');
+    fs.writeFileSync(filename, JSON.stringify({ rules: [{ type: 'deny', cameras: [1] }] }));
+    try {
+      var firewall = new PelcoD_Firewall({ rules_file: filename });
+      var logs = [];
+      firewall.on('log', function(message) { logs.push(message); });
+      expect(firewall.rules.length).to.equal(1);
+
+      fs.writeFileSync(filename, JSON.stringify({ rules: [{ type: 'deny', cameras: [1] }, { type: 'deny', cameras: [2] }] }));
+      firewall.reload();
+      expect(firewall.rules.length).to.equal(2);
+      expect(logs[0]).to.equal('Loaded 2 rules from ' + filename);
+
+      fs.writeFileSync(filename, '{ "rules": [');
+      firewall.reload();
+      expect(firewall.rules.length).to.equal(2);
+      expect(logs[1]).to.contain('Keeping the old rules');
+    } finally {
+      fs.unlinkSync(filename);
+    }
+  });
+});
@@ -0,0 +1,137 @@
+// Mocha tests
+
+var expect    = require("chai").expect;
+var PelcoD_Gateway = require("../pelcod_gateway.js").PelcoD_Gateway;
+var PelcoD_Decoder = require("../pelcod_decoder.js").PelcoD_Decoder;
+
+// Pass bytes through a gateway and return the Buffers it sends and the commands it cannot send
+function Translate(gateway, bytes)
+{
+   var result = { sent: [], unsupported: [] };
+   gateway.on('data',function(buffer) {
+      result.sent.push(buffer);
+   });
+   gateway.on('unsupported',function(command) {
+      result.unsupported.push(command);
+   });
+   gateway.processBuffer(bytes);
+   return result;
+}
+
+// Decode bytes with a new decoder and return the structured commands from 'protocol'
+function DecodeCommands(bytes,protocol)
+{
+   var results = [];
+   var decoder = new PelcoD_Decoder();
+   decoder.on('command',function(command) {
+      if (command.protocol == protocol) results.push(command);
+   });
+   decoder.processBuffer(bytes);
+   decoder.flush();
+   return results;
+}
+
+describe("Protocol Gateway", function() {
+
+  it("translates Pelco D to Bosch", function() {
+    var result = Translate(new PelcoD_Gateway('pelco_d', 'bosch'), [0xFF,0x01,0x00,0x04,0x3F,0x00,0x44]);
+    expect(result.sent.length).to.equal(1);
+    var commands = DecodeCommands(result.sent[0], 'bosch');
+    expect(commands[0].camera).to.equal(1);
+    expect(commands[0].pan).to.equal('left');
+    expect(commands[0].pan_speed).to.equal(15);
+  });
+
+  it("remaps camera numbers and scales speeds", function() {
+    var result = Translate(new PelcoD_Gateway('pelco_d', 'visca', { 1: 3 }), [0xFF,0x01,0x00,0x10,0x00,0x3F,0x50]);
+    var commands = DecodeCommands(result.sent[0], 'visca');
+    expect(commands[0].camera).to.equal(3);
+    expect(commands[0].tilt).to.equal('down');
+    expect(commands[0].tilt_speed).to.equal(0x14);
+  });
+
+  it("does not turn slow speeds into 0", function() {
+    var result = Translate(new PelcoD_Gateway('pelco_d', 'bosch'), [0xFF,0x01,0x00,0x04,0x01,0x00,0x06]);
+    var commands = DecodeCommands(result.sent[0], 'bosch');
+    expect(commands[0].pan).to.equal('left');
+    expect(commands[0].pan_speed).to.equal(1);
+    expect(new PelcoD_Gateway('pelco_d', 'bosch').scale_speed('pan_speed', 0)).to.equal(0);
+  });
+
+  it("only sends the axes that are moving or have changed", function() {
+    var gateway = new PelcoD_Gateway('pelco_d', 'visca');
+    var pan_left = [0xFF,0x01,0x00,0x04,0x3F,0x00,0x44];
+    var stop = [0xFF,0x01,0x00,0x00,0x00,0x00,0x01];
+    var result = Translate(gateway, pan_left.concat(pan_left, stop, stop));
+
+    // The first command also stops Zoom and Focus. After that only Pan and Tilt are sent until the final repeated Stop
+    var counts = result.sent.map(function(buffer) { return DecodeCommands(buffer, 'visca').length; });
+    expect(counts).to.deep.equal([3, 1, 1]);
+    var commands = DecodeCommands(result.sent[2], 'visca');
+    expect(commands[0].pan).to.equal('stop');
+    expect(result.unsupported.length).to.equal(0);
+  });
+
+  it("translates presets", function() {
+    var result = Translate(new PelcoD_Gateway('pelco_d', 'forward_vision', { 2: 9 }), [0xFF,0x02,0x00,0x07,0x00,0x05,0x0E]);
+    var commands = DecodeCommands(result.sent[0], 'forward_vision');
+    expect(commands[0].camera).to.equal(9);
+    expect(commands[0].preset_action).to.equal('goto');
+    expect(commands[0].preset).to.equal(5);
+  });
+
+  it("reports commands that cannot be sent", function() {
+    // Pelco D Start Tour 1 cannot be sent as Bosch
+    var result = Translate(new PelcoD_Gateway('pelco_d', 'bosch'), [0xFF,0x01,0x00,0x23,0x00,0x01,0x25]);
+    expect(result.sent.length).to.equal(0);
+    expect(result.unsupported.length).to.equal(1);
+    expect(result.unsupported[0].tour_action).to.equal('start');
+  });
+
+  it("still sends a stop after a command that could not be sent", function() {
+    var gateway = new PelcoD_Gateway('pelco_d', 'bosch');
+    var result = Translate(gateway, []);
+
+    // A stop with a Tour cannot be sent as Bosch, so the camera has not been told to stop
+    gateway.translate({ protocol: 'pelco_d', camera: 1, pan: 'stop', tilt: 'stop', tour_action: 'start', tour: 1, text: 'Tour' });
+    expect(result.unsupported.length).to.equal(1);
+
+    gateway.processBuffer([0xFF,0x01,0x00,0x00,0x00,0x00,0x01]);
+    expect(result.sent.length).to.equal(1);
+    expect(DecodeCommands(result.sent[0], 'bosch')[0].pan).to.equal('stop');
+  });
+
+  it("passes Pelco D position messages and responses to Pelco D", function() {
+    // Query Pan Position, Set Tilt Position 10.00 DEG, a General Response and Pan Position Response 90.00 DEG
+    var query = [0xFF,0x01,0x00,0x51,0x00,0x00,0x52];
+    var set = [0xFF,0x01,0x00,0x4D,0x03,0xE8,0x39];
+    var response = [0xFF,0x01,0x00,0x59,0x23,0x28,0xA5];
+    var general = [0xFF,0x01,0x00,0x01];
+    var result = Translate(new PelcoD_Gateway('pelco_d', 'pelco_d', { 1: 4 }), query.concat(set, general, response));
+    expect(result.unsupported.length).to.equal(0);
+    var commands = result.sent.map(function(buffer) { return DecodeCommands(buffer, 'pelco_d')[0]; });
+    expect(commands.length).to.equal(4);
+    expect(commands.map(function(command) { return command.camera; })).to.deep.equal([4, 4, 4, 4]);
+    expect(commands[0].position_action).to.equal('query');
+    expect(commands[0].position_axis).to.equal('pan');
+    expect(commands[1].position_action).to.equal('set');
+    expect(commands[1].position_axis).to.equal('tilt');
+    expect(commands[1].position_value).to.equal(1000);
+    expect(commands[2].ack).to.equal(true);
+    expect(commands[3].position_action).to.equal('response');
+    expect(commands[3].position_value).to.equal(9000);
+  });
+
+  it("reports position messages for other protocols as unsupported", function() {
+    var result = Translate(new PelcoD_Gateway('pelco_d', 'visca'), [0xFF,0x01,0x00,0x51,0x00,0x00,0x52]);
+    expect(result.sent.length).to.equal(0);
+    expect(result.unsupported.length).to.equal(1);
+    expect(result.unsupported[0].position_action).to.equal('query');
+  });
+
+  it("ignores other protocols", function() {
+    var result = Translate(new PelcoD_Gateway('pelco_p', 'bosch'), [0xFF,0x01,0x00,0x04,0x3F,0x00,0x44]);
+    expect(result.sent.length).to.equal(0);
+    expect(result.unsupported.length).to.equal(0);
+  });
+});
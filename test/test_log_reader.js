@@ -0,0 +1,79 @@
+// Mocha tests
+
+var expect    = require("chai").expect;
+var parse_hex = require("../pelcod_log_reader.js").parse_hex;
+var parse_log_line = require("../pelcod_log_reader.js").parse_log_line;
+var parse_log_lines = require("../pelcod_log_reader.js").parse_log_lines;
+
+describe("Log Reader", function() {
+
+  it("reads hex in common notations", function() {
+    var pan_left = [0xFF,0x01,0x00,0x04,0x20,0x00,0x25];
+    expect(parse_hex('FF 01 00 04 20 00 25')).to.deep.equal(pan_left);
+    expect(parse_hex('ff010004200025')).to.deep.equal(pan_left);
+    expect(parse_hex('[ff][01][00][04][20][00][25]')).to.deep.equal(pan_left);
+    expect(parse_hex('0xFF,0x01,0x00,0x04,0x20,0x00,0x25')).to.deep.equal(pan_left);
+    expect(parse_hex('FF:01:00:04 2000 25')).to.deep.equal(pan_left);
+  });
+
+  it("rejects text that is not hex", function() {
+    expect(parse_hex('')).to.be.null;
+    expect(parse_hex('Log File Open')).to.be.null;
+    expect(parse_hex('FF0')).to.be.null;
+  });
+
+  it("reads Rx lines from the log files", function() {
+    expect(parse_log_line('14:02:31.250Rx[ff][01][00][04][20][00][25]\r')).to.deep.equal(
+      { time: 50551250, label: undefined, bytes: [0xFF,0x01,0x00,0x04,0x20,0x00,0x25] });
+    expect(parse_log_line('00:00:01.005[192.168.1.20:5000] Rx[a0][00]')).to.deep.equal(
+      { time: 1005, label: '192.168.1.20:5000', bytes: [0xA0,0x00] });
+  });
+
+  it("skips decoded lines and messages", function() {
+    expect(parse_log_line('14:02:31.251=>[ff][01][00][04][20][00][25] D Camera 1 [PAN LEFT (32)]')).to.be.null;
+    expect(parse_log_line('Log File Open (log_2018_01_01_10_00_00.txt)')).to.be.null;
+    expect(parse_log_line('# FF 01')).to.be.null;
+    expect(parse_log_line('')).to.be.null;
+  });
+
+  it("reads hex dump lines", function() {
+    expect(parse_log_line('FF 01 00 00 00 00 01')).to.deep.equal({ time: undefined, label: undefined, bytes: [0xFF,0x01,0x00,0x00,0x00,0x00,0x01] });
+  });
+
+  it("reads xxd output", function() {
+    var result = parse_log_lines([
+      '00000000: ff01 0004 2000 25ff 0100 0000 0000 01ff  .... .%.........',
+      '00000010: 0100 0000 0001                           ......'
+    ]);
+    expect(result.skipped).to.deep.equal([]);
+    expect(result.entries.map(entry => entry.bytes)).to.deep.equal([
+      [0xFF,0x01,0x00,0x04,0x20,0x00,0x25,0xFF,0x01,0x00,0x00,0x00,0x00,0x00,0x01,0xFF],
+      [0x01,0x00,0x00,0x00,0x00,0x01]
+    ]);
+  });
+
+  it("reads hexdump -C output", function() {
+    var result = parse_log_lines([
+      '00000000  ff 01 00 04 20 00 25 ff  01 00 00 00 00 00 01 ff  |.... .%.........|',
+      '00000010  01 00 00 00 00 01                                 |......|',
+      '00000016'
+    ]);
+    expect(result.skipped).to.deep.equal([]);
+    expect(result.entries.map(entry => entry.bytes)).to.deep.equal([
+      [0xFF,0x01,0x00,0x04,0x20,0x00,0x25,0xFF,0x01,0x00,0x00,0x00,0x00,0x00,0x01,0xFF],
+      [0x01,0x00,0x00,0x00,0x00,0x01]
+    ]);
+  });
+
+  it("reports the lines it cannot read", function() {
+    var result = parse_log_lines([
+      '# capture from the site',
+      '14:02:31.250Rx[ff][01][00][04][20][00][25]',
+      '14:02:31.251=>[ff][01][00][04][20][00][25] D Camera 1 [PAN LEFT (32)]',
+      'cable unplugged here',
+      ''
+    ]);
+    expect(result.entries.length).to.equal(1);
+    expect(result.skipped).to.deep.equal([{ line_number: 4, text: 'cable unplugged here' }]);
+  });
+});
@@ -0,0 +1,111 @@
+// Mocha tests
+
+var expect    = require("chai").expect;
+var EventEmitter = require('events');
+var PelcoD_PassThrough = require("../pelcod_passthrough.js").PelcoD_PassThrough;
+var PelcoD_Firewall = require("../pelcod_firewall.js").PelcoD_Firewall;
+
+// Stands in for a Serial Port
+function FakePort()
+{
+   var port = new EventEmitter();
+   port.sent = [];
+   port.write = function(buffer) { port.sent = port.sent.concat(Array.from(buffer)); };
+   return port;
+}
+
+describe("Pass-through Tap", function() {
+
+  it("passes bytes unchanged in both directions", function() {
+    var keyboard = FakePort();
+    var camera = FakePort();
+    new PelcoD_PassThrough(keyboard, camera);
+
+    // A partial message and a byte that is not part of any protocol are passed on as they are
+    keyboard.emit('data', Buffer.from([0xFF,0x01,0x00,0x04]));
+    keyboard.emit('data', Buffer.from([0x20,0x00,0x25,0x42]));
+    camera.emit('data', Buffer.from([0x90,0x41,0xFF]));
+    expect(camera.sent).to.deep.equal([0xFF,0x01,0x00,0x04,0x20,0x00,0x25,0x42]);
+    expect(keyboard.sent).to.deep.equal([0x90,0x41,0xFF]);
+  });
+
+  it("decodes each direction with its own decoder", function() {
+    var keyboard = FakePort();
+    var camera = FakePort();
+    var tap = new PelcoD_PassThrough(keyboard, camera, { protocols: ['pelco_d', 'visca'] });
+    var commands = [];
+    var logs = [];
+    tap.on('command', function(label, command) { commands.push({ label: label, command: command }); });
+    tap.on('log', function(label, message) { logs.push(label); });
+
+    // Half a command from each side must not be joined together
+    keyboard.emit('data', Buffer.from([0xFF,0x01,0x00]));
+    camera.emit('data', Buffer.from([0x90,0x41]));
+    keyboard.emit('data', Buffer.from([0x04,0x20,0x00,0x25]));
+    camera.emit('data', Buffer.from([0xFF]));
+
+    expect(commands.length).to.equal(2);
+    expect(commands[0].label).to.equal('keyboard->camera');
+    expect(commands[0].command.pan).to.equal('left');
+    expect(commands[1].label).to.equal('camera->keyboard');
+    expect(commands[1].command.reply).to.equal('ack');
+    expect(logs).to.deep.equal(['keyboard->camera', 'camera->keyboard']);
+  });
+
+  it("reports the bytes received on each side", function() {
+    var tap = new PelcoD_PassThrough(FakePort(), FakePort());
+    var received = [];
+    tap.on('rx', function(label, buffer) { received.push([label, Array.from(buffer)]); });
+    tap.processBuffer('camera', Buffer.from([0x01,0x02]));
+    expect(received).to.deep.equal([['camera->keyboard', [0x01,0x02]]]);
+  });
+
+  it("only sends the commands the firewall allows to the cameras", function() {
+    var keyboard = FakePort();
+    var camera = FakePort();
+    var firewall = new PelcoD_Firewall({ rules: [{ type: 'deny', source: 'COM1', match: { preset_action: 'set' } }] });
+    new PelcoD_PassThrough(keyboard, camera, { protocols: ['pelco_d'], firewall: firewall, source: 'COM1' });
+
+    keyboard.emit('data', Buffer.from([0xFF,0x01,0x00,0x03,0x00,0x01,0x05]));  // Set Preset 1
+    keyboard.emit('data', Buffer.from([0xFF,0x01,0x00,0x07,0x00,0x01,0x09]));  // Goto Preset 1
+    camera.emit('data', Buffer.from([0xFF,0x01,0x00,0x01]));
+    expect(camera.sent).to.deep.equal([0xFF,0x01,0x00,0x07,0x00,0x01,0x09]);
+    expect(keyboard.sent).to.deep.equal([0xFF,0x01,0x00,0x01]);
+  });
+
+  it("shares one firewall between keyboards so a lock gives a camera to one of them", function() {
+    var camera = FakePort();
+    var control_room = FakePort();
+    var dvr = FakePort();
+    var firewall = new PelcoD_Firewall({ rules: [{ type: 'lock', cameras: [5], source: 'control_room' }] });
+    new PelcoD_PassThrough(control_room, camera, { protocols: ['pelco_d'], firewall: firewall, source: 'control_room' });
+    new PelcoD_PassThrough(dvr, camera, { protocols: ['pelco_d'], firewall: firewall, source: 'dvr' });
+
+    dvr.emit('data', Buffer.from([0xFF,0x05,0x00,0x04,0x20,0x00,0x29]));          // Camera 5 Pan Left is blocked
+    dvr.emit('data', Buffer.from([0xFF,0x06,0x00,0x04,0x20,0x00,0x2A]));          // Camera 6 Pan Left
+    control_room.emit('data', Buffer.from([0xFF,0x05,0x00,0x04,0x20,0x00,0x29])); // Camera 5 Pan Left
+    expect(camera.sent).to.deep.equal([0xFF,0x06,0x00,0x04,0x20,0x00,0x2A, 0xFF,0x05,0x00,0x04,0x20,0x00,0x29]);
+  });
+
+  it("needs one protocol for the firewall", function() {
+    // With every protocol VCL finds a phantom command in the last 2 bytes of a Pelco P message
+    var firewall = new PelcoD_Firewall({ rules: [] });
+    expect(function() { new PelcoD_PassThrough(FakePort(), FakePort(), { firewall: firewall }); }).to.throw('one protocol');
+    expect(function() { new PelcoD_PassThrough(FakePort(), FakePort(), { protocols: ['pelco_p', 'vcl'], firewall: firewall }); }).to.throw('one protocol');
+  });
+
+  it("logs the keyboard bytes the firewall drops", function() {
+    var keyboard = FakePort();
+    var camera = FakePort();
+    var firewall = new PelcoD_Firewall({ rules: [] });
+    var tap = new PelcoD_PassThrough(keyboard, camera, { protocols: ['pelco_p'], firewall: firewall });
+    var logs = [];
+    tap.on('log', function(label, message) { logs.push(message); });
+
+    keyboard.emit('data', Buffer.from([0x12,0x34,0xA0,0x00,0x00,0x04]));
+    keyboard.emit('data', Buffer.from([0x20,0x00,0xAF,0x2B]));
+    expect(camera.sent).to.deep.equal([0xA0,0x00,0x00,0x04,0x20,0x00,0xAF,0x2B]);
+    expect(logs).to.include('Dropped 2 bytes that are not a command: 12 34');
+    expect(tap.pending).to.deep.equal([]);
+  });
+});
@@ -0,0 +1,104 @@
+// Mocha tests
+
+var expect    = require("chai").expect;
+var PelcoD_Decoder = require("../pelcod_decoder.js").PelcoD_Decoder;
+var PelcoD_Encoder = require("../pelcod_encoder.js").PelcoD_Encoder;
+var PelcoD_Responder = require("../pelcod_responder.js").PelcoD_Responder;
+
+var encoder = new PelcoD_Encoder();
+
+// Decode bytes and return the replies from the responder (null when nothing is sent)
+function Replies(responder, bytes, now)
+{
+   var replies = [];
+   var decoder = new PelcoD_Decoder({ protocols: ['pelco_d', 'visca'] });
+   decoder.on('command', function(command) {
+      replies.push(responder.processCommand(command, now));
+   });
+   decoder.processBuffer(bytes);
+   return replies;
+}
+
+describe("Pelco D / VISCA Responder", function() {
+
+  it("sends the Pelco D General Response after a command", function() {
+    var responder = new PelcoD_Responder({ cameras: [1] });
+    var replies = Replies(responder, [0xFF,0x01,0x00,0x04,0x20,0x00,0x25], 0);
+    expect(replies).to.deep.equal([new Buffer([0xFF,0x01,0x00,0x01])]);
+  });
+
+  it("answers Pelco D position queries from the dead reckoned position", function() {
+    var responder = new PelcoD_Responder({ cameras: [1] });
+    Replies(responder, encoder.encode_pelco_d({ camera: 1, pan: 'right', pan_speed: 0x3F, tilt: 'down', tilt_speed: 0x3F }), 0);
+    Replies(responder, encoder.encode_pelco_d({ camera: 1, pan: 'stop', tilt: 'stop' }), 500);
+
+    var pan = Replies(responder, encoder.encode_pelco_d_position(1, 'query', 'pan'), 1000)[0];
+    expect(pan).to.deep.equal(encoder.encode_pelco_d_position(1, 'response', 'pan', 5000));
+    // 30 degrees below the horizon is sent as 330 degrees
+    var tilt = Replies(responder, encoder.encode_pelco_d_position(1, 'query', 'tilt'), 1000)[0];
+    expect(tilt).to.deep.equal(encoder.encode_pelco_d_position(1, 'response', 'tilt', 33000));
+    var zoom = Replies(responder, encoder.encode_pelco_d_position(1, 'query', 'zoom'), 1000)[0];
+    expect(zoom).to.deep.equal(encoder.encode_pelco_d_position(1, 'response', 'zoom', 0));
+  });
+
+  it("only answers for the configured cameras", function() {
+    var responder = new PelcoD_Responder({ cameras: [2, 3] });
+    expect(Replies(responder, encoder.encode_pelco_d_position(1, 'query', 'pan'), 0)).to.deep.equal([null]);
+    expect(Replies(responder, encoder.encode_visca_inquiry(1, 'power'), 0)).to.deep.equal([null]);
+    expect(Replies(responder, encoder.encode_visca_inquiry(2, 'power'), 0)).to.deep.equal([new Buffer([0xA0,0x50,0x02,0xFF])]);
+  });
+
+  it("does not answer replies from other cameras", function() {
+    var responder = new PelcoD_Responder();
+    expect(Replies(responder, encoder.encode_pelco_d_position(1, 'response', 'pan', 100), 0)).to.deep.equal([null]);
+    expect(Replies(responder, encoder.encode_visca_reply(1, 'ack', 1), 0)).to.deep.equal([null]);
+  });
+
+  it("sends VISCA ACK and Completion for commands", function() {
+    var responder = new PelcoD_Responder({ cameras: [1] });
+    var replies = Replies(responder, encoder.encode_visca_command(1, 'home'), 0);
+    expect(replies).to.deep.equal([new Buffer([0x90,0x41,0xFF,0x90,0x51,0xFF])]);
+    replies = Replies(responder, encoder.encode_visca_command(1, 'if_clear'), 0);
+    expect(replies).to.deep.equal([new Buffer([0x90,0x50,0xFF])]);
+    replies = Replies(responder, [0x81,0x21,0xFF], 0);
+    expect(replies).to.deep.equal([new Buffer([0x90,0x61,0x05,0xFF])]);
+  });
+
+  it("answers VISCA inquiries with the camera settings and position", function() {
+    var responder = new PelcoD_Responder({ cameras: [1] });
+    Replies(responder, encoder.encode_visca_command(1, 'power_off'), 0);
+    expect(Replies(responder, encoder.encode_visca_inquiry(1, 'power'), 0)).to.deep.equal([new Buffer([0x90,0x50,0x03,0xFF])]);
+
+    // Pan Left for 0.3 seconds is 30 degrees, which is -400 steps of 0.075 degrees
+    Replies(responder, encoder.encode_visca({ camera: 1, pan: 'left', pan_speed: 0x18, tilt: 'stop' }), 0);
+    Replies(responder, encoder.encode_visca({ camera: 1, pan: 'stop', tilt: 'stop' }), 300);
+    var reply = Replies(responder, encoder.encode_visca_inquiry(1, 'pan_tilt_position'), 1000)[0];
+    expect(reply).to.deep.equal(encoder.encode_visca_inquiry_reply(1, 'pan_tilt_position', { pan: -400, tilt: 0 }));
+  });
+
+  it("answers VISCA inquiries with the position after an absolute move and Zoom Direct", function() {
+    var responder = new PelcoD_Responder({ cameras: [1] });
+    // Absolute Move to Pan -400 and Tilt 200 then Zoom Direct 0x1000
+    Replies(responder, [0x81,0x01,0x06,0x02,0x18,0x14,0x0F,0x0E,0x07,0x00,0x00,0x00,0x0C,0x08,0xFF], 0);
+    Replies(responder, [0x81,0x01,0x04,0x47,0x01,0x00,0x00,0x00,0xFF], 0);
+    var reply = Replies(responder, encoder.encode_visca_inquiry(1, 'pan_tilt_position'), 1000)[0];
+    expect(reply).to.deep.equal(encoder.encode_visca_inquiry_reply(1, 'pan_tilt_position', { pan: -400, tilt: 200 }));
+    reply = Replies(responder, encoder.encode_visca_inquiry(1, 'zoom_position'), 1000)[0];
+    expect(reply).to.deep.equal(encoder.encode_visca_inquiry_reply(1, 'zoom_position', 0x1000));
+  });
+
+  it("answers VISCA Address Set with the next free address", function() {
+    var replies = Replies(new PelcoD_Responder({ cameras: [1, 2, 3] }), encoder.encode_visca_address_set(), 0);
+    expect(replies).to.deep.equal([new Buffer([0x88,0x30,0x04,0xFF])]);
+    replies = Replies(new PelcoD_Responder(), encoder.encode_visca_address_set(), 0);
+    expect(replies).to.deep.equal([new Buffer([0x88,0x30,0x02,0xFF])]);
+    // The reply from the last camera is not answered
+    replies = Replies(new PelcoD_Responder(), encoder.encode_visca_address_set(2), 0);
+    expect(replies).to.deep.equal([null]);
+  });
+
+  it("sends a VISCA Syntax Error for unknown inquiries", function() {
+    var responder = new PelcoD_Responder();
+    expect(Replies(responder, [0x81,0x09,0x7E,0x7E,0x00,0xFF], 0)).to.deep.equal([new Buffer([0x90,0x60,0x02,0xFF])]);
+  });
+});
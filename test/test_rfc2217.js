@@ -0,0 +1,68 @@
+// Mocha tests
+
+var expect    = require("chai").expect;
+var EventEmitter = require('events');
+var PelcoD_RFC2217 = require("../pelcod_rfc2217.js").PelcoD_RFC2217;
+
+// Stands in for the net.Socket connected to the Serial Device Server
+function FakeSocket()
+{
+   var socket = new EventEmitter();
+   socket.sent = [];
+   socket.write = function(buffer) { socket.sent.push(Array.from(buffer)); };
+   return socket;
+}
+
+describe("RFC 2217 Client", function() {
+
+  it("negotiates Com Port Control and sets the serial port", function() {
+    var socket = FakeSocket();
+    new PelcoD_RFC2217(socket, { baud: 9600, data_bits: 8, parity: 'even', stop_bits: 1 });
+    expect(socket.sent[0]).to.deep.equal([0xFF,0xFB,0x2C]);
+    expect(socket.sent.slice(-4)).to.deep.equal([[0xFF,0xFA,0x2C,0x01,0x00,0x00,0x25,0x80,0xFF,0xF0],
+                                                 [0xFF,0xFA,0x2C,0x02,0x08,0xFF,0xF0],
+                                                 [0xFF,0xFA,0x2C,0x03,0x03,0xFF,0xF0],
+                                                 [0xFF,0xFA,0x2C,0x04,0x01,0xFF,0xF0]]);
+  });
+
+  it("removes Telnet commands from the serial port data", function() {
+    var socket = FakeSocket();
+    var client = new PelcoD_RFC2217(socket, {});
+    var data = [];
+    client.on('data', function(buffer) { data = data.concat(Array.from(buffer)); });
+
+    // IAC IAC is a data byte of 0xFF. The Telnet commands may be split across TCP packets
+    socket.emit('data', Buffer.from([0xFF,0xFF,0x01,0x00,0xFF,0xFD]));
+    socket.emit('data', Buffer.from([0x2C,0x04,0x20,0xFF,0xFA,0x2C,0x6B,0x00,0xFF,0xF0,0x00,0x25]));
+    expect(data).to.deep.equal([0xFF,0x01,0x00,0x04,0x20,0x00,0x25]);
+  });
+
+  it("reports the settings confirmed by the server", function() {
+    var socket = FakeSocket();
+    var client = new PelcoD_RFC2217(socket, {});
+    socket.emit('data', Buffer.from([0xFF,0xFA,0x2C,0x65,0x00,0x00,0x12,0xC0,0xFF,0xF0,
+                                     0xFF,0xFA,0x2C,0x67,0x02,0xFF,0xF0,
+                                     0xFF,0xFA,0x2C,0x68,0x03,0xFF,0xF0]));
+    expect(client.remote_settings).to.deep.equal({ baud: 4800, parity: 'odd', stop_bits: 1.5 });
+  });
+
+  it("answers the server without repeating its own requests", function() {
+    var socket = FakeSocket();
+    var client = new PelcoD_RFC2217(socket, {});
+    socket.sent = [];
+    // Replies to our WILL COM-PORT-OPTION and DO BINARY, then new requests from the server
+    socket.emit('data', Buffer.from([0xFF,0xFD,0x2C, 0xFF,0xFB,0x00, 0xFF,0xFD,0x01, 0xFF,0xFB,0x05]));
+    expect(socket.sent).to.deep.equal([[0xFF,0xFC,0x01],[0xFF,0xFE,0x05]]);
+  });
+
+  it("changes settings at runtime and escapes 0xFF when writing", function() {
+    var socket = FakeSocket();
+    var client = new PelcoD_RFC2217(socket, {});
+    socket.sent = [];
+    client.set_settings({ baud: 2400 });
+    client.write([0xFF,0x01,0x00]);
+    expect(socket.sent).to.deep.equal([[0xFF,0xFA,0x2C,0x01,0x00,0x00,0x09,0x60,0xFF,0xF0],[0xFF,0xFF,0x01,0x00]]);
+    expect(function() { client.set_settings({ parity: 'bad' }); }).to.throw('Invalid parity bad');
+    expect(function() { client.set_settings({ data_bits: 'x' }); }).to.throw('Invalid data bits x');
+  });
+});
@@ -0,0 +1,103 @@
+// Mocha tests
+
+var expect    = require("chai").expect;
+var PelcoD_Simulator = require("../pelcod_simulator.js").PelcoD_Simulator;
+
+describe("Virtual PTZ Simulator", function() {
+
+  it("dead reckons the pan and tilt position from the speed", function() {
+    var simulator = new PelcoD_Simulator();
+    simulator.processBuffer([0xFF,0x01,0x00,0x02,0x3F,0x00,0x42], 0);   // Pan Right full speed
+    expect(simulator.get_position(1, 1000).pan).to.be.closeTo(100, 0.01);
+    simulator.processBuffer([0xFF,0x01,0x00,0x10,0x00,0x1F,0x30], 1000); // Tilt Down half speed
+    var position = simulator.get_position(1, 2000);
+    expect(position.pan).to.be.closeTo(100, 0.01);
+    expect(position.tilt).to.be.closeTo(-60 * 0x1F / 0x3F, 0.01);
+    expect(position.moving).to.equal(true);
+    simulator.processBuffer([0xFF,0x01,0x00,0x00,0x00,0x00,0x01], 2000); // Stop
+    expect(simulator.get_position(1, 5000).moving).to.equal(false);
+  });
+
+  it("wraps pan and limits tilt and zoom", function() {
+    var simulator = new PelcoD_Simulator();
+    simulator.processCommand({ protocol: 'visca', camera: 1, pan: 'left', pan_speed: 0x18, tilt: 'up', tilt_speed: 0x14 }, 0);
+    simulator.processCommand({ protocol: 'visca', camera: 1, zoom: 'in' }, 0);
+    var position = simulator.get_position(1, 10000);
+    expect(position.pan).to.be.closeTo(80, 0.01);  // 1000 degrees left
+    expect(simulator.get_position(1, 10500).pan).to.be.closeTo(30, 0.01);
+    expect(position.tilt).to.equal(90);
+    expect(position.zoom).to.equal(1);
+  });
+
+  it("stores and recalls presets at preset speed", function() {
+    var simulator = new PelcoD_Simulator();
+    simulator.processBuffer([0xFF,0x01,0x00,0x02,0x3F,0x00,0x42], 0);    // Pan Right
+    simulator.processBuffer([0xFF,0x01,0x00,0x00,0x00,0x00,0x01], 900);  // Stop at 90 degrees
+    simulator.processBuffer([0xFF,0x01,0x00,0x03,0x00,0x02,0x06], 1000); // Set Preset 2
+    simulator.processBuffer([0xFF,0x01,0x00,0x04,0x3F,0x00,0x44], 1000); // Pan Left
+    simulator.processBuffer([0xFF,0x01,0x00,0x00,0x00,0x00,0x01], 1900); // Stop at 0 degrees
+    simulator.processBuffer([0xFF,0x01,0x00,0x07,0x00,0x02,0x0A], 2000); // Goto Preset 2
+    expect(simulator.get_position(1, 2100).pan).to.be.closeTo(30, 0.01);
+    var position = simulator.get_position(1, 3000);
+    expect(position.pan).to.be.closeTo(90, 0.01);
+    expect(position.moving).to.equal(false);
+  });
+
+  it("records and plays back tours", function() {
+    var simulator = new PelcoD_Simulator();
+    var logs = [];
+    simulator.on('log', function(message) { logs.push(message); });
+    simulator.processBuffer([0xFF,0x01,0x00,0x1F,0x00,0x01,0x21], 0);    // Start Recording Tour 1
+    simulator.processBuffer([0xFF,0x01,0x00,0x02,0x3F,0x00,0x42], 0);    // Pan Right
+    simulator.processBuffer([0xFF,0x01,0x00,0x00,0x00,0x00,0x01], 500);  // Stop
+    simulator.processBuffer([0xFF,0x01,0x00,0x21,0x00,0x00,0x22], 1000); // Stop Recording
+    expect(simulator.get_position(1, 1000).pan).to.be.closeTo(50, 0.01);
+
+    simulator.processBuffer([0xFF,0x01,0x00,0x23,0x00,0x01,0x25], 2000); // Start Tour 1
+    expect(simulator.get_position(1, 2500).pan).to.be.closeTo(100, 0.01);
+    expect(simulator.get_position(1, 3250).pan).to.be.closeTo(125, 0.01); // second time round
+    expect(simulator.get_position(1, 3250).tour_running).to.equal(1);
+
+    simulator.processBuffer([0xFF,0x01,0x00,0x08,0x00,0x20,0x29], 3250); // Tilt Up stops the tour
+    expect(simulator.get_position(1, 3250).tour_running).to.be.undefined;
+    expect(logs).to.include('Camera 1 running tour 1');
+  });
+
+  it("moves to VISCA absolute, relative and home positions", function() {
+    var simulator = new PelcoD_Simulator();
+    // Absolute Move to Pan 1200 and Tilt 400 (90 and 30 degrees) then Zoom Direct 0x2000
+    simulator.processBuffer([0x81,0x01,0x06,0x02,0x18,0x14,0x00,0x04,0x0B,0x00,0x00,0x01,0x09,0x00,0xFF], 0);
+    simulator.processBuffer([0x81,0x01,0x04,0x47,0x02,0x00,0x00,0x00,0xFF], 0);
+    var position = simulator.get_position(1, 1000);
+    expect(position.pan).to.be.closeTo(90, 0.01);
+    expect(position.tilt).to.be.closeTo(30, 0.01);
+    expect(position.zoom).to.be.closeTo(0.5, 0.001);
+
+    // Relative Move of Pan -600 (45 degrees left)
+    simulator.processBuffer([0x81,0x01,0x06,0x03,0x18,0x14,0x0F,0x0D,0x0A,0x08,0x00,0x00,0x00,0x00,0xFF], 1000);
+    expect(simulator.get_position(1, 2000).pan).to.be.closeTo(45, 0.01);
+
+    simulator.processBuffer([0x81,0x01,0x06,0x04,0xFF], 2000); // Home
+    position = simulator.get_position(1, 3000);
+    expect(position.pan).to.equal(0);
+    expect(position.tilt).to.equal(0);
+    expect(position.zoom).to.be.closeTo(0.5, 0.001);
+  });
+
+  it("does not treat VISCA Focus and Iris Direct as movement", function() {
+    var simulator = new PelcoD_Simulator();
+    simulator.processBuffer([0x81,0x01,0x06,0x01,0x18,0x14,0x02,0x03,0xFF], 0);     // Pan Right full speed
+    simulator.processBuffer([0x81,0x01,0x04,0x48,0x01,0x00,0x00,0x00,0xFF], 500); // Focus Direct
+    simulator.processBuffer([0x81,0x01,0x04,0x4B,0x00,0x00,0x01,0x00,0xFF], 500); // Iris Direct
+    var position = simulator.get_position(1, 1000);
+    expect(position.pan).to.be.closeTo(100, 0.01);
+    expect(position.moving).to.equal(true);
+  });
+
+  it("only simulates the chosen cameras", function() {
+    var simulator = new PelcoD_Simulator({ cameras: [2] });
+    simulator.processBuffer([0xFF,0x01,0x00,0x02,0x3F,0x00,0x42], 0);
+    expect(simulator.get_position(1, 1000)).to.be.undefined;
+    expect(simulator.get_positions(1000)).to.deep.equal([]);
+  });
+});
@@ -0,0 +1,87 @@
+// Mocha tests
+
+var expect    = require("chai").expect;
+var PelcoD_Decoder = require("../pelcod_decoder.js").PelcoD_Decoder;
+var CameraStateTracker = require("../pelcod_state_tracker.js").CameraStateTracker;
+
+// Decode the bytes and return the text of each "change" event
+function Changes(tracker, decoder, bytes)
+{
+   var changes = [];
+   var listener = function(change) { changes.push(change.text); };
+   tracker.on('change', listener);
+   decoder.processBuffer(bytes);
+   tracker.removeListener('change', listener);
+   return changes;
+}
+
+describe("Camera State Tracker", function() {
+
+  it("tracks movement and reports when it starts and stops", function() {
+    var decoder = new PelcoD_Decoder({ protocols: ['pelco_d'] });
+    var tracker = new CameraStateTracker(decoder);
+
+    expect(Changes(tracker, decoder, [0xFF,0x03,0x00,0x04,0x20,0x00,0x27])).to.deep.equal(['camera 3 started panning left']);
+    var state = tracker.get_state('pelco_d', 3);
+    expect(state.pan).to.equal('left');
+    expect(state.pan_speed).to.equal(0x20);
+    expect(state.tilt).to.equal('stop');
+    expect(state.last_command_time).to.be.an.instanceof(Date);
+
+    expect(Changes(tracker, decoder, [0xFF,0x03,0x00,0x04,0x30,0x00,0x37])).to.deep.equal(['camera 3 panning left at speed 48']);
+    expect(Changes(tracker, decoder, [0xFF,0x03,0x00,0x00,0x00,0x00,0x03])).to.deep.equal(['camera 3 stopped panning', 'camera 3 stopped']);
+    expect(tracker.get_state('pelco_d', 3).pan_speed).to.be.undefined;
+  });
+
+  it("tracks presets, aux outputs and tours", function() {
+    var decoder = new PelcoD_Decoder({ protocols: ['pelco_d'] });
+    var tracker = new CameraStateTracker(decoder);
+
+    expect(Changes(tracker, decoder, [0xFF,0x01,0x00,0x03,0x00,0x05,0x09, // Set Preset 5
+                                      0xFF,0x01,0x00,0x07,0x00,0x02,0x0A, // Goto Preset 2
+                                      0xFF,0x01,0x00,0x09,0x00,0x03,0x0D, // Aux 3 On
+                                      0xFF,0x01,0x00,0x1F,0x00,0x01,0x21, // Start Recording Tour 1
+                                      0xFF,0x01,0x00,0x21,0x00,0x00,0x22  // Stop Recording Tour
+                                     ])).to.deep.equal(['camera 1 stored preset 5', 'camera 1 recalled preset 2', 'camera 1 aux 3 on',
+                                                        'camera 1 started recording tour 1', 'camera 1 stopped recording tour']);
+    var state = tracker.get_state('pelco_d', 1);
+    expect(state.last_preset_stored).to.equal(5);
+    expect(state.last_preset_recalled).to.equal(2);
+    expect(state.aux).to.deep.equal({ 3: 'on' });
+    expect(state.tour_recording).to.equal(false);
+  });
+
+  it("keeps each protocol and camera separate", function() {
+    var tracker = new CameraStateTracker();
+    tracker.processCommand({ protocol: 'visca', camera: 1, zoom: 'in', zoom_speed: 7 });
+    tracker.processCommand({ protocol: 'pelco_d', camera: 1, tilt: 'up', tilt_speed: 10 });
+    tracker.processCommand({ protocol: 'visca', camera: 1, reply: 'ack' });
+    tracker.processCommand({ protocol: 'ad422', camera: undefined, pan: 'left' });
+
+    expect(tracker.get_state('visca', 1).zoom).to.equal('in');
+    expect(tracker.get_state('visca', 1).tilt).to.be.undefined;
+    expect(tracker.get_state('pelco_d', 1).tilt).to.equal('up');
+    expect(tracker.get_state('pelco_d', 2)).to.be.undefined;
+    expect(tracker.get_all_states().length).to.equal(2);
+  });
+
+  it("ignores replies from the cameras", function() {
+    var decoder = new PelcoD_Decoder({ protocols: ['pelco_d'] });
+    var tracker = new CameraStateTracker(decoder);
+    var start = new Date(2018, 0, 1);
+    tracker.processCommand({ protocol: 'pelco_d', camera: 1, pan: 'left', pan_speed: 0x20 }, start);
+
+    // A VMS polling the position gets a Position Response and a General Response from the dome
+    decoder.processBuffer([0xFF,0x01,0x00,0x59,0x46,0x50,0xF0, 0xFF,0x01,0x00,0x01, 0xFF,0x02,0x00,0x02,0xFF,0x02,0x00]);
+    decoder.flush();
+    expect(tracker.get_state('pelco_d', 1).last_command_time).to.equal(start);
+    expect(tracker.get_state('pelco_d', 2)).to.be.undefined;
+  });
+
+  it("returns copies of the state", function() {
+    var tracker = new CameraStateTracker();
+    tracker.processCommand({ protocol: 'pelco_d', camera: 1, aux_action: 'on', aux: 1 });
+    tracker.get_state('pelco_d', 1).aux[1] = 'off';
+    expect(tracker.get_state('pelco_d', 1).aux[1]).to.equal('on');
+  });
+});